@@ -0,0 +1,70 @@
+# Builds docs\searchindex.json for the help viewer's full text search.
+# Run after building the help file with Help Builder:
+#
+#     .\BuildSearchIndex.ps1 [-HelpFolder .\docs]
+#
+# Topics come from tableofcontents.htm, keywords from keywords.htm
+# and the body text from the content-pane of each topic page.
+param(
+    [string] $HelpFolder = ".\docs"
+)
+
+$HelpFolder = (Resolve-Path $HelpFolder).Path
+
+function Get-PlainText([string] $html) {
+    $html = $html -replace '(?s)<(script|style)\b.*?</\1>', ' '
+    $html = $html -replace '<[^>]+>', ' '
+    $text = [System.Net.WebUtility]::HtmlDecode($html)
+    return ($text -replace '\s+', ' ').Trim()
+}
+
+$topics = New-Object System.Collections.ArrayList
+$lookup = @{}
+
+$toc = Get-Content (Join-Path $HelpFolder "tableofcontents.htm") -Raw -Encoding UTF8
+$linkRegex = '(?s)<a\s+href="(?<href>[^"]+)"\s+id="(?<id>[^"]+)"[^>]*>(?<text>.*?)</a>'
+foreach ($match in [regex]::Matches($toc, $linkRegex)) {
+    $href = $match.Groups["href"].Value
+    if ($href.StartsWith("http") -or $href.StartsWith("file:")) { continue }
+
+    $topic = [ordered] @{
+        id = $match.Groups["id"].Value
+        title = Get-PlainText $match.Groups["text"].Value
+        keywords = New-Object System.Collections.ArrayList
+        body = ""
+        href = $href
+    }
+    [void] $topics.Add($topic)
+    $lookup[$topic.id.ToLower()] = $topic
+}
+
+$keywordsFile = Join-Path $HelpFolder "keywords.htm"
+if (Test-Path $keywordsFile) {
+    $keywordsHtml = Get-Content $keywordsFile -Raw -Encoding UTF8
+    foreach ($match in [regex]::Matches($keywordsHtml, '(?s)<a\s+href="(?<href>[^"#]+)[^"]*"[^>]*>(?<text>.*?)</a>')) {
+        $id = [System.IO.Path]::GetFileNameWithoutExtension($match.Groups["href"].Value).ToLower()
+        $topic = $lookup[$id]
+        $keyword = Get-PlainText $match.Groups["text"].Value
+        if ($topic -and $keyword -and $keyword -ne $topic.title -and -not $topic.keywords.Contains($keyword)) {
+            [void] $topic.keywords.Add($keyword)
+        }
+    }
+}
+
+foreach ($topic in $topics) {
+    $file = Join-Path $HelpFolder $topic.href
+    if (Test-Path $file) {
+        $html = Get-Content $file -Raw -Encoding UTF8
+        $match = [regex]::Match($html, '(?s)<article class="content-pane">(.*?)</article>')
+        if ($match.Success) {
+            $topic.body = Get-PlainText $match.Groups[1].Value
+        }
+    }
+    $topic.Remove("href")
+}
+
+$json = ConvertTo-Json @{ topics = $topics.ToArray() } -Depth 4 -Compress
+$output = Join-Path $HelpFolder "searchindex.json"
+[System.IO.File]::WriteAllText($output, $json, (New-Object System.Text.UTF8Encoding $false))
+
+Write-Host "$($topics.Count) topics written to $output"
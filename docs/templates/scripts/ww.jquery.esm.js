@@ -0,0 +1,76 @@
+/*
+ww.jquery.esm.js
+ES module entry point for ww.jquery.js - for bundlers only (webpack,
+Rollup, Vite, esbuild). ww.jquery.js is a UMD/CommonJS file without an
+ES default export, so this file relies on the bundler's CommonJS interop
+and on "jquery" resolving from node_modules.
+
+It does NOT work as a native <script type="module"> in the browser.
+Without a bundler load jquery.js and ww.jquery.js with plain script
+tags and use the window.ww object (or the globals) instead.
+
+    import ww, { parseTemplate, showToast, str } from "./ww.jquery.esm.js";
+    str.truncate(title, 40);
+    ww.install();   // optional: globals, prototype and JSON extensions
+
+Importing doesn't touch the global scope or the String, Date and Number
+prototypes - the jQuery plug-ins ($.fn.*) are still registered on jQuery.
+*/
+import ww from "./ww.jquery.js";
+
+export var HttpClient = ww.HttpClient;
+export var CancelToken = ww.CancelToken;
+export var ServiceProxy = ww.ServiceProxy;
+export var AjaxMethodCallback = ww.AjaxMethodCallback;
+export var ajaxJson = ww.ajaxJson;
+export var ajaxCallMethod = ww.ajaxCallMethod;
+export var onPageError = ww.onPageError;
+export var CallbackException = ww.CallbackException;
+export var StatusBar = ww.StatusBar;
+export var ToastManager = ww.ToastManager;
+export var showToast = ww.showToast;
+export var showStatus = ww.showStatus;
+export var sumDimensions = ww.sumDimensions;
+export var debounce = ww.debounce;
+export var DataBinder = ww.DataBinder;
+export var FormValidator = ww.FormValidator;
+export var HoverPanel = ww.HoverPanel;
+export var DragBehavior = ww.DragBehavior;
+export var _ModalDialog = ww._ModalDialog;
+export var opaqueOverlay = ww.opaqueOverlay;
+export var parseTemplate = ww.parseTemplate;
+export var TemplateError = ww.TemplateError;
+export var isElementInViewport = ww.isElementInViewport;
+export var getBodyFromHtmlDocument = ww.getBodyFromHtmlDocument;
+export var $$ = ww.$$;
+export var registerNamespace = ww.registerNamespace;
+export var getUrlEncodedKey = ww.getUrlEncodedKey;
+export var setUrlEncodedKey = ww.setUrlEncodedKey;
+export var assert = ww.assert;
+export var htmlEncode = ww.htmlEncode;
+export var trimStart = ww.trimStart;
+export var trimEnd = ww.trimEnd;
+export var repeat = ww.repeat;
+export var padL = ww.padL;
+export var padR = ww.padR;
+export var startsWith = ww.startsWith;
+export var extract = ww.extract;
+export var escapeRegExp = ww.escapeRegExp;
+export var format = ww.format;
+export var isNumber = ww.isNumber;
+export var str = ww.str;
+export var formatDate = ww.formatDate;
+export var formatNumber = ww.formatNumber;
+export var getNumberFormat = ww.getNumberFormat;
+export var parseLocale = ww.parseLocale;
+export var parseExact = ww.parseExact;
+export var formatRelativeTime = ww.formatRelativeTime;
+export var formatDuration = ww.formatDuration;
+export var updateRelativeTimes = ww.updateRelativeTimes;
+export var watchRelativeTimes = ww.watchRelativeTimes;
+export var setCulture = ww.setCulture;
+export var getCultureInfo = ww.getCultureInfo;
+export var json = ww.json;
+export var install = ww.install;
+
+export default ww;
@@ -10,8 +10,16 @@ www.west-wind.com
 Licensed under MIT License
 http://en.wikipedia.org/wiki/MIT_License
 */
-(function($, undefined) {
-    HttpClient = function(opt) {
+(function (root, factory) {
+    if (typeof module === "object" && module.exports)
+        // CommonJS - nothing is added to the global scope or the prototypes
+        // until the caller runs install()
+        module.exports = factory(require("jquery"), root);
+    else
+        // plain script tag - install everything as before
+        root.ww = factory(root.jQuery, root).install();
+})(typeof window !== "undefined" ? window : this, function ($, window, undefined) {
+    var HttpClient = function(opt) {
         var self = this;
 
         this.completed = null;
@@ -24,72 +32,306 @@ http://en.wikipedia.org/wiki/MIT_License
         this.method = "GET";
         this.timeout = 20000;
         this.headers = {};
+        this.cancelToken = null; // CancelToken or AbortSignal
+        this.retry = null; // true, max attempts or retry policy - see HttpClient.retryDefaults
+        this.useInterceptors = true; // run HttpClient.interceptors for this instance
 
         $.extend(self, opt);
 
         this.appendHeader = function(header, value) {
             self.headers[header] = value;
         };
-        this.send = function(url, postData, completed, errorHandler) {
+        this.send = function(url, postData, completed, errorHandler, cancelToken) {
             completed = completed || self.completed;
             errorHandler = errorHandler || self.errorHandler;
-
-            return $.ajax({
-                url: url,
-                data: postData,
-                type: postData ? "POST" : self.method,
-                processData: false, // always process on our own!
-                contentType: self.contentType,
-                timeout: self.timeout,
-                dataType: "text",
-                global: false,
-                async: self.async,
-                beforeSend: function beforeSend(xhr) {
-                    for (var header in self.headers) xhr.setRequestHeader(header, self.headers[header]);
-                    if (self.accepts)
-                        xhr.setRequestHeader("Accept", self.accepts);
+            cancelToken = cancelToken || self.cancelToken;
+
+            var request = null;
+            var retry = null;
+            var attempt = 0;
+            var replays = 0;
+            var retryTimeout = 0;
+            var wasCancelled = false;
+            var cancelReason = null;
+            var intercepting = false;
+            var inFlight = false;
+            var xhr = null;
+
+            // handle returned to the caller - works like the jqXHR it
+            // replaces: done(result, textStatus, handle) and
+            // fail(handle, textStatus, error). The xhr members reflect
+            // the last attempt and abort() also stops pending retries.
+            var deferred = $.Deferred();
+            var handle = deferred.promise({
+                readyState: 0,
+                status: 0,
+                statusText: "",
+                responseText: undefined,
+                getResponseHeader: function(name) {
+                    return xhr ? xhr.getResponseHeader(name) : null;
                 },
-                success: function success(result, status) {                    
-                    var errorException = null;
-                    if (self.evalResult) {
-                        try {
-                            result = JSON.parseWithDate(result);
-                            if (result && result.hasOwnProperty("d"))
-                                result = result.d;
-                        } catch (e) {
-                            errorException = new CallbackException(e);
+                getAllResponseHeaders: function() {
+                    return xhr ? xhr.getAllResponseHeaders() : null;
+                },
+                abort: function(reason) {
+                    cancel(reason);
+                    return handle;
+                }
+            });
+            handle.success = handle.done;
+            handle.error = handle.fail;
+            handle.complete = handle.always;
+
+            if (cancelToken && isCancelled(cancelToken)) {
+                var cancelled = CallbackException.cancelled(cancelToken.reason);
+                handle.statusText = "abort";
+                if (errorHandler)
+                    errorHandler(cancelled, self);
+                deferred.reject(handle, "abort", cancelled);
+                return handle;
+            }
+
+            var unregister = null;
+            if (cancelToken)
+                unregister = onCancel(cancelToken, function() {
+                    cancel(cancelToken.reason);
+                });
+
+            function cancel(reason) {
+                if (wasCancelled)
+                    return;
+                wasCancelled = true;
+                cancelReason = reason;
+
+                if (retryTimeout) {
+                    // waiting for a retry - no request to abort
+                    clearTimeout(retryTimeout);
+                    retryTimeout = 0;
+                    complete({ error: CallbackException.cancelled(cancelReason), status: 0 });
+                } else if (intercepting)
+                    // don't wait for a pending request interceptor
+                    complete({ error: CallbackException.cancelled(cancelReason), status: 0 });
+                else if (inFlight)
+                    xhr.abort();
+            }
+
+            function startRequest() {
+                attempt = 0;
+                request = {
+                    url: url,
+                    method: postData ? "POST" : self.method,
+                    data: postData,
+                    headers: $.extend({}, self.headers),
+                    contentType: self.contentType,
+                    accepts: self.accepts,
+                    timeout: self.timeout
+                };
+
+                intercepting = true;
+                runInterceptors("request", request, function(err) {
+                    intercepting = false;
+                    if (wasCancelled)
+                        return; // already completed by cancel()
+                    if (err)
+                        return complete({ error: err, status: 0 });
+
+                    // interceptor provided the response (ie. from a cache)
+                    if (request.response !== undefined)
+                        return complete({ result: request.response, status: 200, fromCache: true });
+
+                    retry = getRetryPolicy(self.retry, request.method);
+                    sendRequest();
+                });
+            }
+
+            function sendRequest() {
+                attempt++;
+                inFlight = true;
+
+                xhr = $.ajax({
+                    url: request.url,
+                    data: request.data,
+                    type: request.method,
+                    processData: false, // always process on our own!
+                    contentType: request.contentType,
+                    timeout: request.timeout,
+                    dataType: "text",
+                    global: false,
+                    async: self.async,
+                    beforeSend: function beforeSend(xhr) {
+                        for (var header in request.headers) xhr.setRequestHeader(header, request.headers[header]);
+                        if (request.accepts)
+                            xhr.setRequestHeader("Accept", request.accepts);
+                    },
+                    success: function success(result, status, xhr) {
+                        inFlight = false;
+                        updateHandle(xhr);
+                        notifyAttempt(xhr, null, false, 0);
+
+                        var errorException = null;
+                        if (self.evalResult) {
+                            try {
+                                result = _json.parseWithDate(result);
+                                if (result && result.hasOwnProperty("d"))
+                                    result = result.d;
+                            } catch (e) {
+                                errorException = new CallbackException(e);
+                            }
+                        }
+                        if (errorException || result && (result.isCallbackError || result.iscallbackerror)) {
+                            if (result)
+                                errorException = result;
+                            return complete({ error: errorException, status: xhr.status, xhr: xhr, textStatus: "error" });
+                        }
+                        complete({ result: result, status: xhr.status, xhr: xhr });
+                    },
+                    error: function(xhr, status) {
+                        inFlight = false;
+                        updateHandle(xhr);
+
+                        // aborted by the caller - never retried
+                        var err = null;
+                        if (wasCancelled || status === "abort")
+                            err = CallbackException.cancelled(cancelReason);
+                        else if (xhr.readyState == 4) {
+                            var res = xhr.responseText;
+                            if (res && res.charAt(0) == '{')
+                                err = _json.parseWithDate(res);
+                            if (!err) {
+                                if (xhr.status && xhr.status != 200)
+                                    err = new CallbackException(xhr.status + " " + xhr.statusText);
+                                else
+                                    err = new CallbackException("Callback Error: " + status);
+                                err.detail = res;
+                            }
+                        }
+                        if (!err)
+                            err = new CallbackException("Callback Error: " + status);
+
+                        if (!err.isCancelled && retryRequest(xhr, err))
+                            return;
+
+                        complete({ error: err, status: xhr.status, xhr: xhr, textStatus: err.isCancelled ? "abort" : status });
+                    }
+                });
+            }
+
+            function complete(response) {
+                response.request = request;
+                response.replay = function() {
+                    response.replayRequested = true;
+                };
+
+                runInterceptors("response", response, function(err) {
+                    if (err)
+                        response.error = err;
+
+                    if (response.replayRequested) {
+                        if (wasCancelled)
+                            response.error = CallbackException.cancelled(cancelReason);
+                        else if (replays < HttpClient.maxReplays) {
+                            replays++;
+                            return startRequest();
                         }
                     }
-                    if (errorException || result && (result.isCallbackError || result.iscallbackerror)) {
-                        if (result)
-                            errorException = result;
+
+                    if (unregister)
+                        unregister();
+                    unregister = null;
+
+                    if (response.error) {
+                        var textStatus = response.textStatus ||
+                            (response.error.isCancelled ? "abort" : "error");
                         if (errorHandler)
-                            errorHandler(errorException, self);
-                        return;
+                            errorHandler(response.error, self, response.xhr);
+                        deferred.reject(handle, textStatus, response.error);
+                    } else {
+                        if (completed)
+                            completed(response.result, self);
+                        deferred.resolve(response.result, "success", handle);
                     }
-                    if (completed)
-                        completed(result, self);
-                },
-                error: function(xhr, status) {
-                    var err = null;
-                    if (xhr.readyState == 4) {
-                        var res = xhr.responseText;
-                        if (res && res.charAt(0) == '{')
-                            err = JSON.parseWithDate(res);
-                        if (!err) {
-                            if (xhr.status && xhr.status != 200)
-                                err = new CallbackException(xhr.status + " " + xhr.statusText);
-                            else
-                                err = new CallbackException("Callback Error: " + status);
-                            err.detail = res;
+                });
+            }
+
+            function updateHandle(xhr) {
+                handle.readyState = xhr.readyState;
+                handle.status = xhr.status;
+                handle.statusText = xhr.statusText;
+                handle.responseText = xhr.responseText;
+            }
+
+            function runInterceptors(type, context, done) {
+                var list = self.useInterceptors ? HttpClient.interceptors[type].slice() : [];
+                var i = 0;
+                next();
+
+                function next() {
+                    while (i < list.length) {
+                        var res;
+                        try {
+                            res = list[i++](context, self);
+                        } catch (e) {
+                            return done(toException(e));
                         }
-                    }
-                    if (!err)
-                        err = new CallbackException("Callback Error: " + status);
 
-                    if (errorHandler)
-                        errorHandler(err, self, xhr);
+                        // async interceptor - wait for it to resolve
+                        if (res && typeof res.then === "function") {
+                            res.then(next, function(e) { done(toException(e)); });
+                            return;
+                        }
+                    }
+                    done(null);
                 }
+            }
+
+            function retryRequest(xhr, err) {
+                if (!retry)
+                    return false;
+
+                var willRetry = attempt < retry.maxAttempts &&
+                                retry.retryOn.indexOf(xhr.status) > -1;
+                var delay = willRetry ? getRetryDelay(retry, attempt, xhr) : 0;
+
+                if (notifyAttempt(xhr, err, willRetry, delay) === false || !willRetry)
+                    return false;
+
+                retryTimeout = setTimeout(function() {
+                    retryTimeout = 0;
+                    sendRequest();
+                }, delay);
+                return true;
+            }
+
+            function notifyAttempt(xhr, err, willRetry, delay) {
+                if (!retry || !retry.onAttempt)
+                    return true;
+
+                return retry.onAttempt({
+                    attempt: attempt,
+                    maxAttempts: retry.maxAttempts,
+                    url: request.url,
+                    method: request.method,
+                    status: xhr.status,
+                    error: err,
+                    willRetry: willRetry,
+                    delay: delay
+                }, self);
+            }
+
+            startRequest();
+
+            return handle;
+        };
+        this.sendAsync = function(url, postData, cancelToken) {
+            /// <summary>
+            /// Promise based version of send(). Resolves with the result
+            /// and rejects with a CallbackException. Cancelled requests
+            /// reject with an exception that has isCancelled set.
+            /// </summary>
+            /// <param name="cancelToken" type="object">optional CancelToken or AbortSignal</param>
+            /// <returns type="Promise" />
+            return new Promise(function(resolve, reject) {
+                self.send(url, postData, resolve, reject, cancelToken);
             });
         };
         this.returnError = function(message) {
@@ -97,9 +339,158 @@ http://en.wikipedia.org/wiki/MIT_License
             if (self.errorHandler)
                 self.errorHandler(error, self);
         };
+
+        function isCancelled(token) {
+            return !!(token.isCancelled || token.aborted);
+        }
+        function onCancel(token, handler) {
+            // native AbortSignal
+            if (token.addEventListener) {
+                token.addEventListener("abort", handler);
+                return function() { token.removeEventListener("abort", handler); };
+            }
+            return token.onCancel(handler);
+        }
+        function toException(err) {
+            if (err && (err.isCallbackError || err.iscallbackerror))
+                return err;
+            return new CallbackException(err || "Request interceptor failed");
+        }
+        function getRetryPolicy(retry, method) {
+            if (!retry)
+                return null;
+
+            if (retry === true)
+                retry = null;
+            else if (typeof retry === "number")
+                retry = { maxAttempts: retry };
+
+            var policy = $.extend({}, HttpClient.retryDefaults, retry);
+
+            // POST and PATCH aren't idempotent - only observe attempts
+            if (!policy.retryNonIdempotent && (method == "POST" || method == "PATCH"))
+                policy.maxAttempts = 1;
+
+            return policy;
+        }
+        function getRetryDelay(policy, attempt, xhr) {
+            var retryAfter = parseInt(xhr.getResponseHeader("Retry-After"), 10);
+            if (retryAfter > 0)
+                return Math.min(policy.maxDelay, retryAfter * 1000);
+
+            var delay = Math.min(policy.maxDelay, policy.delay * Math.pow(policy.backoffFactor, attempt - 1));
+            if (policy.jitter)
+                delay = delay * (1 - policy.jitter) + Math.random() * delay * policy.jitter;
+
+            return Math.round(delay);
+        }
+    };
+
+    // Global interceptors that all requests made through HttpClient run through -
+    // this includes ServiceProxy, AjaxMethodCallback, ajaxJson and $.postJSON.
+    //
+    // Request interceptors receive (request, httpClient) and can modify
+    // request.url, method, headers and data, or set request.response
+    // to return a result without hitting the network.
+    //
+    // Response interceptors receive (response, httpClient) and can modify
+    // response.result or response.error, or call response.replay() to
+    // re-send the request (ie. after refreshing an auth token).
+    //
+    // Interceptors can return a promise to complete asynchronously.
+    HttpClient.interceptors = { request: [], response: [] };
+    HttpClient.maxReplays = 2;
+
+    HttpClient.addRequestInterceptor = function(interceptor) {
+        /// <summary>
+        /// Adds a global request interceptor.
+        /// </summary>
+        /// <example>
+        /// HttpClient.addRequestInterceptor(function(request) {
+        ///     request.headers["Authorization"] = "Bearer " + token;
+        /// });
+        ///</example>
+        /// <returns type="function">function that removes the interceptor</returns>
+        return addInterceptor(HttpClient.interceptors.request, interceptor);
+    };
+    HttpClient.addResponseInterceptor = function(interceptor) {
+        /// <summary>
+        /// Adds a global response interceptor.
+        /// </summary>
+        /// <example>
+        /// HttpClient.addResponseInterceptor(function(response) {
+        ///     if (response.status != 401)
+        ///         return;
+        ///     return refreshToken().then(response.replay);
+        /// });
+        ///</example>
+        /// <returns type="function">function that removes the interceptor</returns>
+        return addInterceptor(HttpClient.interceptors.response, interceptor);
+    };
+    function addInterceptor(list, interceptor) {
+        list.push(interceptor);
+        return function() {
+            var i = list.indexOf(interceptor);
+            if (i > -1)
+                list.splice(i, 1);
+        };
+    }
+
+    // default retry policy - override globally or per request via the retry option
+    HttpClient.retryDefaults = {
+        maxAttempts: 3,
+        delay: 500, // initial delay in ms
+        maxDelay: 10000,
+        backoffFactor: 2,
+        jitter: 0.5, // fraction of the delay that is randomized (0-1)
+        retryOn: [0, 408, 429, 500, 502, 503, 504], // 0 - timeout or network failure (aborted requests aren't retried)
+        retryNonIdempotent: false, // retry POST and PATCH requests
+        onAttempt: null // function(attemptInfo, httpClient) - return false to stop retrying
+    };
+
+    var CancelToken = function() {
+        /// <summary>
+        /// AbortController style cancellation token that can be passed
+        /// to HttpClient.send() and sendAsync() to abort requests.
+        /// </summary>
+        /// <example>
+        /// var token = new CancelToken();
+        /// new HttpClient().sendAsync(url, null, token)
+        ///     .catch(function(err) { if (err.isCancelled) return; onPageError(err); });
+        /// token.cancel();
+        ///</example>
+        var self = this;
+        var handlers = [];
+
+        this.isCancelled = false;
+        this.reason = null;
+
+        this.cancel = function(reason) {
+            if (self.isCancelled)
+                return;
+            self.isCancelled = true;
+            self.reason = reason || null;
+
+            var list = handlers;
+            handlers = [];
+            for (var i = 0; i < list.length; i++)
+                list[i](self);
+        };
+        this.onCancel = function(handler) {
+            if (self.isCancelled) {
+                handler(self);
+                return function() { };
+            }
+            handlers.push(handler);
+            return function() {
+                var i = handlers.indexOf(handler);
+                if (i > -1)
+                    handlers.splice(i, 1);
+            };
+        };
     };
 
-    ServiceProxy = function(serviceUrl) {
+    var ServiceProxy = function(serviceUrl) {
         /// <summary>
         /// Generic Service Proxy class that can be used to
         /// call JSON Services generically using jQuery
@@ -113,6 +504,7 @@ http://en.wikipedia.org/wiki/MIT_License
         this.isWcf = true;
         this.timeout = 20000;
         this.method = "POST";
+        this.retry = null;
         this.serviceUrl = serviceUrl;
 
         if (typeof serviceUrl === "object")
@@ -132,7 +524,7 @@ http://en.wikipedia.org/wiki/MIT_License
             // Convert input data into JSON using internal code
             var json = null;
             if (self.method != "GET")
-                json = self.isWcf ? JSON.stringifyWcf(params) : JSON.stringify(params);
+                json = self.isWcf ? _json.stringifyWcf(params) : JSON.stringify(params);
 
             // The service endpoint URL MyService.svc/    
             var url = self.serviceUrl + method;
@@ -142,13 +534,14 @@ http://en.wikipedia.org/wiki/MIT_License
                 accepts: "application/json,text/*",
                 method: self.method,
                 evalResult: true,
-                timeout: self.timeout
+                timeout: self.timeout,
+                retry: self.retry
             });
             http.send(url, json, callback, errorCallback);
         }
     };
 
-    AjaxMethodCallback = function(controlId, url, opt) {
+    var AjaxMethodCallback = function(controlId, url, opt) {
         var self = this;
         this.controlId = controlId;
         this.postbackMode = "PostMethodParametersOnly"; // Post,PostNoViewstate,Get
@@ -156,6 +549,7 @@ http://en.wikipedia.org/wiki/MIT_License
         this.formName = null;
         this.resultMode = "json"; // json,msajax,string
         this.timeout = 20000;
+        this.retry = null;
 
         this.completed = null;
         this.errorHandler = null;
@@ -167,12 +561,12 @@ http://en.wikipedia.org/wiki/MIT_License
             self.completed = callback;
             self.errorHandler = errorCallback;
 
-            var http = new HttpClient({ timeout: self.timeout, evalResult: true, accepts: "application/json,text/*" });
+            var http = new HttpClient({ timeout: self.timeout, retry: self.retry, evalResult: true, accepts: "application/json,text/*" });
             self.Http = http;
 
             var data = {};
             if (self.resultMode == "msajax")
-                data = JSON.stringifyWithDates(parameters);
+                data = _json.stringifyWithDates(parameters);
             else {
                 var parmCount = 0;
                 if (parameters.length) {
@@ -220,7 +614,7 @@ http://en.wikipedia.org/wiki/MIT_License
         };
     };
  
-    ajaxJson = function(url, parm, cb, ecb, options) {
+    var ajaxJson = function(url, parm, cb, ecb, options) {
         var ser = parm;
 
         if (typeof cb === 'object') {
@@ -248,7 +642,7 @@ http://en.wikipedia.org/wiki/MIT_License
 
         return http.send(url, ser, cb, ecb);
     };
-    ajaxCallMethod = function(url, method, parms, cb, ecb, opt) {
+    var ajaxCallMethod = function(url, method, parms, cb, ecb, opt) {
         var proxy = new AjaxMethodCallback(null, url, opt);
         return proxy.callMethod(method, parms, cb, ecb);
     };
@@ -276,10 +670,10 @@ http://en.wikipedia.org/wiki/MIT_License
         });
         return o;
     };
-    onPageError = function(err) {
-        showStatus(err.message || err.Message, 6000, true);
+    var onPageError = function(err) {
+        showToast(err.message || err.Message, { type: "error", timeout: 6000 });
     };
-    CallbackException = function(message, detail, status) {
+    var CallbackException = function(message, detail, status) {
         this.isCallbackError = true;
         if (status)
             this.status = status;
@@ -299,8 +693,14 @@ http://en.wikipedia.org/wiki/MIT_License
         else
             this.detail = null;
     };
+    CallbackException.cancelled = function(reason) {
+        var err = new CallbackException(typeof reason == "string" ? reason : "Request cancelled", null, 0);
+        err.status = 0;
+        err.isCancelled = true;
+        return err;
+    };
 
-    StatusBar = function(sel, opt) {
+    var StatusBar = function(sel, opt) {
         var self = this;
         var _sb = null;
 
@@ -349,7 +749,7 @@ http://en.wikipedia.org/wiki/MIT_License
                 _sb.removeClass(self.highlightClass);
 
             if (self.additive) {
-                var html = $("<div style='margin-bottom: 2px;'>" + message + "</div>");
+                var html = $("<div>").css("margin-bottom", 2).html(message);
                 if (self.prependMultiline)
                     _sb.prepend(html);
                 else
@@ -405,10 +805,276 @@ http://en.wikipedia.org/wiki/MIT_License
         };
     };
 
+    var ToastManager = function(opt) {
+        /// <summary>
+        /// Displays a stack of toast notifications in a corner of the screen.
+        /// Each toast has its own timeout that pauses while hovered or focused.
+        /// </summary>
+        var self = this;
+
+        // options
+        self.containerId = "_toasts";
+        // top-left, top-center, top-right, bottom-left, bottom-center, bottom-right
+        self.position = "bottom-right";
+        // default timeout in ms - 0 keeps toasts open until closed
+        self.timeout = 5000;
+        self.maxToasts = 5;
+        self.pauseOnHover = true;
+        // identical messages bump a counter instead of stacking
+        self.deduplicate = true;
+        self.closeText = "Close";
+        self.cssClass = "toast";
+        // apply a minimal inline layout when the page has no toast styles
+        self.defaultStyles = true;
+
+        if (opt)
+            $.extend(this, opt);
+
+        var toasts = [];
+        var _container = null;
+        var inlineStyles = false;
+
+        this.show = function(message, options) {
+            /// <summary>
+            /// Shows a toast and returns an object with close() and update(message).
+            /// </summary>
+            /// <param name="options" type="object">
+            /// type: info, success, warning or error,
+            /// timeout: ms before the toast closes (0 to keep it open),
+            /// title: optional bold header text,
+            /// key: replaces the message of an open toast with the same key,
+            /// actions: [{ text, handler(toast) }] - return false to keep the toast open,
+            /// isHtml: message is html,
+            /// closable: show a close button (true)
+            /// </param>
+            /// <returns type="object" />
+            if (typeof options == "string")
+                options = { type: options };
+            options = $.extend({
+                type: "info",
+                timeout: self.timeout,
+                title: null,
+                key: null,
+                actions: null,
+                isHtml: false,
+                closable: true
+            }, options);
+
+            var toast = findToast(message, options);
+            if (toast) {
+                if (!options.key)
+                    toast.count++;
+                toast.options = options;
+                render(toast, message);
+                startTimer(toast, options.timeout);
+                return toast;
+            }
+
+            toast = {
+                message: message,
+                options: options,
+                count: 1,
+                timer: 0,
+                remaining: 0,
+                started: 0,
+                element: $("<div>").addClass(self.cssClass)
+            };
+            toast.close = function() {
+                self.close(toast);
+            };
+            toast.update = function(msg) {
+                render(toast, msg);
+                return toast;
+            };
+
+            var container = getContainer();
+            render(toast, message);
+
+            var el = toast.element;
+            if (self.pauseOnHover)
+                el.bind("mouseenter focusin", function() { pauseTimer(toast); })
+                  .bind("mouseleave focusout", function() { resumeTimer(toast); });
+
+            toasts.push(toast);
+            container.append(el);
+            if (toasts.length > self.maxToasts)
+                self.close(toasts[0]);
+
+            startTimer(toast, options.timeout);
+            return toast;
+        };
+        this.info = function(message, options) {
+            return self.show(message, $.extend({}, options, { type: "info" }));
+        };
+        this.success = function(message, options) {
+            return self.show(message, $.extend({}, options, { type: "success" }));
+        };
+        this.warning = function(message, options) {
+            return self.show(message, $.extend({}, options, { type: "warning" }));
+        };
+        this.error = function(message, options) {
+            return self.show(message, $.extend({}, options, { type: "error" }));
+        };
+        this.close = function(toast) {
+            var idx = $.inArray(toast, toasts);
+            if (idx < 0)
+                return;
+            toasts.splice(idx, 1);
+            clearTimeout(toast.timer);
+            toast.element.remove();
+        };
+        this.clear = function() {
+            while (toasts.length)
+                self.close(toasts[0]);
+        };
+        this.getToasts = function() {
+            return toasts.slice(0);
+        };
+        this.release = function() {
+            self.clear();
+            if (_container)
+                _container.remove();
+            _container = null;
+        };
+
+        function getContainer() {
+            if (!_container) {
+                _container = $("<div>")
+                    .attr({ id: self.containerId, role: "region", "aria-label": "Notifications", "aria-live": "polite" })
+                    .addClass(self.cssClass + "-container " + self.cssClass + "-" + self.position)
+                    .appendTo(document.body);
+
+                // pages without the toast styles (see wwhelp.css) get a minimal inline layout
+                inlineStyles = self.defaultStyles && _container.css("position") != "fixed";
+                if (inlineStyles)
+                    _container.css(getContainerLayout());
+            }
+            _container.maxZIndex();
+            return _container;
+        }
+        function getContainerLayout() {
+            var pos = self.position.split("-");
+            var css = { position: "fixed", display: "flex", flexDirection: "column", width: 340, maxWidth: "calc(100% - 20px)", margin: 10 };
+            css[pos[0]] = 0;
+            if (pos[1] == "center") {
+                css.left = "50%";
+                css.transform = "translateX(-50%)";
+            } else
+                css[pos[1]] = 0;
+            if (pos[0] == "bottom")
+                css.flexDirection = "column-reverse";
+            return css;
+        }
+        function applyInlineStyles(el, type) {
+            var colors = { info: "#4e92c9", success: "#5cb85c", warning: "#f0ad4e", error: "#d9534f" };
+            el.css({
+                position: "relative", margin: "4px 0", padding: "10px 30px 10px 12px",
+                borderLeft: "5px solid " + (colors[type] || colors.info), borderRadius: 4,
+                background: "#fff", color: "#333", boxShadow: "0 2px 8px rgba(0,0,0,0.25)"
+            });
+            el.find("." + self.cssClass + "-close").css({
+                position: "absolute", top: 4, right: 6, border: "none", background: "transparent",
+                color: "#999", fontSize: "1.3em", lineHeight: 1
+            });
+        }
+        function findToast(message, options) {
+            for (var i = 0; i < toasts.length; i++) {
+                var t = toasts[i];
+                if (options.key ? t.options.key == options.key :
+                    self.deduplicate && !t.options.key && t.message == message && t.options.type == options.type)
+                    return t;
+            }
+            return null;
+        }
+        function render(toast, message) {
+            var opt = toast.options;
+            var el = toast.element;
+            toast.message = message;
+
+            el.empty()
+              .attr("class", self.cssClass + " " + self.cssClass + "-" + opt.type)
+              .attr("role", opt.type == "error" || opt.type == "warning" ? "alert" : "status");
+
+            if (opt.title)
+                $("<div>").addClass(self.cssClass + "-title").text(opt.title).appendTo(el);
+
+            var body = $("<div>").addClass(self.cssClass + "-message").appendTo(el);
+            opt.isHtml ? body.html(message) : body.text(message);
+            if (toast.count > 1)
+                $("<span>").addClass(self.cssClass + "-count").text("\u00d7" + toast.count).appendTo(body);
+
+            if (opt.actions && opt.actions.length) {
+                var actions = $("<div>").addClass(self.cssClass + "-actions").appendTo(el);
+                $.each(opt.actions, function(i, action) {
+                    $("<button type='button'>").addClass(self.cssClass + "-action")
+                        .text(action.text)
+                        .click(function() {
+                            if (!action.handler || action.handler.call(this, toast) !== false)
+                                toast.close();
+                        })
+                        .appendTo(actions);
+                });
+            }
+
+            if (opt.closable)
+                $("<button type='button'>").addClass(self.cssClass + "-close")
+                    .attr({ title: self.closeText, "aria-label": self.closeText })
+                    .html("&times;")
+                    .click(toast.close)
+                    .appendTo(el);
+
+            if (inlineStyles)
+                applyInlineStyles(el, opt.type);
+        }
+        function startTimer(toast, timeout) {
+            clearTimeout(toast.timer);
+            toast.timer = 0;
+            toast.remaining = timeout || 0;
+            if (!timeout)
+                return;
+            toast.started = new Date().getTime();
+            toast.timer = setTimeout(toast.close, timeout);
+        }
+        function pauseTimer(toast) {
+            if (!toast.timer)
+                return;
+            clearTimeout(toast.timer);
+            toast.timer = 0;
+            toast.remaining = Math.max(toast.remaining - (new Date().getTime() - toast.started), 0);
+        }
+        function resumeTimer(toast) {
+            if (toast.timer || !toast.remaining)
+                return;
+            // give the reader a moment after the pointer leaves
+            startTimer(toast, Math.max(toast.remaining, 1000));
+        }
+    };
+
     // use this as a global instance to customize constructor
-    // or do nothing and get a default status bar
-    __statusbar = null;
-    showStatus = function(message, timeout, isHighlighted, additive) {
+    // or do nothing and get a default toast manager
+    var __toasts = null;
+    var showToast = function(message, options) {
+        /// <summary>
+        /// Shows a toast notification using the global toast manager.
+        /// </summary>
+        /// <param name="message" type="string">Message text to display</param>
+        /// <param name="options" type="object">type string or options for ToastManager.show()</param>
+        /// <returns type="object" />
+        if (!__toasts)
+            __toasts = new ToastManager();
+        return __toasts.show(message, options);
+    };
+
+    // assign a StatusBar instance to keep using the classic status bar
+    // or do nothing and get status messages as toasts
+    var __statusbar = null;
+    var showStatus = function(message, timeout, isHighlighted, additive) {
+        /// <summary>
+        /// Displays a status message as a toast. Without additive the
+        /// message replaces the previous status message.
+        /// Pass an object of StatusBar options to switch to the classic
+        /// status bar or "hide" to close the status message.
+        /// </summary>
         if (typeof message == "object") {
             if (__statusbar)
                 __statusbar.release();
@@ -416,10 +1082,24 @@ http://en.wikipedia.org/wiki/MIT_License
             __statusbar = new StatusBar(null, message);
             return;
         }
-        if (!__statusbar)
-            __statusbar = new StatusBar();
+        if (__statusbar)
+            return __statusbar.show(message, timeout, isHighlighted, additive);
+        if (!__toasts)
+            __toasts = new ToastManager();
+
+        if (message == "hide") {
+            $.each(__toasts.getToasts(), function(i, toast) {
+                if (toast.options.key == "status")
+                    toast.close();
+            });
+            return;
+        }
 
-        __statusbar.show(message, timeout, isHighlighted, additive);
+        return __toasts.show(message, {
+            type: isHighlighted ? "warning" : "info",
+            timeout: timeout || 0,
+            key: additive ? null : "status"
+        });
     };
 
     $.fn.centerInClient = function(options) {
@@ -500,14 +1180,14 @@ http://en.wikipedia.org/wiki/MIT_License
     };
 
     // sums up CSS property values
-    sumDimensions = function($el, dims) {
+    var sumDimensions = function($el, dims) {
         // Opera returns -1 for missing min/max width, turn into 0
         var sum = 0;
         for (var i = 1; i < arguments.length; i++)
             sum += Math.max(parseInt($el.css(arguments[i]), 10) || 0, 0);
         return sum;
     };
-    debounce = function(func, wait, immediate) {
+    var debounce = function(func, wait, immediate) {
         var timeout;
         return function() {
             var context = this, args = arguments;
@@ -828,9 +1508,9 @@ http://en.wikipedia.org/wiki/MIT_License
             // store initial props and values
             $.each(data.props, function(i) {
                 var propName = data.props[i];
-                if (data.props[i].startsWith('attr_'))
+                if (startsWith(data.props[i], 'attr_'))
                     data.vals[i] = el$.attr(propName.replace('attr_', ''));
-                else if (propName.startsWith('prop_'))
+                else if (startsWith(propName, 'prop_'))
                     data.vals[i] = el$.prop(propName.replace('props_', ''));
                 else
                     data.vals[i] = el$.css(propName);
@@ -877,9 +1557,9 @@ http://en.wikipedia.org/wiki/MIT_License
                 var key = w.props[i];
 
                 var newVal = "";
-                if (key.startsWith('attr_'))
+                if (startsWith(key, 'attr_'))
                     newVal = el$.attr(key.replace('attr_', ''));
-                else if (key.startsWith('prop_'))
+                else if (startsWith(key, 'prop_'))
                     newVal = el$.prop(key.replace('prop_', ''));
                 else
                     newVal = el$.css(key);
@@ -1000,65 +1680,846 @@ http://en.wikipedia.org/wiki/MIT_License
         return sels;
     };
 
-    HoverPanel = function (sel, opt) {
+    var DataBinder = function (sel, model, opt) {
+        /// <summary>
+        /// Two-way binds the input elements of a container to an object.
+        /// Fields bind by data-bind or name attribute and may use
+        /// nested paths like address.city. Selects can be filled with
+        /// data-list="path" (plus data-list-text/data-list-value) and
+        /// dates are displayed with data-format or dateFormat.
+        /// </summary>
+        /// <param name="sel" type="selector">container of the bound elements</param>
+        /// <param name="model" type="object">object to bind to</param>
+        /// <param name="opt" type="object">
+        /// dateFormat, culture, live, dirtyClass, lists, changed(path, value, binder)
+        /// </param>
         var _I = this;
         var jEl = $(sel);
-        var el = jEl.get(0);
-
-        var busy = -1;
-        var lastMouseTop = 0;
-        var lastMouseLeft = 0;
 
-        this.serverUrl = "";
-        this.timeout = 20000;
-        this.controlId = el.id;
-        this.htmlTargetId = el.id;
-        this.queryString = "";
-        this.eventHandlerMode = "ShowHtmlAtMousePosition";
-        this.postbackMode = "Get"; // Post/PostNoViewstate
-        this.completed = null;
-        this.errorHandler = null;
-        this.hoverOffsetRight = 0;
-        this.hoverOffsetBottom = 0;
-        this.panelOpacity = 1;
-        this.adjustWindowPosition = true;
-        this.formName = "";
-        this.navigateDelay = 0;
-        this.http = null;
+        this.model = model || {};
+        // format used for dates in text fields without data-format
+        this.dateFormat = "MM/dd/yyyy";
+        // culture for date names and standard formats - null uses setCulture()
+        this.culture = null;
+        // update the model as the user types
+        this.live = true;
+        // class added to fields whose value differs from the original value
+        this.dirtyClass = "dirty";
+        // lookup lists for data-list selects - otherwise resolved from the model
+        this.lists = null;
+        // fires after a field updated the model (path, value, binder)
+        this.changed = null;
         $.extend(_I, opt);
 
-        this.startCallback = function (e, queryString, postData, errorHandler) {
-            try {
-                var key = new Date().getTime();
-                _I.busy = key;
-                var url = this.serverUrl;
-                if (e) {
-                    _I.lastMouseTop = e.clientY;
-                    _I.lastMouseLeft = e.clientX;
-                } else
-                    _I.lastMouseTop = 0;
+        var original = {};
+        var originalValues = {};
+        // value type of each path as bound - keeps dates and numbers typed while editing
+        var types = {};
+        var ns = ".databind";
 
-                if (queryString == null)
-                    _I.queryString = queryString = "";
-                else
-                    _I.queryString = queryString;
+        this.getFields = function () {
+            return jEl.find("[data-bind],input[name],select[name],textarea[name]")
+                      .not(":button,:submit,:reset,:image,[type=file]");
+        };
+        this.update = function () {
+            /// <summary>
+            /// Pushes the model values into the bound elements.
+            /// </summary>
+            _I.getFields().each(function () {
+                writeField($(this));
+            });
+            return _I;
+        };
+        this.read = function () {
+            /// <summary>
+            /// Reads all bound elements back into the model.
+            /// </summary>
+            _I.getFields().each(function () {
+                readField($(this), true);
+            });
+            return _I.model;
+        };
+        this.setModel = function (newModel) {
+            _I.model = newModel || {};
+            types = {};
+            _I.update();
+            _I.markClean();
+            return _I;
+        };
+        this.isDirty = function (path) {
+            /// <summary>
+            /// Returns true if a path, or any bound path, changed since binding or markClean().
+            /// </summary>
+            if (path)
+                return serialize(getPath(_I.model, path)) !== original[path];
+            for (var key in original) {
+                if (original.hasOwnProperty(key) && _I.isDirty(key))
+                    return true;
+            }
+            return false;
+        };
+        this.getChanges = function () {
+            /// <summary>
+            /// Returns a map of changed paths with original and current values.
+            /// </summary>
+            var changes = {};
+            for (var key in original) {
+                if (original.hasOwnProperty(key) && _I.isDirty(key))
+                    changes[key] = {
+                        original: copyValue(originalValues[key]),
+                        value: getPath(_I.model, key)
+                    };
+            }
+            return changes;
+        };
+        this.markClean = function () {
+            original = {};
+            originalValues = {};
+            _I.getFields().each(function () {
+                var path = getBindPath($(this));
+                var value = getPath(_I.model, path);
+                original[path] = serialize(value);
+                originalValues[path] = copyValue(value);
+                types[path] = getValueType(value) || types[path];
+            });
+            if (_I.dirtyClass)
+                _I.getFields().removeClass(_I.dirtyClass);
+            return _I;
+        };
+        this.unbind = function () {
+            jEl.off(ns);
+            jEl.removeData("dataBinder");
+        };
 
-                if (errorHandler)
-                    _I.errorHandler = errorHandler;
+        function getBindPath(el) {
+            return el.attr("data-bind") || el.attr("name");
+        }
+        function writeField(el) {
+            var path = getBindPath(el);
+            var value = getPath(_I.model, path);
+            var type = (el.attr("type") || "").toLowerCase();
+
+            if (el.is("select")) {
+                var listPath = el.attr("data-list");
+                if (listPath) {
+                    var items = _I.lists && _I.lists[listPath] || getPath(_I.model, listPath);
+                    el.listSetData(items || [], {
+                        dataTextField: el.attr("data-list-text"),
+                        dataValueField: el.attr("data-list-value")
+                    });
+                }
+                el.val($.isArray(value) ? $.map(value, String) : value == null ? null : String(value));
+            }
+            else if (type == "checkbox")
+                el.prop("checked", $.isArray(value) ? $.inArray(el.val(), $.map(value, String)) > -1 : !!value);
+            else if (type == "radio")
+                el.prop("checked", value != null && el.val() == String(value));
+            else if (el.is("input,textarea"))
+                el.val(formatValue(el, value));
+            else
+                el.text(formatValue(el, value));
+        }
+        function readField(el, commit) {
+            if (!el.is("input,select,textarea"))
+                return;
 
-                if (queryString)
-                    queryString += "&";
-                else queryString = "";
-                queryString += "__WWEVENTCALLBACK=" + _I.controlId;
+            var path = getBindPath(el);
+            var current = getPath(_I.model, path);
+            var type = (el.attr("type") || "").toLowerCase();
+            var value;
 
-                _I.formName = _I.formName || document.forms[0];
+            if (type == "checkbox") {
+                if ($.isArray(current)) {
+                    value = $.grep(current, function (v) { return String(v) != el.val(); });
+                    if (el.prop("checked"))
+                        value.push(typeof current[0] == "number" ? parseFloat(el.val()) : el.val());
+                }
+                else
+                    value = el.prop("checked");
+            }
+            else if (type == "radio") {
+                if (!el.prop("checked"))
+                    return;
+                value = parseValue(el, el.val(), path, current, commit);
+            }
+            else if (el.is("select[multiple]"))
+                value = el.val() || [];
+            else
+                value = parseValue(el, el.val(), path, current, commit);
 
-                _I.http = new HttpClient();
-                _I.timeout = _I.timeout;
-                _I.http.appendHeader("RequestKey", key);
+            setPath(_I.model, path, value);
 
-                if (postData)
-                    postData += "&";
+            if (_I.dirtyClass)
+                _I.getFields().filter(function () { return getBindPath($(this)) == path; })
+                    .toggleClass(_I.dirtyClass, _I.isDirty(path));
+
+            if (_I.changed)
+                _I.changed(path, value, _I);
+        }
+        function getDateFormat(el) {
+            var type = (el.attr("type") || "").toLowerCase();
+            if (type == "date")
+                return "yyyy-MM-dd";
+            if (type == "datetime-local")
+                return "yyyy-MM-ddTHH:mm";
+            return el.attr("data-format") || _I.dateFormat;
+        }
+        function formatValue(el, value) {
+            if (value == null)
+                return "";
+            if (value instanceof Date)
+                return isNaN(value.getTime()) ? "" : formatDate(value, getDateFormat(el), _I.culture);
+            return String(value);
+        }
+        function parseValue(el, text, path, current, commit) {
+            // the type comes from the value as bound, not the current value
+            // which may still hold partial input
+            var inputType = (el.attr("type") || "").toLowerCase();
+            var type = types[path] ||
+                (inputType == "date" || inputType == "datetime-local" ? "date" :
+                 inputType == "number" || inputType == "range" ? "number" : null);
+
+            // invalid or partial input keeps the last valid value
+            var lastValid = getValueType(current) == type ? current : null;
+
+            if (type == "date") {
+                if (!text)
+                    return null;
+                var date = parseExact(text, getDateFormat(el), _I.culture);
+                // free form dates only when editing is done - partial input like "5" parses
+                if (!date && commit)
+                    date = new Date(text);
+                return date && !isNaN(date.getTime()) ? date : lastValid;
+            }
+            if (type == "number") {
+                if (!text)
+                    return null;
+                var num = parseFloat(text);
+                return isNaN(num) ? lastValid : num;
+            }
+            if (type == "boolean")
+                return text == "true";
+            return text;
+        }
+        function getValueType(value) {
+            if (value instanceof Date)
+                return "date";
+            if (typeof value == "number" || typeof value == "boolean")
+                return typeof value;
+            return null;
+        }
+        function copyValue(value) {
+            if (value instanceof Date)
+                return new Date(value.getTime());
+            if (!value || typeof value != "object")
+                return value;
+
+            var copy = $.isArray(value) ? [] : {};
+            for (var key in value) {
+                if (value.hasOwnProperty(key))
+                    copy[key] = copyValue(value[key]);
+            }
+            return copy;
+        }
+        function serialize(value) {
+            return value === undefined ? undefined : JSON.stringify(value);
+        }
+
+        jEl.off(ns);
+        if (_I.live)
+            jEl.on("input" + ns + " change" + ns, "[data-bind],[name]", function (e) {
+                readField($(this), e.type == "change");
+            });
+
+        _I.update();
+        _I.markClean();
+    };
+
+    function getPath(obj, path) {
+        if (!path)
+            return undefined;
+        var parts = path.split(".");
+        for (var i = 0; i < parts.length; i++) {
+            if (obj == null)
+                return undefined;
+            obj = obj[parts[i]];
+        }
+        return obj;
+    }
+    function setPath(obj, path, value) {
+        var parts = path.split(".");
+        for (var i = 0; i < parts.length - 1; i++) {
+            if (obj[parts[i]] == null || typeof obj[parts[i]] != "object")
+                obj[parts[i]] = {};
+            obj = obj[parts[i]];
+        }
+        obj[parts[parts.length - 1]] = value;
+    }
+
+    $.fn.dataBind = function (model, opt) {
+        /// <summary>
+        /// Binds the elements inside of the selected container to an object.
+        /// Pass "instance" to retrieve the DataBinder, "update" to push
+        /// the model into the form, "read" to pull form values into the
+        /// model or "unbind" to remove the binding.
+        /// </summary>
+        /// <returns type="jQuery" />
+        if (this.length < 1)
+            return this;
+
+        var binder = this.data("dataBinder");
+        if (typeof model == "string") {
+            if (!binder)
+                return null;
+            if (model == "instance" || model == "get")
+                return binder;
+            if (model == "read")
+                return binder.read();
+            if (model == "update")
+                binder.update();
+            if (model == "unbind")
+                binder.unbind();
+            return this;
+        }
+
+        if (binder)
+            binder.unbind();
+        this.data("dataBinder", new DataBinder(this.eq(0), model, opt));
+        return this;
+    };
+
+    var FormValidator = function (sel, opt) {
+        /// <summary>
+        /// Validates the input elements of a form or container. Rules come
+        /// from HTML attributes (required, min, max, minlength, maxlength,
+        /// pattern, type=email), data-val-* attributes and the rules option.
+        /// </summary>
+        /// <param name="sel" type="selector">form or container to validate</param>
+        /// <param name="opt" type="object">
+        /// rules: { path: { required, min, max, minLength, maxLength, pattern, email,
+        ///                  validate: function(value, data, el), remote: url or { url, data(value, data) },
+        ///                  message, messages: { rule: message } } },
+        /// summary: selector of the error summary element,
+        /// submitHandler: function(data, report, validator) called for a valid form
+        /// </param>
+        var _I = this;
+        var jEl = $(sel);
+
+        this.rules = {};
+        // per rule message overrides - defaults are in FormValidator.messages
+        this.messages = null;
+        this.invalidClass = "invalid";
+        this.errorClass = "field-error";
+        this.summary = null;
+        this.summaryHeader = "Please correct the following errors:";
+        // revalidate fields as they change once the form has been validated
+        this.validateOnChange = true;
+        // intercept form submission and only submit a valid form
+        this.blockSubmit = true;
+        this.submitHandler = null;
+        $.extend(_I, opt);
+
+        var ns = ".validator";
+        var validated = false;
+        var remoteCache = {};
+        // errors without a matching field only show in the summary
+        var generalErrors = [];
+
+        this.getFields = function () {
+            return jEl.find("input[name],select[name],textarea[name],[data-bind]")
+                      .filter("input,select,textarea")
+                      .not(":button,:submit,:reset,:image");
+        };
+        this.getData = function () {
+            /// <summary>
+            /// Returns the form values as an object via serializeObject().
+            /// </summary>
+            return (jEl.is("form") ? jEl : jEl.find(":input")).serializeObject();
+        };
+        this.validate = function () {
+            /// <summary>
+            /// Validates all fields and displays the errors.
+            /// </summary>
+            /// <returns type="Promise">resolves to { isValid, errors: [{ path, message, element }], data }</returns>
+            validated = true;
+            var data = _I.getData();
+            var paths = getPaths();
+
+            return Promise.all($.map(paths, function (path) {
+                return validatePath(path, data);
+            })).then(function (results) {
+                var errors = $.grep(results, function (err) { return !!err; });
+                _I.showErrors(errors);
+                return { isValid: errors.length < 1, errors: errors, data: data };
+            });
+        };
+        this.validateField = function (path) {
+            /// <summary>
+            /// Validates and updates the error display of a single field.
+            /// </summary>
+            /// <returns type="Promise">resolves to the error or null</returns>
+            return validatePath(path, _I.getData()).then(function (err) {
+                clearField(path);
+                if (err)
+                    showFieldError(err);
+                updateSummary();
+                return err;
+            });
+        };
+        this.showErrors = function (errors) {
+            /// <summary>
+            /// Displays a list of { path, message } errors next to their fields.
+            /// Errors that don't match a field only show in the summary.
+            /// </summary>
+            _I.clearErrors();
+            $.each(errors || [], function (i, err) {
+                if (!err.element)
+                    err.element = err.path && findField(err.path)[0] || null;
+                if (err.element)
+                    showFieldError(err);
+                else
+                    generalErrors.push(err.message);
+            });
+            updateSummary();
+        };
+        this.showServerErrors = function (err) {
+            /// <summary>
+            /// Maps field errors returned by the server in a CallbackException
+            /// (validationErrors, errors or detail as an array of { field, message }
+            /// or a { field: message } map) onto the inputs.
+            /// </summary>
+            /// <returns type="boolean">true if field errors were found</returns>
+            var errors = getServerErrors(err);
+            if (errors.length < 1 && err && err.message)
+                errors.push({ path: null, message: err.message });
+            _I.showErrors(errors);
+            return errors.length > 0 && !!errors[0].path;
+        };
+        this.clearErrors = function () {
+            generalErrors = [];
+            jEl.find("." + _I.errorClass).remove();
+            _I.getFields().removeClass(_I.invalidClass).removeAttr("aria-invalid");
+            if (_I.summary)
+                $(_I.summary).empty().hide();
+        };
+        this.destroy = function () {
+            _I.clearErrors();
+            getForm().off(ns);
+            jEl.off(ns);
+            jEl.removeData("formValidator");
+        };
+
+        function getForm() {
+            return jEl.is("form") ? jEl : jEl.closest("form");
+        }
+        function getPath(el) {
+            return el.attr("name") || el.attr("data-bind");
+        }
+        function getPaths() {
+            var paths = [];
+            _I.getFields().each(function () {
+                var path = getPath($(this));
+                if ($.inArray(path, paths) < 0)
+                    paths.push(path);
+            });
+            return paths;
+        }
+        function findField(path) {
+            return _I.getFields().filter(function () { return getPath($(this)) == path; });
+        }
+        function getValue(fields) {
+            var el = fields.eq(0);
+            if (el.is(":checkbox,:radio")) {
+                var values = fields.filter(":checked").map(function () { return this.value; }).get();
+                return el.is(":radio") || fields.length == 1 ? values[0] || "" : values;
+            }
+            var val = el.val();
+            return typeof val == "string" ? $.trim(val) : val || "";
+        }
+        function getLabel(el) {
+            var label = el.attr("data-val-label");
+            if (!label && el.attr("id"))
+                label = $.trim($("label[for='" + el.attr("id") + "']").text());
+            return label || el.attr("placeholder") || getPath(el);
+        }
+        function getRules(el, path) {
+            var rules = {};
+            var attr = function (name) {
+                var val = el.attr(name);
+                return val === undefined || val === "" ? null : val;
+            };
+
+            if (el.prop("required") || el.attr("data-val-required") !== undefined)
+                rules.required = true;
+            if ((el.attr("type") || "").toLowerCase() == "email" || el.attr("data-val-email") !== undefined)
+                rules.email = true;
+            // date inputs keep their yyyy-MM-dd style limits - compared as dates
+            var toLimit = isDateInput(el) ? function (val) { return val; } : parseFloat;
+            if (attr("min") != null || attr("data-val-min") != null)
+                rules.min = toLimit(attr("data-val-min") || attr("min"));
+            if (attr("max") != null || attr("data-val-max") != null)
+                rules.max = toLimit(attr("data-val-max") || attr("max"));
+            if (attr("minlength") != null || attr("data-val-minlength") != null)
+                rules.minLength = parseInt(attr("data-val-minlength") || attr("minlength"), 10);
+            var maxLength = attr("data-val-maxlength") || attr("maxlength");
+            if (maxLength != null && maxLength > -1)
+                rules.maxLength = parseInt(maxLength, 10);
+            if (attr("data-val-pattern") || attr("pattern"))
+                rules.pattern = attr("data-val-pattern") || attr("pattern");
+            if (attr("data-val-remote"))
+                rules.remote = attr("data-val-remote");
+            if (attr("data-val-message"))
+                rules.message = attr("data-val-message");
+
+            rules = $.extend(rules, _I.rules[path]);
+            rules.messages = $.extend({}, rules.messages);
+            $.each(["required", "email", "min", "max", "minLength", "maxLength", "pattern", "remote"], function (i, rule) {
+                var msg = attr("data-val-" + rule.toLowerCase() + "-message");
+                if (msg)
+                    rules.messages[rule] = msg;
+            });
+            return rules;
+        }
+        function isDateInput(el) {
+            var type = (el.attr("type") || "").toLowerCase();
+            return type == "date" || type == "datetime-local" || type == "month";
+        }
+        function parseInputDate(value) {
+            // yyyy-MM, yyyy-MM-dd and yyyy-MM-ddTHH:mm[:ss[.fff]] as UTC ticks
+            if (value instanceof Date)
+                return value.getTime();
+            var m = /^(\d{4,})-(\d{2})(?:-(\d{2}))?(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/.exec(value);
+            if (!m)
+                return NaN;
+            return Date.UTC(+m[1], m[2] - 1, m[3] ? +m[3] : 1, +m[4] || 0, +m[5] || 0, +m[6] || 0,
+                            m[7] ? +(m[7] + "00").substr(0, 3) : 0);
+        }
+        function formatMessage(rules, rule, label, param) {
+            var msg = rules.messages[rule] || rules.message ||
+                      _I.messages && _I.messages[rule] || FormValidator.messages[rule] || FormValidator.messages.invalid;
+            return stringFormat(msg, label, param);
+        }
+        function validatePath(path, data) {
+            var fields = findField(path);
+            var el = fields.eq(0);
+            var value = getValue(fields);
+            var rules = getRules(el, path);
+            var label = getLabel(el);
+            var fail = function (rule, param) {
+                return { path: path, element: el[0], rule: rule, message: formatMessage(rules, rule, label, param) };
+            };
+
+            var isEmpty = value == null || value === "" || $.isArray(value) && value.length < 1;
+            if (isEmpty)
+                return Promise.resolve(rules.required ? fail("required") : null);
+
+            if (rules.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value))
+                return Promise.resolve(fail("email"));
+
+            var toNumber = isDateInput(el) ? parseInputDate : parseFloat;
+            var num = toNumber(value);
+            if (rules.min != null && !isNaN(toNumber(rules.min)) && (isNaN(num) || num < toNumber(rules.min)))
+                return Promise.resolve(fail("min", rules.min));
+            if (rules.max != null && !isNaN(toNumber(rules.max)) && (isNaN(num) || num > toNumber(rules.max)))
+                return Promise.resolve(fail("max", rules.max));
+
+            if (rules.minLength != null && value.length < rules.minLength)
+                return Promise.resolve(fail("minLength", rules.minLength));
+            if (rules.maxLength != null && value.length > rules.maxLength)
+                return Promise.resolve(fail("maxLength", rules.maxLength));
+
+            if (rules.pattern) {
+                var regex = rules.pattern;
+                if (!(regex instanceof RegExp)) {
+                    // an invalid pattern matches anything - like the browser
+                    try {
+                        regex = new RegExp("^(?:" + regex + ")$");
+                    } catch (ex) {
+                        regex = null;
+                    }
+                }
+                if (regex && !regex.test(value))
+                    return Promise.resolve(fail("pattern"));
+            }
+
+            var check = Promise.resolve(true);
+            if (rules.validate)
+                check = check.then(function () {
+                    return rules.validate.call(el[0], value, data, el);
+                });
+            if (rules.remote)
+                check = check.then(function (result) {
+                    return isValidResult(result) ? remoteCheck(path, rules.remote, value, data) : result;
+                });
+
+            return check.then(function (result) {
+                if (isValidResult(result))
+                    return null;
+                var err = fail(rules.remote && result && result.remote ? "remote" : "invalid");
+                if (typeof result == "string")
+                    err.message = result;
+                else if (result && result.message)
+                    err.message = result.message;
+                return err;
+            }, function (ex) {
+                var err = fail("invalid");
+                if (ex && ex.message)
+                    err.message = ex.message;
+                return err;
+            });
+        }
+        function isValidResult(result) {
+            return result === true || result === undefined || result === null ||
+                   typeof result == "object" && result.isValid === true;
+        }
+        function remoteCheck(path, remote, value, data) {
+            if (typeof remote == "string")
+                remote = { url: remote };
+
+            var key = path + ":" + value;
+            if (remoteCache[key])
+                return remoteCache[key];
+
+            var payload = remote.data ? remote.data(value, data) : {};
+            if (!remote.data)
+                payload[path] = value;
+
+            var promise = new Promise(function (resolve, reject) {
+                ajaxJson(remote.url, payload, function (result) {
+                    if (result === false)
+                        result = { isValid: false };
+                    if (result && typeof result == "object" && result.isValid === false)
+                        result.remote = true;
+                    resolve(result);
+                }, function (err) {
+                    delete remoteCache[key];
+                    reject(err);
+                });
+            });
+            remoteCache[key] = promise;
+            return promise;
+        }
+        function showFieldError(err) {
+            var fields = findField(err.path);
+            if (fields.length < 1)
+                return;
+
+            fields.addClass(_I.invalidClass).attr("aria-invalid", "true");
+
+            var el = fields.last();
+            var id = (fields.eq(0).attr("id") || err.path.replace(/\W/g, "_")) + "_error";
+            var msg = $("<div>").addClass(_I.errorClass).attr({ id: id, role: "alert" }).text(err.message);
+
+            // keep the message outside of wrapping labels
+            var label = el.parent("label");
+            msg.insertAfter(label.length ? label : el);
+
+            fields.each(function () {
+                var field = $(this);
+                var describedBy = (field.attr("aria-describedby") || "").replace(id, "");
+                field.attr("aria-describedby", $.trim(describedBy + " " + id));
+            });
+        }
+        function clearField(path) {
+            var fields = findField(path);
+            fields.removeClass(_I.invalidClass).removeAttr("aria-invalid");
+            var id = (fields.eq(0).attr("id") || path.replace(/\W/g, "_")) + "_error";
+            jEl.find("#" + id).remove();
+        }
+        function updateSummary() {
+            if (!_I.summary)
+                return;
+            var summary = $(_I.summary).empty();
+
+            var items = jEl.find("." + _I.errorClass).map(function () { return $(this).text(); }).get()
+                           .concat(generalErrors);
+            if (items.length < 1)
+                return summary.hide();
+
+            var ul = $("<ul>");
+            $.each(items, function (i, text) {
+                ul.append($("<li>").text(text));
+            });
+            summary.attr("role", "alert")
+                   .append($("<div>").text(_I.summaryHeader))
+                   .append(ul)
+                   .show();
+        }
+        function getServerErrors(err) {
+            var list = err && (err.validationErrors || err.ValidationErrors || err.errors || err.Errors ||
+                               typeof err.detail == "object" && err.detail);
+            var errors = [];
+            if (!list)
+                return errors;
+
+            if ($.isArray(list)) {
+                $.each(list, function (i, item) {
+                    if (typeof item == "string")
+                        return errors.push({ path: null, message: item });
+                    errors.push({
+                        path: item.field || item.Field || item.name || item.property || item.PropertyName || null,
+                        message: item.message || item.Message || item.ErrorMessage
+                    });
+                });
+            }
+            else {
+                $.each(list, function (path, message) {
+                    errors.push({ path: path, message: $.isArray(message) ? message.join(" ") : message });
+                });
+            }
+
+            // match field names case insensitively and keep unknown fields for the summary
+            var paths = getPaths();
+            $.each(errors, function (i, e) {
+                if (!e.path) return;
+                var match = $.grep(paths, function (p) { return p.toLowerCase() == e.path.toLowerCase(); });
+                e.path = match.length ? match[0] : e.path;
+            });
+            return errors;
+        }
+
+        if (_I.validateOnChange)
+            jEl.on("change" + ns + " focusout" + ns, "input,select,textarea", function () {
+                var path = getPath($(this));
+                if (validated && path)
+                    _I.validateField(path);
+            });
+
+        if (_I.blockSubmit)
+            getForm().on("submit" + ns, function (e) {
+                var form = this;
+                var submitter = e.originalEvent && e.originalEvent.submitter;
+                e.preventDefault();
+                _I.validate().then(function (report) {
+                    if (!report.isValid) {
+                        var first = _I.getFields().filter("." + _I.invalidClass).first();
+                        if (first.length)
+                            first[0].focus();
+                        return;
+                    }
+                    if (_I.submitHandler)
+                        _I.submitHandler(report.data, report, _I);
+                    else
+                        submitForm(form, submitter);
+                });
+            });
+    };
+    function submitForm(form, submitter) {
+        // submit() doesn't send the button that was clicked - add its name/value
+        var $button = null;
+        if (submitter && submitter.name)
+            $button = $("<input type='hidden'>")
+                .attr({ name: submitter.name, value: submitter.value || "" })
+                .appendTo(form);
+
+        // form.submit may be shadowed by a control named submit
+        HTMLFormElement.prototype.submit.call(form);
+
+        if ($button)
+            $button.remove();
+    }
+    FormValidator.messages = {
+        required: "{0} is required.",
+        email: "{0} must be a valid email address.",
+        min: "{0} must be at least {1}.",
+        max: "{0} must be at most {1}.",
+        minLength: "{0} must be at least {1} characters.",
+        maxLength: "{0} must be at most {1} characters.",
+        pattern: "{0} is not in the correct format.",
+        remote: "{0} is invalid.",
+        invalid: "{0} is invalid."
+    };
+
+    $.fn.formValidator = function (opt) {
+        /// <summary>
+        /// Attaches a FormValidator to a form or container. Pass "instance"
+        /// to retrieve the validator, "validate" to get a promise of the
+        /// validity report, "clear" to clear errors or "destroy".
+        /// </summary>
+        /// <returns type="jQuery" />
+        if (this.length < 1)
+            return this;
+
+        var validator = this.data("formValidator");
+        if (typeof opt == "string") {
+            if (!validator)
+                return null;
+            if (opt == "instance" || opt == "get")
+                return validator;
+            if (opt == "validate")
+                return validator.validate();
+            if (opt == "clear")
+                validator.clearErrors();
+            if (opt == "destroy")
+                validator.destroy();
+            return this;
+        }
+
+        if (validator)
+            validator.destroy();
+        this.data("formValidator", new FormValidator(this.eq(0), opt));
+        return this;
+    };
+
+    var HoverPanel = function (sel, opt) {
+        var _I = this;
+        var jEl = $(sel);
+        var el = jEl.get(0);
+
+        var busy = -1;
+        var lastMouseTop = 0;
+        var lastMouseLeft = 0;
+
+        this.serverUrl = "";
+        this.timeout = 20000;
+        this.controlId = el.id;
+        this.htmlTargetId = el.id;
+        this.queryString = "";
+        this.eventHandlerMode = "ShowHtmlAtMousePosition";
+        this.postbackMode = "Get"; // Post/PostNoViewstate
+        this.completed = null;
+        this.errorHandler = null;
+        this.hoverOffsetRight = 0;
+        this.hoverOffsetBottom = 0;
+        this.panelOpacity = 1;
+        this.adjustWindowPosition = true;
+        this.formName = "";
+        this.navigateDelay = 0;
+        this.http = null;
+        $.extend(_I, opt);
+
+        this.startCallback = function (e, queryString, postData, errorHandler) {
+            try {
+                var key = new Date().getTime();
+                _I.busy = key;
+                var url = this.serverUrl;
+                if (e) {
+                    _I.lastMouseTop = e.clientY;
+                    _I.lastMouseLeft = e.clientX;
+                } else
+                    _I.lastMouseTop = 0;
+
+                if (queryString == null)
+                    _I.queryString = queryString = "";
+                else
+                    _I.queryString = queryString;
+
+                if (errorHandler)
+                    _I.errorHandler = errorHandler;
+
+                if (queryString)
+                    queryString += "&";
+                else queryString = "";
+                queryString += "__WWEVENTCALLBACK=" + _I.controlId;
+
+                _I.formName = _I.formName || document.forms[0];
+
+                _I.http = new HttpClient();
+                _I.timeout = _I.timeout;
+                _I.http.appendHeader("RequestKey", key);
+
+                if (postData)
+                    postData += "&";
                 else
                     postData = "";
 
@@ -1185,7 +2646,12 @@ http://en.wikipedia.org/wiki/MIT_License
         };
     };
 
-    _ModalDialog = function (sel, opt) {
+    // open dialogs - the last entry is the top most dialog
+    var modalStack = [];
+    var __modalId = 0;
+    var tabbableSelector = "a[href],area[href],button,input:not([type=hidden]),select,textarea,iframe,[tabindex],[contenteditable=true]";
+
+    var _ModalDialog = function (sel, opt) {
         var _I = this;
         var jEl = $(sel);
         if (jEl.length < 1)
@@ -1203,8 +2669,22 @@ http://en.wikipedia.org/wiki/MIT_License
         this.jOverlay = null;
         this.keepCentered = true;
         this.dialogHandler = null;
+        // close the dialog when Escape is pressed
+        this.closeOnEscape = true;
+        // called when Escape is pressed (e, dialog) - return false to keep the dialog open
+        this.onEscape = null;
+        // selector or element to focus when the dialog opens - defaults to the first focusable element
+        this.initialFocus = null;
+        // return focus to the previously active element when the dialog closes
+        this.restoreFocus = true;
+        // called when an open dialog is hidden by any means (dialog)
+        this.onHide = null;
+        this.isOpen = false;
         $.extend(_I, opt);
         var hideLists = null;
+        var ns = ".modal" + (++__modalId);
+        var overlaySel = null;
+        var lastFocus = null;
 
         this.show = function (msg, head, asHtml) {
             if (_I.contentId && typeof msg == "string")
@@ -1212,36 +2692,103 @@ http://en.wikipedia.org/wiki/MIT_License
             if (_I.headerId && typeof head == "string")
                 !asHtml ? $("#" + _I.headerId).text(head) : $("#" + _I.headerId).html(head);
 
-            _I.zIndex = _I.zIndex > 0 ? _I.zIndex : $.maxZIndex();
+            if (_I.isOpen)
+                removeFromStack();
+
+            // stacked dialogs get their own overlay above the dialog below
+            var prevOverlay = overlaySel;
+            var parent = modalStack[modalStack.length - 1];
+            if (parent) {
+                overlaySel = "#" + _I.overlayId + "_" + modalStack.length;
+                if (_I.zIndex <= parent.zIndex + 1)
+                    _I.zIndex = $.maxZIndex();
+            }
+            else {
+                overlaySel = "#" + _I.overlayId;
+                _I.zIndex = _I.zIndex > 0 ? _I.zIndex : $.maxZIndex();
+            }
+            if (prevOverlay && prevOverlay != overlaySel)
+                opaqueOverlay("hide", { sel: prevOverlay });
+
+            if (!_I.isOpen)
+                lastFocus = document.activeElement;
+
             jEl.css({ zIndex: _I.zIndex + 2 }).show().centerInClient();
+            setAria();
 
-            var bg = opaqueOverlay({ zIndex: _I.zIndex + 1, sel: "#" + _I.overlayId, opacity: _I.backgroundOpacity });
+            var bg = opaqueOverlay({ zIndex: _I.zIndex + 1, sel: overlaySel, opacity: _I.backgroundOpacity });
+            _I.jOverlay = bg;
             _I.zIndex++;
             if (_I.fadeInBackground)
                 bg.hide().fadeIn("slow");
 
             // track any clicks inside modal dialog
-            jEl.click(_I.callback);
+            jEl.unbind("click" + ns).bind("click" + ns, _I.callback);
 
             if (_I.keepCentered)
-                $(window).bind("resize.modal", function () {
+                $(window).unbind(ns).bind("resize" + ns, function () {
                     jEl.centerInClient();
-                }).bind("scroll.modal", function () {
+                }).bind("scroll" + ns, function () {
                     jEl.centerInClient();
                 });
+
+            _I.isOpen = true;
+            modalStack.push(_I);
+            if (modalStack.length == 1)
+                $(document).bind("keydown.modalstack", modalKeyDown)
+                           .bind("focusin.modalstack", modalFocusIn);
+
+            _I.focus();
         };
         this.hide = function () {
             jEl.hide();
             if (_I.keepCentered)
-                $(window).unbind("resize.modal").unbind("scroll.modal");
-            opaqueOverlay("hide", { sel: "#" + _I.overlayId });
-            jEl.unbind("click");
+                $(window).unbind(ns);
+            if (overlaySel)
+                opaqueOverlay("hide", { sel: overlaySel });
+            jEl.unbind("click" + ns);
 
             // restore IE list boxes
             if (hideLists) {
                 hideLists.show();
                 hideLists = null;
             }
+
+            if (!_I.isOpen)
+                return;
+            _I.isOpen = false;
+            removeFromStack();
+
+            var focusEl = lastFocus;
+            lastFocus = null;
+            if (_I.restoreFocus && focusEl && focusEl.focus && $.contains(document.documentElement, focusEl))
+                focusEl.focus();
+            else if (modalStack.length > 0)
+                modalStack[modalStack.length - 1].focus();
+
+            if (_I.onHide)
+                _I.onHide(_I);
+        };
+        this.focus = function () {
+            /// <summary>
+            /// Moves focus into the dialog: initialFocus, the first
+            /// focusable element or the dialog itself.
+            /// </summary>
+            var el = _I.initialFocus ? $(_I.initialFocus, jEl).first() : $();
+            if (el.length < 1)
+                el = _I.getTabbable().first();
+            if (el.length < 1)
+                el = jEl;
+            el.get(0).focus();
+        };
+        this.getTabbable = function () {
+            return jEl.find(tabbableSelector).filter(function () {
+                var el = $(this);
+                return !this.disabled && el.attr("tabindex") != "-1" && el.is(":visible");
+            });
+        };
+        this.contains = function (el) {
+            return el == jEl.get(0) || $.contains(jEl.get(0), el);
         };
         this.callback = function (e) {
             // handle clicks only for buttons/links
@@ -1259,7 +2806,72 @@ http://en.wikipedia.org/wiki/MIT_License
                 }, 10);
             }
         };
+        this.keyDown = function (e) {
+            if (e.keyCode == 27) {
+                if (!_I.closeOnEscape || _I.onEscape && _I.onEscape(e, _I) === false)
+                    return;
+                e.preventDefault();
+                e.stopPropagation();
+                _I.hide();
+                return;
+            }
+            if (e.keyCode != 9)
+                return;
+
+            // keep tabbing inside of the dialog
+            var tabbable = _I.getTabbable();
+            if (tabbable.length < 1) {
+                e.preventDefault();
+                jEl.get(0).focus();
+                return;
+            }
+            var first = tabbable.get(0);
+            var last = tabbable.get(tabbable.length - 1);
+            var active = document.activeElement;
+            if (!_I.contains(active) || active == jEl.get(0)) {
+                e.preventDefault();
+                (e.shiftKey ? last : first).focus();
+            }
+            else if (e.shiftKey && active == first) {
+                e.preventDefault();
+                last.focus();
+            }
+            else if (!e.shiftKey && active == last) {
+                e.preventDefault();
+                first.focus();
+            }
+        };
+
+        function setAria() {
+            if (!jEl.attr("role"))
+                jEl.attr("role", "dialog");
+            jEl.attr("aria-modal", "true");
+            if (!jEl.attr("tabindex"))
+                jEl.attr("tabindex", "-1");
+            if (_I.headerId && $("#" + _I.headerId).length > 0)
+                jEl.attr("aria-labelledby", _I.headerId);
+            if (_I.contentId && _I.contentId != jEl.get(0).id)
+                jEl.attr("aria-describedby", _I.contentId);
+        }
+        function removeFromStack() {
+            var idx = $.inArray(_I, modalStack);
+            if (idx > -1)
+                modalStack.splice(idx, 1);
+            if (modalStack.length < 1)
+                $(document).unbind(".modalstack");
+        }
     };
+    function modalKeyDown(e) {
+        var top = modalStack[modalStack.length - 1];
+        if (top)
+            top.keyDown(e);
+    }
+    function modalFocusIn(e) {
+        // focus moved behind the overlay - pull it back into the top dialog
+        var top = modalStack[modalStack.length - 1];
+        if (top && !top.contains(e.target))
+            top.focus();
+    }
     $.fn.modalDialog = function (opt, msg, head, asHtml, handler) {
         if (this.length < 1)
             return this;
@@ -1272,6 +2884,8 @@ http://en.wikipedia.org/wiki/MIT_License
         var md = jEl.data(dId);
         if (!md)
             md = new _ModalDialog(jEl, opt);
+        else if (typeof opt == "object")
+            $.extend(md, opt);
         if (typeof opt == "string") {
             if (opt == "hide" || opt == "close")
                 md.hide();
@@ -1285,61 +2899,236 @@ http://en.wikipedia.org/wiki/MIT_License
         return this;
     };
     $.modalDialog = function (msg, header, aButtons, handler, isHtml) {
-        var dl = $("#_MBOX");
-        if (dl.length < 1) {
-            dl = $("<div>").addClass("dialog dragwindow").attr("id", "_MBOX").css({ width: 400 });
-            var head = $("<div>").addClass("dialog-header").attr("id", "_MBOXHEADER");
-            var ctn = $("<div>").addClass("dialog-content").attr("id", "_MBOXCONTENT");
-
-            dl.append(head).append(ctn);
-            var btns = $("<div>").css("margin", "0px 15px 15px");
-            if (!aButtons)
-                aButtons = [" Close "];
-            for (var i = 0; i < aButtons.length; i++) {
-                var btn = $("<input type='button' />").attr("id", "_BTN_" + i).css("margin-right", "5px").val(aButtons[i]);
-                btns.append(btn);
-            }
-            dl.append(btns).appendTo(document.body);
-        }
+        /// <summary>
+        /// Displays a message box with a set of buttons. Buttons are
+        /// strings or { key, text, isDefault, isCancel } objects and
+        /// the handler receives the clicked button (_BTN_n) as this.
+        /// </summary>
         if (!handler)
             handler = function () {
                 if (this.id.substr(0, 5) == "_BTN_" || $(this).hasClass("closebox")) return true;
                 return false;
             };
-        dl.modalDialog({ dialogHandler: handler, headerId: "_MBOXHEADER", contentId: "_MBOXCONTENT" },
-	                 msg, header, isHtml)
-	 .draggable({ handle: $("#_MBOX .dialog-header") })
-	 .closable({
-	     closeHandler: function closeHandler() {
-	         var close = true;
-	         if (handler)
-	             close = handler.call(this);
-	         if (close)
-	             $("#_MBOX").modalDialog("hide");
-	     }
-	 });
+        showMessageBox({ message: msg, header: header, buttons: aButtons, handler: handler, isHtml: isHtml });
     };
-    opaqueOverlay = function (opt, p2) {
-        var _I = this;
-        var jWin = $(window);
+    $.modalDialog.alert = function (msg, header, options) {
+        /// <summary>
+        /// Displays a message with an OK button.
+        /// </summary>
+        /// <returns type="Promise">resolves to "ok" when the dialog is closed</returns>
+        return messageBoxAsync(msg, header, $.extend({
+            buttons: [{ key: "ok", text: "OK", isDefault: true, isCancel: true }]
+        }, options));
+    };
+    $.modalDialog.confirm = function (msg, header, options) {
+        /// <summary>
+        /// Displays a message with OK and Cancel buttons or a custom button set.
+        /// </summary>
+        /// <param name="options" type="object">
+        /// buttons: array of strings or { key, text, isDefault, isCancel },
+        /// template: parseTemplate() template used for the body,
+        /// data: model for the template
+        /// </param>
+        /// <returns type="Promise">resolves to the key of the clicked button</returns>
+        return messageBoxAsync(msg, header, $.extend({
+            buttons: [{ key: "ok", text: "OK", isDefault: true },
+                      { key: "cancel", text: "Cancel", isCancel: true }]
+        }, options));
+    };
+    $.modalDialog.prompt = function (msg, header, options) {
+        /// <summary>
+        /// Displays a message with a text input.
+        /// </summary>
+        /// <param name="options" type="object">
+        /// value: initial text,
+        /// placeholder: input placeholder,
+        /// validate: function(value) that returns true or an error message
+        /// </param>
+        /// <returns type="Promise">resolves to the entered text or null when cancelled</returns>
+        return messageBoxAsync(msg, header, $.extend({
+            buttons: [{ key: "ok", text: "OK", isDefault: true },
+                      { key: "cancel", text: "Cancel", isCancel: true }],
+            prompt: true
+        }, options));
+    };
+
+    function messageBoxAsync(msg, header, opt) {
+        return new Promise(function (resolve) {
+            var buttons = getDialogButtons(opt.buttons);
+            var cancelKey = null;
+            for (var i = 0; i < buttons.length; i++) {
+                if (buttons[i].isCancel)
+                    cancelKey = buttons[i].key;
+            }
+
+            var isHtml = opt.isHtml;
+            if (opt.template) {
+                msg = parseTemplate(opt.template, opt.data || {});
+                isHtml = true;
+            }
+
+            var settled = false;
+            var settle = function (key) {
+                if (settled) return;
+                settled = true;
+                if (opt.prompt)
+                    resolve(key != null && key != cancelKey ? input.val() : null);
+                else
+                    resolve(key);
+            };
+
+            var dl = showMessageBox({
+                message: msg,
+                header: header,
+                buttons: buttons,
+                isHtml: isHtml,
+                prompt: opt.prompt ? opt : null,
+                handler: function () {
+                    var el = $(this);
+                    var key = el.hasClass("closebox") ? cancelKey : el.attr("data-key");
+                    if (key == null)
+                        return false;
+                    if (opt.prompt && key != cancelKey && !validatePrompt())
+                        return false;
+                    settle(key);
+                    return true;
+                },
+                onEscape: function () {
+                    settle(cancelKey);
+                },
+                // closed without a button or replaced by another message box
+                onHide: function () {
+                    settle(cancelKey);
+                }
+            });
+            var input = dl.find(".dialog-prompt input");
+
+            function validatePrompt() {
+                var error = opt.validate ? opt.validate(input.val()) : true;
+                if (error === true || error == null)
+                    return true;
+
+                dl.find(".dialog-prompt-error")
+                  .text(typeof error == "string" ? error : "Please enter a valid value.")
+                  .show();
+                input.attr("aria-invalid", "true").focus();
+                return false;
+            }
+        });
+    }
+    function getDialogButtons(aButtons) {
+        if (!aButtons || aButtons.length < 1)
+            aButtons = [" Close "];
+        return $.map(aButtons, function (btn) {
+            if (typeof btn == "string")
+                btn = { text: btn, key: $.trim(btn) };
+            return $.extend({ key: btn.text, text: btn.key }, btn);
+        });
+    }
+    function showMessageBox(opt) {
+        var dl = $("#_MBOX");
+        if (dl.length < 1) {
+            dl = $("<div>").addClass("dialog dragwindow").attr("id", "_MBOX").css({ width: 400 });
+            var head = $("<div>").addClass("dialog-header").attr("id", "_MBOXHEADER");
+            var ctn = $("<div>").addClass("dialog-content").attr("id", "_MBOXCONTENT");
+
+            dl.append(head).append(ctn).appendTo(document.body);
+        }
+
+        // a message box that is still open is replaced - let it settle first
+        var md = dl.data("modal_MBOX");
+        if (md && md.isOpen && md.onHide) {
+            var onHide = md.onHide;
+            md.onHide = null;
+            onHide(md);
+        }
+
+        // prompt input and buttons are rebuilt for each message box
+        dl.find(".dialog-prompt,.dialog-buttons").remove();
+
+        if (opt.prompt) {
+            var prompt = $("<div>").addClass("dialog-prompt").css("margin", "0px 15px 10px");
+            var input = $("<input type='text' />")
+                .attr({ id: "_MBOXINPUT", "aria-labelledby": "_MBOXCONTENT", placeholder: opt.prompt.placeholder || "" })
+                .css("width", "100%")
+                .val(opt.prompt.value || "");
+            var error = $("<div>").addClass("dialog-prompt-error").attr("role", "alert").hide();
+            input.on("input", function () {
+                input.removeAttr("aria-invalid");
+                error.hide();
+            });
+            dl.append(prompt.append(input).append(error));
+        }
+
+        var buttons = getDialogButtons(opt.buttons);
+        var btns = $("<div>").addClass("dialog-buttons").css("margin", "0px 15px 15px");
+        var defaultBtn = null;
+        for (var i = 0; i < buttons.length; i++) {
+            var btn = $("<input type='button' />")
+                .attr({ id: "_BTN_" + i, "data-key": buttons[i].key })
+                .css("margin-right", "5px")
+                .val(buttons[i].text);
+            if (buttons[i].isDefault || !defaultBtn)
+                defaultBtn = btn;
+            btns.append(btn);
+        }
+        dl.append(btns);
+
+        // Enter clicks the default button
+        dl.unbind("keydown.mbox").bind("keydown.mbox", function (e) {
+            if (e.keyCode == 13 && !$(e.target).is("textarea,:button,a,.closebox")) {
+                e.preventDefault();
+                defaultBtn.click();
+            }
+        });
+
+        dl.modalDialog({
+            dialogHandler: opt.handler,
+            headerId: "_MBOXHEADER",
+            contentId: "_MBOXCONTENT",
+            initialFocus: opt.prompt ? "#_MBOXINPUT" : defaultBtn,
+            onEscape: opt.onEscape || null,
+            onHide: opt.onHide || null
+        }, opt.message, opt.header, opt.isHtml)
+	 .draggable({ handle: $("#_MBOX .dialog-header") });
+
+        dl.find(".closebox").unbind("click");
+        dl.closable({
+	     closeHandler: function closeHandler() {
+	         var close = true;
+	         if (opt.handler)
+	             close = opt.handler.call(this);
+	         if (close)
+	             $("#_MBOX").modalDialog("hide");
+	     }
+	 });
 
-        this.sel = "#_ShadowOverlay";
-        this.opacity = 0.75;
-        this.zIndex = 10000;
-        $.extend(this, p2 || opt);
+        return dl;
+    }
+    var opaqueOverlay = function (opt, p2) {
+        // called as a plain function - options are local, not on this
+        var options = p2 || opt;
+        var _I = $.extend({
+            sel: "#_ShadowOverlay",
+            opacity: 0.75,
+            zIndex: 10000
+        }, typeof options === "object" ? options : null);
+        var jWin = $(window);
 
-        var sh = $(sel);
+        var sh = $(_I.sel);
+        // each overlay tracks the window with its own event namespace
+        var ns = ".opaque" + _I.sel.replace(/\W/g, "");
         if (opt == "hide") {
             if (sh.length < 1)
                 return;
             sh.hide();
             sh.get(0).opaqueOverlay = false;
-            jWin.unbind("resize.opaque").unbind("scroll.opaque");
+            jWin.unbind(ns);
             return;
         }
 
         if (sh.length < 1)
-            sh = $("<div>").attr("id", this.sel.substr(1))
+            sh = $("<div>").attr("id", _I.sel.substr(1))
                            .css("background", "black")
                        .appendTo(document.body);
 
@@ -1347,9 +3136,9 @@ http://en.wikipedia.org/wiki/MIT_License
         sh.show();
 
         if (!el.opaqueOverlay)
-            jWin.bind("resize.opaque", function () {
+            jWin.bind("resize" + ns, function () {
                 opaqueOverlay(opt);
-            }).bind("scroll.opaque", function () {
+            }).bind("scroll" + ns, function () {
                 opaqueOverlay(opt);
             });
 
@@ -1362,6 +3151,7 @@ http://en.wikipedia.org/wiki/MIT_License
         return sh;
     };
 
+    var DragBehavior;
     if (!$.fn.draggable) {
         $.fn.draggable = function (opt) {
             return this.each(function () {
@@ -1370,7 +3160,7 @@ http://en.wikipedia.org/wiki/MIT_License
 
                 if (typeof opt == "string") {
                     if (drag && opt == "remove") {
-                        drag.stopDragging();
+                        drag.destroy();
                         el.removeData("draggable");
                     }
                     return;
@@ -1382,6 +3172,7 @@ http://en.wikipedia.org/wiki/MIT_License
             });
         };
         var __dragIndex = 1;
+        var __dragId = 0;
 
         DragBehavior = function (sel, opt) {
             var _I = this;
@@ -1391,8 +3182,26 @@ http://en.wikipedia.org/wiki/MIT_License
             this.opacity = 0.75;
             this.start = null;
             this.stop = null;
+            // fires on each move (e, drag)
+            this.drag = null;
             this.dragDelay = 100;
             this.forceAbsolute = false;
+            // "x" or "y" to lock movement to a single axis
+            this.axis = null;
+            // snap movement to a grid - pixel size or [x, y]
+            this.grid = null;
+            // keep the element inside: "parent", "window" or a selector/element
+            this.containment = null;
+            // selector for elements that accept drops
+            this.dropTargets = null;
+            // drop target callbacks (e, target, drag)
+            this.dropEnter = null;
+            this.dropLeave = null;
+            this.drop = null;
+            // arrow keys move the element when the handle has focus
+            this.keyboard = true;
+            // pixels moved per arrow key (x5 with shift) when there's no grid
+            this.keyboardStep = 10;
 
             $.extend(_I, opt);
 
@@ -1400,33 +3209,47 @@ http://en.wikipedia.org/wiki/MIT_License
             if (_I.handle.length < 1)
                 _I.handle = el;
 
+            this.activeDropTarget = null;
+
+            var ns = ".dbh" + (++__dragId);
+            var events = window.PointerEvent ?
+                { down: "pointerdown", move: "pointermove", up: "pointerup pointercancel" } :
+                { down: "mousedown", move: "mousemove", up: "mouseup" };
+
             var isMouseDown = false;
             var isDrag = false;
-            var timeMD = 0;
-            var clicked = -1;
-            var deltaX = 0;
-            var deltaY = 0;
+            var isPositioned = false;
+            var pointerId = null;
+            var startX = 0;
+            var startY = 0;
+            var startOffset = null;
+            var startCss = null;
             var savedOpacity = 1;
             var savedzIndex = 0;
 
-            this.mouseDown = function (e) {
-                var dEl = _I.handle.get(0);
-                var s = false;
-                $(e.target).parents().each(function () {
-                    if (this == dEl) s = true;
-                });
-                if (isMouseDown || e.target != dEl && !s || $(e.target).is(".closebox,input,textara,a")) return;
+            this.pointerDown = function (e) {
+                var target = $(e.target);
+                if (isMouseDown || e.button > 0 ||
+                    target.closest(_I.handle).length < 1 ||
+                    target.is(".closebox,input,textarea,select,button,a")) return;
 
                 isMouseDown = true;
                 isDrag = false;
+                startX = e.pageX;
+                startY = e.pageY;
+
+                pointerId = e.originalEvent && e.originalEvent.pointerId;
+                var handle = _I.handle.get(0);
+                if (pointerId != null && handle.setPointerCapture) {
+                    try {
+                        handle.setPointerCapture(pointerId);
+                    } catch (ex) { }
+                }
 
-                var pos = _I.handle.offset();
-                deltaX = e.pageX - pos.left;
-                deltaY = e.pageY - pos.top;
+                $(document).bind(events.up.replace(/(\w+)/g, "$1" + ns), _I.pointerUp);
 
                 setTimeout(function () {
                     if (!isMouseDown) return;
-                    el.show().makeAbsolute(_I.forceAbsolute);
                     _I.dragActivate(e);
                 }, _I.dragDelay);
             };
@@ -1437,19 +3260,16 @@ http://en.wikipedia.org/wiki/MIT_License
             this.dragActivate = function (e) {
                 if (!isMouseDown) return;
                 isDrag = true;
-                _I.moveToMouse(e);
-                isMouseDown = true;
+                beginMove();
                 savedzIndex = el.css("zIndex");
                 el.css("zIndex", 150000);
                 savedOpacity = el.css("opacity");
                 el.css({ opacity: _I.opacity, cursor: "move" });
 
-                $(document).bind("mousemove.dbh", _I.mouseMove);
-                $(document).bind("selectstart.dbh", nf);
-                $(document).bind("dragstart.dbh", nf);
-                $(document.body).bind("dragstart.dbh", nf);
-                $(document.body).bind("selectstart.dbh", nf);
-                _I.handle.bind("selectstart.dbh", nf);
+                $(document).bind(events.move + ns, _I.pointerMove);
+                $(document).bind("selectstart" + ns, nf);
+                $(document).bind("dragstart" + ns, nf);
+                _I.handle.bind("selectstart" + ns, nf);
                 if (_I.start)
                     _I.start(e, _I);
             };
@@ -1457,43 +3277,193 @@ http://en.wikipedia.org/wiki/MIT_License
                 if (!isMouseDown) return;
                 isMouseDown = false;
 
+                $(document).unbind(events.up.replace(/(\w+)/g, "$1" + ns));
+                releaseCapture();
+
                 if (!isDrag) return;
                 isDrag = false;
 
                 if (!noMove)
                     _I.moveToMouse(e);
-                $(document).unbind("mousemove.dbh");
+                $(document).unbind(events.move + ns);
 
-                $(document).unbind("selectstart.dbh");
-                $(document).unbind("dragstart.dbh");
-                $(document.body).unbind("dragstart.dbh");
-                $(document.body).unbind("selectstart.dbh");
-                _I.handle.unbind("selectstart.dbh");
+                $(document).unbind("selectstart" + ns);
+                $(document).unbind("dragstart" + ns);
+                _I.handle.unbind("selectstart" + ns);
+
+                var target = _I.activeDropTarget;
+                setDropTarget(e, null, true);
 
                 if (!noMove) {
                     __dragIndex += 10;
                     el.css({ zIndex: 10000 + __dragIndex, cursor: "auto" });
                     el.css("opacity", savedOpacity);
+                    if (target && _I.drop)
+                        _I.drop(e, target, _I);
                     if (_I.stop)
                         _I.stop(e, _I);
                 }
+                else
+                    el.css({ zIndex: savedzIndex, opacity: savedOpacity, cursor: "auto" });
             };
-            this.mouseUp = function (e) {
+            this.pointerUp = function (e) {
                 _I.dragDeactivate(e);
             };
-            this.mouseMove = function (e) {
+            this.pointerMove = function (e) {
                 if (isMouseDown) _I.moveToMouse(e);
             };
             this.moveToMouse = function (e) {
-                el.css({ left: e.pageX - deltaX, top: e.pageY - deltaY });
+                _I.moveBy(e.pageX - startX, e.pageY - startY);
+
+                if (_I.dropTargets)
+                    setDropTarget(e, findDropTarget(e));
+                if (_I.drag)
+                    _I.drag(e, _I);
+            };
+            this.moveBy = function (dx, dy) {
+                /// <summary>
+                /// Moves the element relative to where the current drag started
+                /// applying axis, grid and containment constraints.
+                /// </summary>
+                if (_I.axis == "x") dy = 0;
+                if (_I.axis == "y") dx = 0;
+
+                var grid = getGrid();
+                if (grid) {
+                    dx = Math.round(dx / grid[0]) * grid[0];
+                    dy = Math.round(dy / grid[1]) * grid[1];
+                }
+
+                var left = startOffset.left + dx;
+                var top = startOffset.top + dy;
+
+                var bounds = getContainment();
+                if (bounds) {
+                    left = Math.min(Math.max(left, bounds.left), bounds.right);
+                    top = Math.min(Math.max(top, bounds.top), bounds.bottom);
+                }
+
+                el.css({
+                    left: startCss.left + left - startOffset.left,
+                    top: startCss.top + top - startOffset.top
+                });
+            };
+            this.keyDown = function (e) {
+                var key = e.keyCode;
+                if (!_I.keyboard || isMouseDown || key < 37 || key > 40 ||
+                    $(e.target).closest(_I.handle).length < 1 ||
+                    $(e.target).is("input,textarea,select")) return;
+
+                var grid = getGrid();
+                var stepX = grid ? grid[0] : _I.keyboardStep * (e.shiftKey ? 5 : 1);
+                var stepY = grid ? grid[1] : _I.keyboardStep * (e.shiftKey ? 5 : 1);
+
+                beginMove();
+                _I.moveBy(key == 37 ? -stepX : key == 39 ? stepX : 0,
+                          key == 38 ? -stepY : key == 40 ? stepY : 0);
+                e.preventDefault();
+
+                if (_I.drag)
+                    _I.drag(e, _I);
+                if (_I.stop)
+                    _I.stop(e, _I);
             };
             this.stopDragging = function () {
-                if (!isDrag) return;
+                if (!isMouseDown) return;
                 _I.dragDeactivate(null, true);
-                $(document).unbind("mousedown", _I.mouseDown);
             };
-            $(document).mousedown(_I.mouseDown);
-            $(document).mouseup(_I.mouseUp);
+            this.destroy = function () {
+                _I.stopDragging();
+                $(document).unbind(ns);
+                _I.handle.css("touch-action", "");
+            };
+
+            function beginMove() {
+                if (!isPositioned) {
+                    el.show().makeAbsolute(_I.forceAbsolute);
+                    isPositioned = true;
+                }
+                startOffset = el.offset();
+                startCss = {
+                    left: parseFloat(el.css("left")) || 0,
+                    top: parseFloat(el.css("top")) || 0
+                };
+            }
+            function releaseCapture() {
+                var handle = _I.handle.get(0);
+                if (pointerId != null && handle.releasePointerCapture) {
+                    try {
+                        handle.releasePointerCapture(pointerId);
+                    } catch (ex) { }
+                }
+                pointerId = null;
+            }
+            function getGrid() {
+                var grid = _I.grid;
+                if (!grid) return null;
+                if (typeof grid == "number")
+                    return [grid, grid];
+                return [grid[0] || 1, grid[1] || 1];
+            }
+            function getContainment() {
+                var c = _I.containment;
+                if (!c) return null;
+
+                var box;
+                if (c == "window" || c == "viewport") {
+                    var win = $(window);
+                    box = { left: win.scrollLeft(), top: win.scrollTop(), width: win.width(), height: win.height() };
+                }
+                else {
+                    var cont = c == "parent" ? el.parent() : $(c);
+                    if (cont.length < 1) return null;
+                    var pos = cont.offset();
+                    box = { left: pos.left, top: pos.top, width: cont.outerWidth(), height: cont.outerHeight() };
+                }
+
+                return {
+                    left: box.left,
+                    top: box.top,
+                    right: Math.max(box.left, box.left + box.width - el.outerWidth()),
+                    bottom: Math.max(box.top, box.top + box.height - el.outerHeight())
+                };
+            }
+            function findDropTarget(e) {
+                // the dragged element sits under the pointer so hit test by bounds
+                var match = null;
+                var x = e.clientX, y = e.clientY;
+                $(_I.dropTargets).each(function () {
+                    if (this == el[0] || $.contains(el[0], this))
+                        return;
+                    var rect = this.getBoundingClientRect();
+                    if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom)
+                        match = this;
+                });
+                return match;
+            }
+            function setDropTarget(e, target, silent) {
+                var current = _I.activeDropTarget;
+                if (target == current) return;
+
+                if (current) {
+                    $(current).removeClass("drop-active");
+                    if (!silent && _I.dropLeave)
+                        _I.dropLeave(e, current, _I);
+                }
+                _I.activeDropTarget = target;
+                if (target) {
+                    $(target).addClass("drop-active");
+                    if (_I.dropEnter)
+                        _I.dropEnter(e, target, _I);
+                }
+            }
+
+            _I.handle.css("touch-action", "none");
+            if (_I.keyboard && !_I.handle.is("a,button,input,[tabindex]"))
+                _I.handle.attr("tabindex", "0");
+
+            $(document).bind(events.down + ns, _I.pointerDown);
+            $(document).bind("keydown" + ns, _I.keyDown);
         };
     }
 
@@ -1726,7 +3696,7 @@ http://en.wikipedia.org/wiki/MIT_License
             if (this.contentEditable == "true")
                 return this; // already editing
 
-            var jButton = $("<input type='button' value='" + def.saveText + "' class='editablebutton' style='display: block;'/>");
+            var jButton = $("<input type='button' class='editablebutton' />").val(def.saveText).css("display", "block");
 
             var cleanupEditor = function cleanupEditor() {
                 if (def.editClass)
@@ -1842,315 +3812,1453 @@ http://en.wikipedia.org/wiki/MIT_License
 
     $.maxZIndex = $.fn.maxZIndex = function (opt) {
         /// <summary>
-        /// Returns the max zOrder in the document (no parameter)
-        /// Sets max zOrder by passing a non-zero number
-        /// which gets added to the highest zOrder.
-        /// </summary> 
-        /// <param name="opt" type="object">
-        /// inc: increment value,
-        /// group: selector for zIndex elements to find max for
+        /// Returns the max zOrder in the document (no parameter)
+        /// Sets max zOrder by passing a non-zero number
+        /// which gets added to the highest zOrder.
+        /// </summary> 
+        /// <param name="opt" type="object">
+        /// inc: increment value,
+        /// group: selector for zIndex elements to find max for
+        /// </param>
+        /// <returns type="jQuery" />
+        var def = { inc: 10, group: "*" };
+        $.extend(def, opt);
+        var zmax = 0;
+        $(def.group).each(function () {
+            var cur = parseInt($(this).css('z-index'));
+            zmax = cur > zmax ? cur : zmax;
+        });
+        if (!this.jquery)
+            return zmax;
+
+        return this.each(function () {
+            zmax += def.inc;
+            $(this).css("z-index", zmax);
+        });
+    };
+
+    /// <script type="text/html" id="script">
+    /// <div>
+    ///   <#= content #>
+    ///   <# for(var i=0; i < names.length; i++) { #>
+    ///   Name: <#= names[i] #> <br/>
+    ///   <# } #>
+    ///   <#- include("footerTemplate", footer) #>
+    /// </div>
+    /// </script>
+    ///
+    /// var tmpl = $("#itemtemplate").html();
+    /// var data = { content: "This is some textual content",
+    ///              names: ["rick", "markus"]
+    /// };
+    /// $("#divResult").html(parseTemplate(tmpl, data));
+    ///
+    /// <#= expr #> writes html encoded values, <#- expr #> writes raw html.
+    ///
+    /// based on John Resig's Micro Templating engine
+    var _tmplCache = Object.create(null);
+    var parseTemplate = function (str, data) {
+        /// <summary>
+        /// Client side template parser that uses &lt;#= #&gt; (encoded), &lt;#- #&gt; (raw)
+        /// and &lt;# code #&gt; blocks for template expansion.
+        /// Throws a TemplateError with the template line number on failure.
+        /// </summary> 
+        /// <param name="str" type="string">
+        /// The text of the template to expand, or the name of a
+        /// registered or precompiled template or a script element id
+        /// </param> 
+        /// <param name="data" type="var">
+        /// Any data that is to be merged. Pass an object and
+        /// that object's properties are visible as variables.
+        /// </param> 
+        /// <returns type="string" />
+        return parseTemplate.compile(str)(data);
+    };
+
+    // <#= #> encodes its output - set to false for the legacy raw output
+    parseTemplate.escapeByDefault = true;
+    // functions visible as variables inside of all templates
+    parseTemplate.helpers = {
+        include: function (name, data) {
+            return parseTemplate.raw(parseTemplate(getTemplateSource(name), data));
+        }
+    };
+    // named templates: template strings or precompiled functions
+    parseTemplate.templates = Object.create(null);
+
+    parseTemplate.registerHelper = function (name, fn) {
+        parseTemplate.helpers[name] = fn;
+    };
+    parseTemplate.registerPartial = parseTemplate.register = function (name, template) {
+        /// <summary>
+        /// Registers a named template for include() and parseTemplate(name).
+        /// Pass a function created from precompile() to avoid new Function().
+        /// </summary>
+        parseTemplate.templates[name] = template;
+    };
+    parseTemplate.raw = function (html) {
+        /// <summary>
+        /// Marks a value as html that &lt;#= #&gt; writes without encoding.
+        /// </summary>
+        return new RawHtml(html);
+    };
+    parseTemplate.encode = function (value) {
+        if (value == null)
+            return "";
+        if (value instanceof RawHtml)
+            return value.html;
+        return String(value).replace(/[&<>"']/g, function (c) {
+            return _htmlEntities[c];
+        });
+    };
+    parseTemplate.compile = function (str, name) {
+        /// <summary>
+        /// Returns a cached render function(data) for a template.
+        /// </summary>
+        if (typeof str == "function")
+            return bindTemplate(str, name);
+
+        // a name that isn't registered may be a script element id
+        var named = parseTemplate.templates[str];
+        if (named == null && /^[a-z_][\w\-:.]*$/i.test(str) && getTemplateElement(str))
+            named = parseTemplate.templates[getTemplateSource(str)];
+        if (typeof named == "function")
+            return bindTemplate(named, str);
+        if (named != null) {
+            name = str;
+            str = named;
+        }
+
+        // the compiled code depends on escapeByDefault
+        var key = (parseTemplate.escapeByDefault ? "=" : "-") + str;
+        var func = _tmplCache[key];
+        if (!func) {
+            var source = parseTemplate.precompile(str);
+            try {
+                func = new Function("return " + source)();
+            } catch (e) {
+                // a Content Security Policy without 'unsafe-eval' blocks new Function()
+                if (e instanceof EvalError)
+                    throw new TemplateError("new Function() is blocked - precompile() and register() the template. " + e.message, null, name);
+                throw new TemplateError(e.message, findSyntaxErrorLine(str), name);
+            }
+            _tmplCache[key] = func;
+        }
+        return bindTemplate(func, name);
+    };
+    parseTemplate.precompile = function (str) {
+        /// <summary>
+        /// Returns the JavaScript source of a template function. Save the
+        /// output into a script file and parseTemplate.register() it to
+        /// render templates on pages that don't allow new Function().
+        /// </summary>
+        /// <returns type="string" />
+        var code = "function (obj, $t) {\n" +
+            "var __p = [], __l = 1, __e = $t.encode;\n" +
+            "try {\nwith ($t.helpers) { with (obj || {}) {\n";
+
+        var line = 1;
+        $.each(tokenizeTemplate(str), function (i, token) {
+            if (token.line != line) {
+                line = token.line;
+                code += "__l = " + line + ";\n";
+            }
+            if (token.type == "text")
+                code += "__p.push(" + JSON.stringify(token.value) + ");\n";
+            else if (token.type == "=")
+                code += "__p.push(" + (parseTemplate.escapeByDefault ? "__e(" + token.value + ")" : token.value) + ");\n";
+            else if (token.type == "-")
+                code += "__p.push(" + token.value + ");\n";
+            else
+                code += token.value + "\n";
+        });
+
+        return code + "}}\n} catch (e) { throw $t.error(e, __l); }\nreturn __p.join(\"\");\n}";
+    };
+
+    var TemplateError = function (message, line, name) {
+        this.name = "TemplateError";
+        this.line = line || null;
+        this.template = name || null;
+        this.message = "Template error" + (name ? " in " + name : "") +
+                       (line ? " on line " + line : "") + ": " + message;
+    };
+    TemplateError.prototype = Object.create(Error.prototype);
+    TemplateError.prototype.constructor = TemplateError;
+
+    var _htmlEntities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+    function RawHtml(html) {
+        this.html = html == null ? "" : String(html);
+    }
+    RawHtml.prototype.toString = function () {
+        return this.html;
+    };
+
+    function bindTemplate(func, name) {
+        var runtime = {
+            encode: parseTemplate.encode,
+            helpers: parseTemplate.helpers,
+            error: function (e, line) {
+                if (e instanceof TemplateError)
+                    return e;
+                return new TemplateError(e && e.message || String(e), line, name);
+            }
+        };
+        return function (data) {
+            return func.call(data, data, runtime);
+        };
+    }
+    function getTemplateSource(name) {
+        var template = parseTemplate.templates[name];
+        if (template != null)
+            return typeof template == "function" ? template : name;
+
+        var script = getTemplateElement(name);
+        if (!script)
+            throw new TemplateError("Template '" + name + "' not found.");
+        parseTemplate.templates[name] = script.innerHTML;
+        return name;
+    }
+    function getTemplateElement(id) {
+        return typeof document !== "undefined" ? document.getElementById(id) : null;
+    }
+    function tokenizeTemplate(str) {
+        var tokens = [];
+        var line = 1;
+        var regex = /<#([=\-]?)([\s\S]*?)#>/g;
+        var last = 0;
+        var match;
+
+        while ((match = regex.exec(str)) !== null) {
+            if (match.index > last) {
+                var text = str.substring(last, match.index);
+                tokens.push({ type: "text", value: text, line: line });
+                line += text.split("\n").length - 1;
+            }
+            tokens.push({ type: match[1] || "code", value: match[2], line: line });
+            line += match[0].split("\n").length - 1;
+            last = regex.lastIndex;
+        }
+        if (last < str.length)
+            tokens.push({ type: "text", value: str.substr(last), line: line });
+
+        return tokens;
+    }
+    function findSyntaxErrorLine(str) {
+        // expressions can be checked on their own - code blocks can span tags
+        var tokens = tokenizeTemplate(str);
+        for (var i = 0; i < tokens.length; i++) {
+            var token = tokens[i];
+            if (token.type != "=" && token.type != "-")
+                continue;
+            try {
+                new Function("return (" + token.value + ");");
+            } catch (e) {
+                return token.line;
+            }
+        }
+        return null;
+    }
+
+    var isElementInViewport = function (el) {
+        var rect = el.getBoundingClientRect();
+
+        return (
+            rect.top >= 0 &&
+                rect.left >= 0 &&
+                rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) && /*or $(window).height() */
+                rect.right <= (window.innerWidth || document.documentElement.clientWidth) /*or $(window).width() */
+        );
+    };
+
+    var getBodyFromHtmlDocument = function (html) {
+        return $.trim(html.replace(/^[\s\S]*<body.*?>|<\/body>[\s\S]*$/ig, ''));
+    }
+
+    var $$ = function (id, context) {
+        /// <summary>
+        /// Searches for an ID based on ASP.NET naming container syntax.
+        /// First search by ID as is, then uses attribute based lookup.
+        /// Works only on single elements - not list items in enumerated
+        /// containers.
+        /// </summary>    
+        /// <param name="id" type="var">Element ID to look up</param>    
+        /// <param name="context" type="var">
+        /// </param>    
+        /// <returns type="" /> 
+        var el = $("#" + id, context);
+        if (el.length < 1)
+            el = $("[id$=_" + id + "],[id*=" + id + "_]", context);
+        return el;
+    };
+
+    // String, Date and Number helpers - exposed as ww.str, ww.formatDate etc.
+    // install() adds them to the prototypes that don't already have them
+    function htmlEncode(str) {
+        var div = document.createElement('div');
+        if (typeof (div.textContent) == 'string')
+            div.textContent = String(str);
+        else
+            div.innerText = String(str);
+        return div.innerHTML;
+    }
+    function trimEnd(str, c) {
+        str = String(str);
+        if (c)
+            return str.replace(new RegExp(escapeRegExp(c) + "*$"), '');
+        return str.replace(/\s+$/, '');
+    }
+    function trimStart(str, c) {
+        str = String(str);
+        if (c)
+            return str.replace(new RegExp("^" + escapeRegExp(c) + "*"), '');
+        return str.replace(/^\s+/, '');
+    }
+    function repeat(chr, count) {
+        var str = "";
+        for (var x = 0; x < count; x++) {
+            str += chr;
+        };
+        return str;
+    }
+    function padL(str, width, pad) {
+        str = String(str);
+        if (!width || width < 1)
+            return str;
+
+        if (!pad) pad = " ";
+        var length = width - str.length;
+        if (length < 1) return str.substr(0, width);
+
+        return (repeat(pad, length) + str).substr(0, width);
+    }
+    function padR(str, width, pad) {
+        str = String(str);
+        if (!width || width < 1) return str;
+
+        if (!pad) pad = " ";
+        var length = width - str.length;
+        if (length < 1) return str.substr(0, width);
+
+        return (str + repeat(pad, length)).substr(0, width);
+    }
+    function startsWith(str, sub, nocase) {
+        if (!str || str.length === 0) return false;
+        str = String(str);
+
+        if (sub && nocase)
+            return sub.toLowerCase() === str.toLowerCase().substr(0, sub.length);
+
+        return sub === str.substr(0, sub.length);
+    }
+    function extract(str, startDelim, endDelim, allowMissingEndDelim, returnDelims) {
+        str = String(str);
+        if (str.length === 0)
+            return "";
+
+        var src = str.toLowerCase();
+        startDelim = startDelim.toLocaleLowerCase();
+        endDelim = endDelim.toLocaleLowerCase();
+
+        var i1 = src.indexOf(startDelim);
+        if (i1 == -1)
+            return "";
+
+        var i2 = src.indexOf(endDelim, i1 + startDelim.length);
+
+        if (!allowMissingEndDelim && i2 == -1)
+            return "";
+
+        if (allowMissingEndDelim && i2 == -1) {
+            if (returnDelims)
+                return str.substr(i1);
+
+            return str.substr(i1 + startDelim.length);
+        }
+
+        if (returnDelims)
+            return str.substr(i1, i2 - i1 + startDelim.length);
+
+        return str.substr(i1 + startDelim.length, i2 - i1 - startDelim.length);
+    }
+    function escapeRegExp(str) {
+        return String(str).replace(/[.*+?^${}()|[\]\/\\]/g, "\\$&");
+    }
+    function stringFormat(frmt, args) {
+        frmt = String(frmt);
+        for (var x = 0; x < arguments.length; x++) {
+            frmt = frmt.replace(new RegExp("\\{" + x.toString() + "\\}", "g"), arguments[x + 1]);
+        }
+        return frmt;
+    }
+    function isNumber(str) {
+        str = String(str);
+        if (str.length == 0) return false;
+        if ("0123456789".indexOf(str.charAt(0)) > -1)
+            return true;
+        return false;
+    }
+    function endsWith(str, sub, nocase) {
+        str = String(str);
+        if (!sub || sub.length > str.length) return false;
+
+        var end = str.substr(str.length - sub.length);
+        if (nocase)
+            return sub.toLowerCase() === end.toLowerCase();
+
+        return sub === end;
+    }
+    function slugify(str) {
+        /// <summary>
+        /// Turns text into a lower case, dash separated
+        /// URL and id friendly string: "Héllo, World!" -> "hello-world"
+        /// </summary>
+        str = String(str);
+        if (str.normalize)
+            str = str.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+
+        return str.toLowerCase()
+            .replace(/[^a-z0-9]+/g, "-")
+            .replace(/^-+|-+$/g, "");
+    }
+    function truncate(str, length, ellipsis) {
+        /// <summary>
+        /// Shortens text to at most length characters including
+        /// the ellipsis. Cuts at a word break when there's one
+        /// in the last third of the kept text.
+        /// </summary>
+        /// <param name="length" type="number">maximum length of the result</param>
+        /// <param name="ellipsis" type="string">text appended when truncated. Default: …</param>
+        str = String(str);
+        if (typeof ellipsis !== "string")
+            ellipsis = "\u2026";
+        if (!length || str.length <= length)
+            return str;
+
+        var cut = str.substr(0, Math.max(length - ellipsis.length, 0));
+        var brk = cut.search(/\s\S*$/);
+        if (brk > cut.length * 2 / 3)
+            cut = cut.substr(0, brk);
+
+        return trimEnd(cut) + ellipsis;
+    }
+    function stripHtml(str) {
+        /// <summary>
+        /// Returns the text content of an HTML string. The markup is
+        /// parsed in an inert document so no scripts run and no
+        /// images are loaded.
+        /// </summary>
+        if (!str) return "";
+        var doc = document.implementation.createHTMLDocument("");
+        doc.body.innerHTML = String(str);
+        $(doc.body).find("script,style,template").remove();
+        return doc.body.textContent;
+    }
+    var _monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+    var _dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    // culture used when none is passed - null uses the browser's locale
+    var _culture = null;
+    var _cultures = Object.create(null);
+    // ISO currency code used by the "C" number format
+    var _currency = "USD";
+
+    function setCulture(culture, currency) {
+        /// <summary>
+        /// Sets the default culture (ie. "de-DE") used by formatDate(),
+        /// parseExact(), formatNumber() and parseLocale(). Pass null
+        /// to use the browser's locale.
+        /// </summary>
+        /// <param name="culture" type="string">culture name</param>
+        /// <param name="currency" type="string">optional ISO currency code for "C" formats, ie. "EUR"</param>
+        _culture = culture || null;
+        if (currency)
+            _currency = currency;
+    }
+
+    function getCultureInfo(culture) {
+        /// <summary>
+        /// Returns month and day names, AM/PM designators and the
+        /// standard date and time patterns of a culture. Values
+        /// come from Intl and are cached - falls back to en-US
+        /// when Intl is not available.
+        /// </summary>
+        /// <param name="culture" type="string">culture name like "fr-FR". Default: setCulture() or browser locale</param>
+        culture = culture || _culture || "";
+        var info = _cultures[culture];
+        if (info)
+            return info;
+
+        if (typeof Intl === "undefined" || !Intl.DateTimeFormat) {
+            info = {
+                name: "en-US",
+                months: _monthNames,
+                monthsShort: $.map(_monthNames, function (m) { return m.substr(0, 3); }),
+                days: _dayNames,
+                daysShort: $.map(_dayNames, function (d) { return d.substr(0, 3); }),
+                am: "AM",
+                pm: "PM",
+                patterns: {
+                    d: "M/d/yyyy",
+                    D: "dddd, MMMM d, yyyy",
+                    t: "h:mm tt",
+                    T: "h:mm:ss tt"
+                }
+            };
+            return _cultures[culture] = info;
+        }
+
+        var locale = culture || undefined;
+        function names(options, count, getDate) {
+            var fmt = new Intl.DateTimeFormat(locale, $.extend({ timeZone: "UTC" }, options));
+            var list = [];
+            for (var i = 0; i < count; i++)
+                list.push(fmt.format(getDate(i)));
+            return list;
+        }
+        function monthDate(i) { return new Date(Date.UTC(2001, i, 15)); }
+        // 2001-01-07 was a Sunday
+        function dayDate(i) { return new Date(Date.UTC(2001, 0, 7 + i)); }
+
+        var periods = new Intl.DateTimeFormat(locale, { hour: "numeric", hour12: true, timeZone: "UTC" });
+        function dayPeriod(hour) {
+            var parts = intlParts(periods, new Date(Date.UTC(2001, 0, 1, hour)));
+            for (var i = 0; i < parts.length; i++) {
+                if (parts[i].type == "dayPeriod" || parts[i].type == "dayperiod")
+                    return parts[i].value;
+            }
+            return hour < 12 ? "AM" : "PM";
+        }
+
+        info = {
+            name: new Intl.DateTimeFormat(locale).resolvedOptions().locale,
+            months: names({ month: "long" }, 12, monthDate),
+            monthsShort: names({ month: "short" }, 12, monthDate),
+            days: names({ weekday: "long" }, 7, dayDate),
+            daysShort: names({ weekday: "short" }, 7, dayDate),
+            am: dayPeriod(9),
+            pm: dayPeriod(21),
+            patterns: {
+                d: intlPattern(locale, { year: "numeric", month: "numeric", day: "numeric" }),
+                D: intlPattern(locale, { weekday: "long", year: "numeric", month: "long", day: "numeric" }),
+                t: intlPattern(locale, { hour: "numeric", minute: "2-digit" }),
+                T: intlPattern(locale, { hour: "numeric", minute: "2-digit", second: "2-digit" })
+            }
+        };
+        return _cultures[culture] = info;
+    }
+
+    function intlParts(fmt, date) {
+        if (fmt.formatToParts)
+            return fmt.formatToParts(date);
+        return [{ type: "literal", value: fmt.format(date) }];
+    }
+
+    // turns an Intl format into a format string: 2001-02-03 04:05:06
+    // tells padded (MM) from unpadded (M) parts
+    function intlPattern(locale, options) {
+        var fmt = new Intl.DateTimeFormat(locale, $.extend({ timeZone: "UTC" }, options));
+        var hour12 = fmt.resolvedOptions().hour12;
+        var parts = intlParts(fmt, new Date(Date.UTC(2001, 1, 3, 4, 5, 6)));
+        var pattern = "";
+        $.each(parts, function (i, part) {
+            var padded = part.value.length > 1;
+            switch (part.type) {
+                case "year": pattern += part.value.length == 2 ? "yy" : "yyyy"; break;
+                case "month": pattern += /^\d+$/.test(part.value) ? (padded ? "MM" : "M") : (options.month == "long" ? "MMMM" : "MMM"); break;
+                case "day": pattern += padded ? "dd" : "d"; break;
+                case "weekday": pattern += options.weekday == "long" ? "dddd" : "ddd"; break;
+                case "hour": pattern += hour12 ? (padded ? "hh" : "h") : (padded ? "HH" : "H"); break;
+                case "minute": pattern += "mm"; break;
+                case "second": pattern += "ss"; break;
+                case "dayPeriod":
+                case "dayperiod": pattern += "tt"; break;
+                // Intl separates the time with U+202F/U+00A0 - use plain spaces
+                default: pattern += part.value.replace(/[\u00a0\u202f]/g, " ").replace(/[a-zA-Z%'"\\]/g, "\\$&");
+            }
+        });
+        return pattern;
+    }
+
+    // standard formats - single character format strings
+    var _standardFormats = {
+        d: function (ci) { return ci.patterns.d; },
+        D: function (ci) { return ci.patterns.D; },
+        t: function (ci) { return ci.patterns.t; },
+        T: function (ci) { return ci.patterns.T; },
+        f: function (ci) { return ci.patterns.D + " " + ci.patterns.t; },
+        F: function (ci) { return ci.patterns.D + " " + ci.patterns.T; },
+        g: function (ci) { return ci.patterns.d + " " + ci.patterns.t; },
+        G: function (ci) { return ci.patterns.d + " " + ci.patterns.T; },
+        o: function () { return "yyyy-MM-ddTHH:mm:ss.fffzzz"; },
+        O: function () { return "yyyy-MM-ddTHH:mm:ss.fffzzz"; },
+        s: function () { return "yyyy-MM-ddTHH:mm:ss"; }
+    };
+
+    // splits a format string into { token } and { literal } parts
+    function tokenizeDateFormat(format, ci) {
+        if (format.length == 1 && _standardFormats[format])
+            format = _standardFormats[format](ci);
+        else if (format.length == 2 && format.charAt(0) == "%")
+            format = format.substr(1);
+
+        var tokens = [];
+        var i = 0;
+        while (i < format.length) {
+            var c = format.charAt(i);
+            if (c == "'" || c == '"') {
+                var end = format.indexOf(c, i + 1);
+                if (end < 0) end = format.length;
+                tokens.push({ literal: format.substring(i + 1, end) });
+                i = end + 1;
+            }
+            else if (c == "\\") {
+                tokens.push({ literal: format.charAt(i + 1) });
+                i += 2;
+            }
+            else if (c == "%") {
+                i++;
+            }
+            else if ("dfhHmMstyz".indexOf(c) > -1) {
+                var len = 1;
+                while (format.charAt(i + len) == c)
+                    len++;
+                tokens.push({ token: c, length: len });
+                i += len;
+            }
+            else {
+                tokens.push({ literal: c });
+                i++;
+            }
+        }
+        return tokens;
+    }
+
+    // left pads a number with zeros - never truncates like padL()
+    function zeroPad(num, length) {
+        var str = String(num);
+        while (str.length < length)
+            str = "0" + str;
+        return str;
+    }
+
+    function formatDate(date, format, culture) {
+        /// <summary>
+        /// Formats a date with .NET style format strings:
+        /// d dd ddd dddd, M MM MMM MMMM, y yy yyyy, H HH h hh,
+        /// m mm, s ss, f ff fff, t tt, z zz zzz. Quote literal
+        /// text ('at' or "at") or escape single characters with \.
+        /// Standard formats: d D t T f F g G o s.
+        /// </summary>
+        /// <param name="date" type="Date">date to format</param>
+        /// <param name="format" type="string">format string. Default: MM/dd/yyyy</param>
+        /// <param name="culture" type="string">culture for names and standard formats, ie. "de-DE"</param>
+        /// <returns type="string">formatted date</returns>
+        if (!format)
+            format = "MM/dd/yyyy";
+
+        var ci = getCultureInfo(culture);
+        var tokens = tokenizeDateFormat(format, ci);
+        var out = "";
+
+        for (var i = 0; i < tokens.length; i++) {
+            var tk = tokens[i];
+            if (!tk.token) {
+                out += tk.literal;
+                continue;
+            }
+
+            var len = tk.length;
+            var hours = date.getHours();
+            switch (tk.token) {
+                case "d":
+                    if (len < 3)
+                        out += zeroPad(date.getDate(), len);
+                    else
+                        out += (len == 3 ? ci.daysShort : ci.days)[date.getDay()];
+                    break;
+                case "M":
+                    if (len < 3)
+                        out += zeroPad(date.getMonth() + 1, len);
+                    else
+                        out += (len == 3 ? ci.monthsShort : ci.months)[date.getMonth()];
+                    break;
+                case "y":
+                    var year = date.getFullYear();
+                    if (len < 3)
+                        out += zeroPad(year % 100, len);
+                    else
+                        out += zeroPad(year, len);
+                    break;
+                case "H":
+                    out += zeroPad(hours, Math.min(len, 2));
+                    break;
+                case "h":
+                    out += zeroPad(hours % 12 || 12, Math.min(len, 2));
+                    break;
+                case "m":
+                    out += zeroPad(date.getMinutes(), Math.min(len, 2));
+                    break;
+                case "s":
+                    out += zeroPad(date.getSeconds(), Math.min(len, 2));
+                    break;
+                case "f":
+                    out += padR(zeroPad(date.getMilliseconds(), 3), len, "0");
+                    break;
+                case "t":
+                    var designator = hours < 12 ? ci.am : ci.pm;
+                    out += len == 1 ? designator.charAt(0) : designator;
+                    break;
+                case "z":
+                    var offset = -date.getTimezoneOffset();
+                    var abs = Math.abs(offset);
+                    out += offset < 0 ? "-" : "+";
+                    out += len == 1 ? Math.floor(abs / 60) : zeroPad(Math.floor(abs / 60), 2);
+                    if (len > 2)
+                        out += ":" + zeroPad(abs % 60, 2);
+                    break;
+            }
+        }
+        return out;
+    }
+
+    function parseExact(str, format, culture) {
+        /// <summary>
+        /// Parses a date string that matches a formatDate() format
+        /// string exactly. Month and day names and AM/PM designators
+        /// are matched case insensitively for the culture. Values
+        /// with a time zone offset (z, zz, zzz) are converted to local
+        /// time, all others are treated as local time.
+        /// </summary>
+        /// <param name="str" type="string">date string to parse</param>
+        /// <param name="format" type="string">format string or standard format</param>
+        /// <param name="culture" type="string">culture, ie. "fr-FR"</param>
+        /// <returns type="Date">date or null if the string doesn't match the format</returns>
+        if (!str || !format)
+            return null;
+
+        var ci = getCultureInfo(culture);
+        var tokens = tokenizeDateFormat(format, ci);
+        var regex = "^";
+        var fields = [];
+
+        function names(list) {
+            // longest first so "Mai" doesn't match part of "Maiden"
+            return "(" + $.map(list.slice(0).sort(function (a, b) { return b.length - a.length; }), escapeRegExp).join("|") + ")";
+        }
+
+        for (var i = 0; i < tokens.length; i++) {
+            var tk = tokens[i];
+            if (!tk.token) {
+                // any whitespace matches - typed input rarely has no-break spaces
+                regex += escapeRegExp(tk.literal).replace(/\s+/g, "\\s+");
+                continue;
+            }
+
+            var len = tk.length;
+            var num = len == 1 ? "(\\d{1,2})" : "(\\d{" + len + "})";
+            switch (tk.token) {
+                case "d": regex += len < 3 ? num : names(len == 3 ? ci.daysShort : ci.days); break;
+                case "M": regex += len < 3 ? num : names(len == 3 ? ci.monthsShort : ci.months); break;
+                case "y": regex += len == 1 ? "(\\d{1,2})" : len == 2 ? "(\\d{2})" : "(\\d{" + len + ",})"; break;
+                case "H": case "h": case "m": case "s":
+                    regex += len == 1 ? "(\\d{1,2})" : "(\\d{2})"; break;
+                case "f": regex += "(\\d{" + len + "})"; break;
+                case "t": regex += len == 1 ? names([ci.am.charAt(0), ci.pm.charAt(0)]) : names([ci.am, ci.pm]); break;
+                case "z": regex += len < 3 ? "([+-]\\d{1," + len + "})" : "(Z|[+-]\\d{2}:?\\d{2})"; break;
+            }
+            fields.push(tk);
+        }
+
+        var match = new RegExp(regex + "$", "i").exec($.trim(str));
+        if (!match)
+            return null;
+
+        var now = new Date();
+        var parts = { year: null, month: null, day: null, hours: 0, minutes: 0, seconds: 0, ms: 0, pm: null, offset: null };
+
+        function indexOf(list, value) {
+            value = value.toLowerCase();
+            for (var x = 0; x < list.length; x++) {
+                if (list[x].toLowerCase() == value)
+                    return x;
+            }
+            return -1;
+        }
+
+        for (i = 0; i < fields.length; i++) {
+            var value = match[i + 1];
+            var field = fields[i];
+            switch (field.token) {
+                case "d":
+                    if (field.length < 3)
+                        parts.day = value * 1;
+                    break;
+                case "M":
+                    parts.month = field.length < 3 ? value - 1 : indexOf(field.length == 3 ? ci.monthsShort : ci.months, value);
+                    break;
+                case "y":
+                    parts.year = value * 1;
+                    if (field.length < 3)
+                        parts.year += parts.year < 50 ? 2000 : 1900;
+                    break;
+                case "H": case "h": parts.hours = value * 1; break;
+                case "m": parts.minutes = value * 1; break;
+                case "s": parts.seconds = value * 1; break;
+                case "f": parts.ms = Math.round(("0." + value) * 1000); break;
+                case "t": parts.pm = value.toLowerCase() == (field.length == 1 ? ci.pm.charAt(0) : ci.pm).toLowerCase(); break;
+                case "z":
+                    if (value.toUpperCase() == "Z")
+                        parts.offset = 0;
+                    else {
+                        var sign = value.charAt(0) == "-" ? -1 : 1;
+                        var digits = value.substr(1).replace(":", "");
+                        parts.offset = sign * (digits.length > 2 ?
+                            digits.substr(0, digits.length - 2) * 60 + digits.substr(-2) * 1 :
+                            digits * 60);
+                    }
+                    break;
+            }
+        }
+
+        if (parts.pm !== null) {
+            if (parts.hours > 12)
+                return null;
+            if (parts.pm && parts.hours < 12)
+                parts.hours += 12;
+            else if (!parts.pm && parts.hours == 12)
+                parts.hours = 0;
+        }
+
+        // only a time - use today's date
+        if (parts.year === null && parts.month === null && parts.day === null) {
+            parts.year = now.getFullYear();
+            parts.month = now.getMonth();
+            parts.day = now.getDate();
+        }
+        if (parts.year === null) parts.year = now.getFullYear();
+        if (parts.month === null) parts.month = 0;
+        if (parts.day === null) parts.day = 1;
+
+        var date;
+        if (parts.offset !== null) {
+            date = new Date(Date.UTC(parts.year, parts.month, parts.day, parts.hours, parts.minutes, parts.seconds, parts.ms) -
+                parts.offset * 60000);
+        } else {
+            date = new Date(parts.year, parts.month, parts.day, parts.hours, parts.minutes, parts.seconds, parts.ms);
+            date.setFullYear(parts.year);
+        }
+
+        // reject overflowing values like Feb 30 or 25:00
+        if (parts.month < 0 || parts.month > 11 || parts.day < 1 ||
+            parts.day > new Date(parts.year, parts.month + 1, 0).getDate() ||
+            parts.hours > 23 || parts.minutes > 59 || parts.seconds > 59)
+            return null;
+
+        return date;
+    }
+    // relative time units - largest first - with their length in seconds
+    var _timeUnits = [
+        { unit: "year", seconds: 31536000 },
+        { unit: "month", seconds: 2592000 },
+        { unit: "week", seconds: 604800 },
+        { unit: "day", seconds: 86400 },
+        { unit: "hour", seconds: 3600 },
+        { unit: "minute", seconds: 60 },
+        { unit: "second", seconds: 1 }
+    ];
+
+    // English text used when Intl can't format units
+    function englishUnit(value, unit, style) {
+        if (style != "long")
+            unit = { year: "yr", month: "mo", week: "wk", day: "day", hour: "hr", minute: "min", second: "sec" }[unit];
+        return value + " " + unit + (Math.abs(value) == 1 ? "" : "s");
+    }
+
+    function formatRelativeTime(date, options) {
+        /// <summary>
+        /// Formats the distance of a date from now: "3 hours ago",
+        /// "in 2 days", "yesterday". Uses Intl.RelativeTimeFormat
+        /// for the culture - English when it's not available.
+        /// </summary>
+        /// <param name="date" type="var">Date, time value or ISO date string</param>
+        /// <param name="options" type="object">
+        /// culture, style: long|short|narrow, numeric: auto|always,
+        /// now: date to compare to (default: current time)
+        /// </param>
+        /// <returns type="string">relative time text</returns>
+        var opt = $.extend({
+            culture: _culture,
+            style: "long",
+            numeric: "auto",
+            now: null
+        }, options);
+
+        date = toDate(date);
+        if (!date)
+            return "";
+
+        var now = opt.now ? toDate(opt.now) : new Date();
+        var seconds = (date.getTime() - now.getTime()) / 1000;
+
+        var tu = _timeUnits[_timeUnits.length - 1];
+        for (var i = 0; i < _timeUnits.length; i++) {
+            if (Math.abs(seconds) >= _timeUnits[i].seconds) {
+                tu = _timeUnits[i];
+                break;
+            }
+        }
+        var value = Math.round(seconds / tu.seconds);
+        // avoid -0 which formats as "0 seconds ago"
+        if (value === 0)
+            value = 0;
+
+        if (typeof Intl !== "undefined" && Intl.RelativeTimeFormat)
+            return new Intl.RelativeTimeFormat(opt.culture || undefined, {
+                style: opt.style,
+                numeric: opt.numeric
+            }).format(value, tu.unit);
+
+        if (value === 0 && opt.numeric == "auto")
+            return "now";
+        var text = englishUnit(Math.abs(value), tu.unit, opt.style);
+        return value < 0 ? text + " ago" : "in " + text;
+    }
+
+    function formatDuration(ms, options) {
+        /// <summary>
+        /// Formats a time span as text: "1 hour, 15 minutes".
+        /// Units come from Intl.NumberFormat and are joined with
+        /// Intl.ListFormat for the culture.
+        /// </summary>
+        /// <param name="ms" type="number">duration in milliseconds</param>
+        /// <param name="options" type="object">
+        /// culture, style: long|short|narrow,
+        /// units: number of units to show (default: 2),
+        /// smallest: smallest unit to show - day, hour, minute, second (default: second)
         /// </param>
-        /// <returns type="jQuery" />
-        var def = { inc: 10, group: "*" };
-        $.extend(def, opt);
-        var zmax = 0;
-        $(def.group).each(function () {
-            var cur = parseInt($(this).css('z-index'));
-            zmax = cur > zmax ? cur : zmax;
-        });
-        if (!this.jquery)
-            return zmax;
+        /// <returns type="string">duration text</returns>
+        var opt = $.extend({
+            culture: _culture,
+            style: "long",
+            units: 2,
+            smallest: "second"
+        }, options);
 
-        return this.each(function () {
-            zmax += def.inc;
-            $(this).css("z-index", zmax);
+        var locale = opt.culture || undefined;
+        var units = $.grep(_timeUnits, function (tu) { return tu.seconds <= 86400; });
+        var smallest = 0;
+        for (var i = 0; i < units.length; i++) {
+            if (units[i].unit == opt.smallest)
+                smallest = i;
+        }
+        units = units.slice(0, smallest + 1);
+
+        // round to the smallest unit first so 59.6 seconds becomes 1 minute
+        var last = units[units.length - 1].seconds;
+        var remaining = Math.round(Math.abs(ms || 0) / 1000 / last) * last;
+
+        var parts = [];
+        for (i = 0; i < units.length; i++) {
+            var value = Math.floor(remaining / units[i].seconds);
+            remaining -= value * units[i].seconds;
+            if (value || parts.length)
+                parts.push({ value: value, unit: units[i].unit });
+        }
+        parts = $.grep(parts.slice(0, opt.units), function (p) { return p.value; });
+        if (!parts.length)
+            parts.push({ value: 0, unit: units[units.length - 1].unit });
+
+        var intlUnits = true;
+        var list = $.map(parts, function (p) {
+            if (intlUnits) {
+                try {
+                    return new Intl.NumberFormat(locale, {
+                        style: "unit",
+                        unit: p.unit,
+                        unitDisplay: opt.style
+                    }).format(p.value);
+                } catch (ex) {
+                    // no Intl or no unit support
+                    intlUnits = false;
+                }
+            }
+            return englishUnit(p.value, p.unit, opt.style);
         });
-    };
 
-    /// <script type="text/html" id="script">
-    /// <div>
-    ///   <#= content #>
-    ///   <# for(var i=0; i < names.length; i++) { #>
-    ///   Name: <#= names[i] #> <br/>
-    ///   <# } #>
-    /// </div>
-    /// </script>
-    ///
-    /// var tmpl = $("#itemtemplate").html();
-    /// var data = { content: "This is some textual content",
-    ///              names: ["rick", "markus"]
-    /// };
-    /// $("#divResult").html(parseTemplate(tmpl, data));
-    ///
-    /// based on John Resig's Micro Templating engine
-    var _tmplCache = {};
-    parseTemplate = function (str, data) {
+        if (intlUnits && Intl.ListFormat)
+            return new Intl.ListFormat(locale, { style: opt.style, type: "unit" }).format(list);
+        return list.join(", ");
+    }
+
+    function toDate(value) {
+        if (value instanceof Date)
+            return isNaN(value.getTime()) ? null : value;
+        if (value == null || value === "")
+            return null;
+        var date = typeof value === "number" || /^-?\d+$/.test(value) ?
+            new Date(value * 1) :
+            _json.dateStringToDate(value) || new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    var _relativeTimer = null;
+
+    function updateRelativeTimes(context) {
         /// <summary>
-        /// Client side template parser that uses &lt;#= #&gt; and &lt;# code #&gt; expressions.
-        /// and # # code blocks for template expansion.
-        /// </summary> 
-        /// <param name="str" type="string">The text of the template to expand</param> 
-        /// <param name="data" type="var">
-        /// Any data that is to be merged. Pass an object and
-        /// that object's properties are visible as variables.
-        /// </param> 
-        /// <returns type="string" />
-        var err = "";
+        /// Updates the text of all elements with a data-relative-time
+        /// attribute (ISO date or time value) in context. Also reads
+        /// the datetime attribute of time elements:
+        /// &lt;time datetime="2024-03-05T14:07:09Z" data-relative-time&gt;&lt;/time&gt;
+        /// data-relative-style sets the style (long, short, narrow).
+        /// </summary>
+        /// <param name="context" type="selector">optional container - default: document</param>
+        $(context || document).find("[data-relative-time]").each(function () {
+            var el = $(this);
+            var date = toDate(el.attr("data-relative-time") || el.attr("datetime"));
+            if (!date)
+                return;
 
-        try {
-            var func = _tmplCache[str];
-            if (!func) {
-                var strFunc =
-            "var p=[];with(obj){p.push('" +
-            str.replace(/[\r\t\n]/g, " ")
-               .replace(/'(?=[^#]*#>)/g, "\t")
-               .split("'").join("\\'")
-               .split("\t").join("'")
-               .replace(/<#=(.+?)#>/g, "',$1,'")
-               .split("<#").join("');")
-               .split("#>").join("p.push('")
-               + "');}return p.join('');";
-                func = new Function("obj", strFunc);
-                _tmplCache[str] = func;
-            }
+            el.text(formatRelativeTime(date, { style: el.attr("data-relative-style") || "long" }));
+            if (!el.attr("title"))
+                el.attr("title", formatDate(date, "f"));
+        });
+    }
 
-            return func.call(data, data);
-        } catch (e) {
-            err = e.message;
+    function watchRelativeTimes(interval) {
+        /// <summary>
+        /// Updates data-relative-time elements now and then on an
+        /// interval - elements added later are picked up too.
+        /// Pass false to stop updating.
+        /// </summary>
+        /// <param name="interval" type="number">update interval in milliseconds. Default: 60000</param>
+        if (_relativeTimer) {
+            clearInterval(_relativeTimer);
+            _relativeTimer = null;
         }
-        return "< # ERROR: " + err.htmlEncode() + " # >";
-    };
+        if (interval === false)
+            return;
 
-    isElementInViewport = function (el) {
-        var rect = el.getBoundingClientRect();
+        updateRelativeTimes();
+        _relativeTimer = setInterval(function () { updateRelativeTimes(); }, interval || 60000);
+    }
 
-        return (
-            rect.top >= 0 &&
-                rect.left >= 0 &&
-                rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) && /*or $(window).height() */
-                rect.right <= (window.innerWidth || document.documentElement.clientWidth) /*or $(window).width() */
-        );
-    };
+    var _numberFormats = Object.create(null);
+
+    function getNumberFormat(cur, culture) {
+        /// <summary>
+        /// Returns the number symbols of a culture:
+        /// { d: decimal separator, c: group separator, s: currency symbol,
+        ///   p: percent sign, m: minus sign, name: culture }
+        /// </summary>
+        /// <param name="cur" type="string">currency symbol or ISO code. Default: setCulture() currency</param>
+        /// <param name="culture" type="string">culture name. Default: setCulture() or browser locale</param>
+        var currency = cur && /^[A-Z]{3}$/.test(cur) ? cur : _currency;
+        var key = (culture || _culture || "") + "|" + currency;
+        var r = _numberFormats[key];
+
+        if (!r) {
+            r = { d: ".", c: ",", s: "$", p: "%", m: "-", name: "en-US" };
+            if (typeof Intl !== "undefined" && Intl.NumberFormat) {
+                var locale = culture || _culture || undefined;
+                var fmt = new Intl.NumberFormat(locale);
+                r.name = fmt.resolvedOptions().locale;
+                $.each(intlParts(fmt, -12345.6), function (i, part) {
+                    if (part.type == "decimal") r.d = part.value;
+                    else if (part.type == "group") r.c = part.value;
+                    else if (part.type == "minusSign") r.m = part.value;
+                });
+                $.each(intlParts(new Intl.NumberFormat(locale, { style: "percent" }), 1), function (i, part) {
+                    if (part.type == "percentSign") r.p = part.value;
+                });
+                $.each(intlParts(new Intl.NumberFormat(locale, { style: "currency", currency: currency }), 1), function (i, part) {
+                    if (part.type == "currency") r.s = part.value;
+                });
+            }
+            _numberFormats[key] = r;
+        }
 
-    getBodyFromHtmlDocument = function (html) {
-        return html.replace(/^[\s\S]*<body.*?>|<\/body>[\s\S]*$/ig, '').trimStart().trimEnd();
+        if (cur && cur != currency)
+            r = $.extend({}, r, { s: cur });
+        return r;
     }
 
-    $$ = function (id, context) {
+    function formatNumber(num, format, option) {
         /// <summary>
-        /// Searches for an ID based on ASP.NET naming container syntax.
-        /// First search by ID as is, then uses attribute based lookup.
-        /// Works only on single elements - not list items in enumerated
-        /// containers.
-        /// </summary>    
-        /// <param name="id" type="var">Element ID to look up</param>    
-        /// <param name="context" type="var">
-        /// </param>    
-        /// <returns type="" /> 
-        var el = $("#" + id, context);
-        if (el.length < 1)
-            el = $("[id$=_" + id + "],[id*=" + id + "_]", context);
-        return el;
-    };
+        /// Formats a number with .NET style format strings.
+        /// Standard: C2 (currency) D5 (integer) E3 (exponential)
+        /// F2 (fixed) G (general) N0 (grouped) P1 (percent)
+        /// R (round trip) X8 (hex).
+        /// Custom: 0 # . , % \u2030 E+0 with quoted 'literals' and up
+        /// to three ; separated sections: #,##0.00;(#,##0.00);zero
+        /// </summary>
+        /// <param name="num" type="number">number to format</param>
+        /// <param name="format" type="string">format string. Default: G</param>
+        /// <param name="option" type="var">
+        /// { culture: "de-DE", currency: "EUR", symbol: "$" }, a culture
+        /// name ("de-DE") like formatDate() or a currency code ("EUR").
+        /// symbol replaces the culture's currency symbol.
+        /// </param>
+        /// <returns type="string">formatted number</returns>
+        num = Number(num);
+        format = format || "G";
+
+        var opt = option;
+        if (typeof option === "string") {
+            if (/^[A-Z]{3}$/.test(option))
+                opt = { currency: option };
+            else if (/^[a-z]{2,3}(-|$)/i.test(option))
+                opt = { culture: option };
+            else
+                opt = null;
+        }
+        opt = $.extend({ culture: _culture, currency: _currency, symbol: null }, opt);
 
-    String.prototype.htmlEncode = function () {
-        var div = document.createElement('div');
-        if (typeof (div.textContent) == 'string')
-            div.textContent = this.toString();
-        else
-            div.innerText = this.toString();
-        return div.innerHTML;
-    };
-    String.prototype.trimEnd = function (c) {
-        if (c)
-            return this.replace(new RegExp(c.escapeRegExp() + "*$"), '');
-        return this.replace(/\s+$/, '');
-    };
-    String.prototype.trimStart = function (c) {
-        if (c)
-            return this.replace(new RegExp("^" + c.escapeRegExp() + "*"), '');
-        return this.replace(/^\s+/, '');
-    };
-    String.prototype.repeat = function (chr, count) {
-        var str = "";
-        for (var x = 0; x < count; x++) {
-            str += chr;
-        };
-        return str;
-    };
-    String.prototype.padL = function (width, pad) {
-        if (!width || width < 1)
-            return this;
+        var nf = getNumberFormat(opt.symbol || opt.currency, opt.culture);
 
-        if (!pad) pad = " ";
-        var length = width - this.length;
-        if (length < 1) return this.substr(0, width);
+        if (isNaN(num))
+            return "NaN";
+        if (!isFinite(num))
+            return (num < 0 ? nf.m : "") + "\u221e";
 
-        return (this.repeat(pad, length) + this).substr(0, width);
-    };
-    String.prototype.padR = function (width, pad) {
-        if (!width || width < 1) return this;
+        var std = /^([a-zA-Z])(\d{0,2})$/.exec(format);
+        if (std)
+            return formatStandardNumber(num, std[1], std[2] === "" ? null : std[2] * 1, opt, nf);
 
-        if (!pad) pad = " ";
-        var length = width - this.length;
-        if (length < 1) this.substr(0, width);
+        return formatCustomNumber(num, format, nf);
+    }
+
+    function formatStandardNumber(num, type, digits, opt, nf) {
+        var locale = nf.name;
+        var intl = typeof Intl !== "undefined" && Intl.NumberFormat;
+
+        function fixed(value, decimals, grouping) {
+            if (intl)
+                return new Intl.NumberFormat(locale, {
+                    useGrouping: grouping,
+                    minimumFractionDigits: decimals,
+                    maximumFractionDigits: decimals
+                }).format(value);
+            return formatCustomNumber(value, (grouping ? "#,##0" : "0") +
+                (decimals ? "." + repeat("0", decimals) : ""), nf);
+        }
 
-        return (this + pad.repeat(length)).substr(0, width);
+        switch (type.toUpperCase()) {
+            case "C":
+                if (digits === null) digits = 2;
+                if (opt.symbol || !intl) {
+                    var rounded = Math.round(Math.abs(num) * Math.pow(10, digits)) / Math.pow(10, digits);
+                    return (num < 0 && rounded ? nf.m : "") + nf.s + fixed(rounded, digits, true);
+                }
+                return new Intl.NumberFormat(locale, {
+                    style: "currency",
+                    currency: opt.currency,
+                    minimumFractionDigits: digits,
+                    maximumFractionDigits: digits
+                }).format(num);
+            case "D":
+                if (Math.floor(num) !== num)
+                    throw new Error("D format requires an integer: " + num);
+                return (num < 0 ? nf.m : "") + zeroPad(Math.abs(num), digits || 1);
+            case "E":
+                if (digits === null) digits = 6;
+                var exp = Math.abs(num).toExponential(digits).split("e");
+                var power = exp[1] * 1;
+                return (num < 0 ? nf.m : "") + exp[0].replace(".", nf.d) +
+                    (type == "e" ? "e" : "E") + (power < 0 ? "-" : "+") + zeroPad(Math.abs(power), 3);
+            case "F":
+                return fixed(num, digits === null ? 2 : digits, false);
+            case "G":
+                var general = digits ? Number(num.toPrecision(digits)).toString() : num.toString();
+                return general.replace("-", nf.m).replace(".", nf.d)
+                    .replace("e", type == "g" ? "e" : "E");
+            case "N":
+                return fixed(num, digits === null ? 2 : digits, true);
+            case "P":
+                if (digits === null) digits = 2;
+                if (intl)
+                    return new Intl.NumberFormat(locale, {
+                        style: "percent",
+                        minimumFractionDigits: digits,
+                        maximumFractionDigits: digits
+                    }).format(num);
+                return fixed(num * 100, digits, true) + " " + nf.p;
+            case "R":
+                return num.toString().replace("-", nf.m).replace(".", nf.d);
+            case "X":
+                if (Math.floor(num) !== num)
+                    throw new Error("X format requires an integer: " + num);
+                // negative values as 32 bit two's complement like .NET
+                var hex = (num < 0 ? num >>> 0 : num).toString(16);
+                hex = zeroPad(hex, digits || 1);
+                return type == "X" ? hex.toUpperCase() : hex;
+        }
+        throw new Error("Invalid number format: " + type + (digits === null ? "" : digits));
     }
-    String.prototype.startsWith = function (sub,nocase) {
-        if (!this || this.length === 0) return false;
 
-        if (sub && nocase)
-            return sub.toLowerCase() === this.toLowerCase().substr(0, sub.length);
+    // splits a custom format section into placeholders and literals
+    function parseNumberSection(section, nf) {
+        var info = {
+            intParts: [], fracParts: [], prefix: "", suffix: "",
+            grouping: false, scale: 1, exponent: null
+        };
+        var target = info.intParts;
+        var seenDigit = false, afterDigits = false;
+        var pendingCommas = 0;
+
+        function literal(text) {
+            if (!seenDigit)
+                info.prefix += text;
+            else if (afterDigits || info.exponent)
+                info.suffix += text;
+            else
+                target.push({ literal: text });
+        }
+
+        for (var i = 0; i < section.length; i++) {
+            var c = section.charAt(i);
+            if (c == "0" || c == "#") {
+                if (afterDigits) {
+                    info.suffix += c;
+                    continue;
+                }
+                if (pendingCommas) {
+                    if (target === info.intParts)
+                        info.grouping = true;
+                    pendingCommas = 0;
+                }
+                seenDigit = true;
+                target.push({ digit: c });
+            }
+            else if (c == "." && target === info.intParts && !afterDigits) {
+                target = info.fracParts;
+                info.scale /= Math.pow(1000, pendingCommas);
+                pendingCommas = 0;
+                seenDigit = true;
+            }
+            else if (c == "," && seenDigit && !afterDigits && target === info.intParts) {
+                pendingCommas++;
+            }
+            else if ((c == "E" || c == "e") && seenDigit && /^[eE][+-]?0/.test(section.substr(i))) {
+                var exp = /^[eE]([+-]?)(0+)/.exec(section.substr(i));
+                info.exponent = { chr: c, sign: exp[1], digits: exp[2].length };
+                afterDigits = true;
+                i += exp[0].length - 1;
+            }
+            else if (c == "%" || c == "\u2030") {
+                info.scale *= c == "%" ? 100 : 1000;
+                literal(c == "%" ? nf.p : c);
+                if (seenDigit) afterDigits = true;
+            }
+            else if (c == "'" || c == '"') {
+                var end = section.indexOf(c, i + 1);
+                if (end < 0) end = section.length;
+                literal(section.substring(i + 1, end));
+                i = end;
+            }
+            else if (c == "\\") {
+                literal(section.charAt(i + 1));
+                i++;
+            }
+            else {
+                if (seenDigit && target === info.fracParts)
+                    afterDigits = true;
+                literal(c);
+            }
+        }
+        // trailing commas in the integer part divide by 1000 each
+        if (pendingCommas && target === info.intParts)
+            info.scale /= Math.pow(1000, pendingCommas);
 
-        return sub === this.substr(0, sub.length);
+        return info;
     }
-    String.prototype.extract = function(startDelim, endDelim, allowMissingEndDelim, returnDelims) {
-        var str = this;
-        if (str.length === 0)
-            return "";
 
-        var src = str.toLowerCase();
-        startDelim = startDelim.toLocaleLowerCase();
-        endDelim = endDelim.toLocaleLowerCase();
+    function formatCustomNumber(num, format, nf) {
+        // ; separates positive, negative and zero sections - outside of quotes
+        var sections = format.match(/(?:\\.|'[^']*'|"[^"]*"|[^;])+/g) || [format];
+        var section = sections[0];
+        var negative = num < 0;
+        var useMinus = true;
 
-        var i1 = src.indexOf(startDelim);
-        if (i1 == -1)
-            return "";
+        if (negative && sections.length > 1) {
+            section = sections[1];
+            useMinus = false;
+        }
 
-        var i2 = src.indexOf(endDelim, i1 + startDelim.length);
+        var info = parseNumberSection(section, nf);
+        var value = Math.abs(num) * info.scale;
 
-        if (!allowMissingEndDelim && i2 == -1)
-            return "";
+        var maxFrac = 0, minFrac = 0;
+        for (var i = 0; i < info.fracParts.length; i++) {
+            if (info.fracParts[i].digit) {
+                maxFrac++;
+                if (info.fracParts[i].digit == "0")
+                    minFrac = maxFrac;
+            }
+        }
 
-        if (allowMissingEndDelim && i2 == -1) {
-            if (returnDelims)
-                return str.substr(i1);
+        var power = 0;
+        if (info.exponent && value) {
+            var intDigits = $.grep(info.intParts, function (p) { return p.digit; }).length || 1;
+            power = Math.floor(Math.log(value) / Math.LN10) - (intDigits - 1);
+            value = value / Math.pow(10, power);
+            // rounding can carry into another digit: 9.99 -> 10.0
+            if (Number(value.toFixed(maxFrac)) >= Math.pow(10, intDigits)) {
+                power++;
+                value = value / 10;
+            }
+        }
 
-            return str.substr(i1 + startDelim.length);
+        var fixed = toFixedString(value, maxFrac);
+        var split = fixed.split(".");
+        var intStr = split[0];
+        var fracStr = (split[1] || "").replace(/0+$/, "");
+        while (fracStr.length < minFrac)
+            fracStr += "0";
+
+        // zero section applies when the rounded value is zero
+        if (Number(fixed) === 0) {
+            if (sections.length > 2)
+                return formatCustomNumber(0, sections[2], nf);
+            negative = false;
+        }
+        if (negative && !useMinus)
+            negative = false;
+
+        // integer digits fill the placeholders right to left
+        var minInt = 0, seen = false;
+        for (i = 0; i < info.intParts.length; i++) {
+            if (info.intParts[i].digit == "0") seen = true;
+            if (seen && info.intParts[i].digit) minInt++;
+        }
+        if (intStr == "0" && !minInt)
+            intStr = "";
+        intStr = zeroPad(intStr, minInt);
+
+        var intOut = "";
+        if (info.grouping) {
+            var grouped = intStr.replace(/\B(?=(\d{3})+(?!\d))/g, "\u0001");
+            intOut = grouped.split("\u0001").join(nf.c);
+            for (i = 0; i < info.intParts.length; i++) {
+                if (!info.intParts[i].digit)
+                    intOut += info.intParts[i].literal;
+            }
+        } else {
+            var pos = intStr.length;
+            var firstDigit = -1;
+            for (i = 0; i < info.intParts.length; i++) {
+                if (info.intParts[i].digit) { firstDigit = i; break; }
+            }
+            for (i = info.intParts.length - 1; i >= 0; i--) {
+                var part = info.intParts[i];
+                if (!part.digit) {
+                    intOut = part.literal + intOut;
+                    continue;
+                }
+                if (i == firstDigit) {
+                    intOut = intStr.substr(0, pos) + intOut;
+                    pos = 0;
+                }
+                else if (pos > 0) {
+                    intOut = intStr.charAt(pos - 1) + intOut;
+                    pos--;
+                }
+            }
         }
 
-        if (returnDelims)
-            return str.substr(i1, i2 - i1 + startDelim.length);
+        // fraction digits fill left to right
+        var fracOut = "";
+        var f = 0;
+        for (i = 0; i < info.fracParts.length; i++) {
+            var fp = info.fracParts[i];
+            if (!fp.digit)
+                fracOut += fp.literal;
+            else if (f < fracStr.length)
+                fracOut += fracStr.charAt(f++);
+        }
 
-        return str.substr(i1 + startDelim.length, i2 - i1 - startDelim.length);
-    };
-    String.prototype.escapeRegExp = function () {
-        return this.replace(/[.*+?^${}()|[\]\/\\]/g, "\\$0");
-    };
-    String.format = function (frmt, args) {
-        for (var x = 0; x < arguments.length; x++) {
-            frmt = frmt.replace(new RegExp("\\{" + x.toString() + "\\}", "g"), arguments[x + 1]);
+        var out = intOut;
+        if (fracStr.length)
+            out += nf.d + fracOut;
+        else if (!/\d/.test(fracOut))
+            out += fracOut;
+
+        if (info.exponent) {
+            var e = info.exponent;
+            out += e.chr + (power < 0 ? "-" : e.sign == "+" ? "+" : "") + zeroPad(Math.abs(power), e.digits);
         }
-        return frmt;
-    };
-    String.prototype.format = function () {
-        var a = [this];
-        $.merge(a, arguments);
-        return String.format.apply(this, a);
-    };
-    String.prototype.isNumber = function () {
 
-        if (this.length == 0) return false;
-        if ("0123456789".indexOf(this.charAt(0)) > -1)
-            return true;
-        return false;
-    };
-    var _monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-    Date.prototype.formatDate = function (format) {
-        var date = this;
-        if (!format)
-            format = "MM/dd/yyyy";
+        return (negative ? nf.m : "") + info.prefix + out + info.suffix;
+    }
 
-        var month = date.getMonth();
-        var year = date.getFullYear();
+    function toFixedString(value, digits) {
+        // toFixed() switches to exponent notation from 1e21 up
+        var fixed = value.toFixed(digits);
+        var match = /^(\d)(?:\.(\d+))?e\+(\d+)$/.exec(fixed);
+        if (!match)
+            return fixed;
 
-        if (format.indexOf("yyyy") > -1)
-            format = format.replace("yyyy", year.toString());
-        else if (format.indexOf("yy") > -1)
-            format = format.replace("yy", year.toString().substr(2, 2));
+        var mantissa = match[1] + (match[2] || "");
+        return mantissa + repeat("0", match[3] * 1 - mantissa.length + 1) +
+            (digits ? "." + repeat("0", digits) : "");
+    }
 
-        format = format.replace("dd", date.getDate().toString().padL(2, "0"));
+    function parseLocale(str, culture) {
+        /// <summary>
+        /// Parses a number entered in a culture's format: group
+        /// separators, currency symbols, percent signs and
+        /// (negative) values in parentheses are handled.
+        /// </summary>
+        /// <param name="str" type="string">number string, ie. "1.234,56 €"</param>
+        /// <param name="culture" type="string">culture name. Default: setCulture() or browser locale</param>
+        /// <returns type="number">parsed number or NaN if the input doesn't match the culture's separators</returns>
+        if (typeof str === "number")
+            return str;
+        if (!str)
+            return NaN;
+
+        var nf = getNumberFormat(null, culture);
+        str = $.trim(String(str));
+
+        var negative = false;
+        if (/^\(.*\)$/.test(str)) {
+            negative = true;
+            str = str.substr(1, str.length - 2);
+        }
 
-        var hours = date.getHours();
-        if (format.indexOf("t") > -1) {
-            if (hours > 11)
-                format = format.replace("t", "pm");
-            else
-                format = format.replace("t", "am");
-        }
-        if (format.indexOf("HH") > -1)
-            format = format.replace("HH", hours.toString().padL(2, "0"));
-        if (format.indexOf("hh") > -1) {
-            if (hours > 12) hours -= 12;
-            if (hours == 0) hours = 12;
-            format = format.replace("hh", hours.toString().padL(2, "0"));
-        }
-        if (format.indexOf("mm") > -1)
-            format = format.replace("mm", date.getMinutes().toString().padL(2, "0"));
-        if (format.indexOf("ss") > -1)
-            format = format.replace("ss", date.getSeconds().toString().padL(2, "0"));
-
-        if (format.indexOf("MMMM") > -1)
-            format = format.replace("MMMM", _monthNames[month]);
-        else if (format.indexOf("MMM") > -1)
-            format = format.replace("MMM", _monthNames[month].substr(0, 3));
-        else
-            format = format.replace("MM", (month + 1).toString().padL(2, "0"));
-
-        return format;
-    };
-    Number.prototype.formatNumber = function (format, option) {
-        var num = this;
-        var fmt = Number.getNumberFormat();
-        if (format == "c") {
-            num = Math.round(num * 100) / 100;
-            option = option || "$";
-            num = num.toLocaleString();
-            var s = num.split(".");
-            var p = s.length > 1 ? s[1] : '';
-            return option + s[0] + fmt.d + p.padR(2, '0');
-        }
-        if (format.charAt(0) == "n") {
-            if (format.length == 1)
-                return num.toLocaleString()
-            var dec = format.substr(1);
-            dec = parseInt(dec);
-            if (typeof (dec) != "number")
-                return num.toLocaleString();
-            num = num.toFixed(dec);
-            var x = num.split(fmt.d);
-            var x1 = x[0];
-            var x2 = x.length > 1 ? fmt.d + x[1] : '';
-            var rgx = /(\d+)(\d{3})/;
-            while (rgx.test(x1))
-                x1 = x1.replace(rgx, '$1' + fmt.c + '$2');
-            return x1 + x2
-        }
-        if (format.charAt(0) == "f") {
-            if (format.length == 1)
-                return num.toString();
-            var dc = format.substr(1);
-            dc = parseFloat(dec);
-            if (typeof (dec) != "number")
-                return num.toString();
-            return num.toFixed(dec);
-        }
-        return num.toString();
-    };
-    Number.getNumberFormat = function (cur) {
-        var t = 1000.1.toLocaleString();
-        var r = {};
-        r.d = t.charAt(5);
-        if (r.d.isNumber())
-            r.d = t.charAt(4);
-        r.c = t.charAt(1);
-        if (r.c.isNumber())
-            r.c = ",";
-        r.s = cur || "$";
-        return r;
-    };
-    registerNamespace = function (ns) {
+        var percent = str.indexOf(nf.p) > -1 || str.indexOf("%") > -1;
+
+        // group separators are marked so they can be validated below
+        if (nf.c)
+            str = str.split(nf.c).join("\u0002");
+        str = str.replace(/[\s%]|\b[A-Z]{3}\b/g, "")
+            .split(nf.p).join("")
+            .split(nf.s).join("")
+            .replace(/[^\d.,+\-\u2212eE\u0002]/g, "")
+            .replace(/\u2212/g, "-");
+
+        // input in another convention ("1,234.56" for de-DE) or with
+        // malformed grouping is rejected rather than misread
+        var parts = str.replace(/^[+-]/, "").replace(/[eE][+-]?\d+$/, "").split(nf.d);
+        if (parts.length > 2 || /\u0002/.test(parts[1]) ||
+            /\u0002/.test(parts[0]) && !/^\d{1,3}(\u0002\d{2,3})*\u0002\d{3}$/.test(parts[0]))
+            return NaN;
+
+        str = str.replace(/\u0002/g, "");
+        if (nf.d != ".")
+            str = str.replace(".", "\u0001").split(nf.d).join(".");
+
+        if (!/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(str))
+            return NaN;
+
+        var num = parseFloat(str);
+        if (percent)
+            num = num / 100;
+        return negative ? -num : num;
+    }
+
+    var registerNamespace = function (ns) {
         var pts = ns.split('.');
         var stk = window;
         var nsp = "";
@@ -2162,7 +5270,7 @@ http://en.wikipedia.org/wiki/MIT_License
                 stk = stk[pt] = {};
         }
     };
-    getUrlEncodedKey = function (key, query) {
+    var getUrlEncodedKey = function (key, query) {
         if (!query) query = window.location.search;
         var re = new RegExp("[?|&]" + key + "=(.*?)&");
         var matches = re.exec(query + "&");
@@ -2170,7 +5278,7 @@ http://en.wikipedia.org/wiki/MIT_License
             return "";
         return decodeURIComponent(matches[1].replace("+", " "));
     };
-    setUrlEncodedKey = function (key, value, query) {
+    var setUrlEncodedKey = function (key, value, query) {
 
         query = query || window.location.search;
         var q = query + "&";
@@ -2179,21 +5287,19 @@ http://en.wikipedia.org/wiki/MIT_License
             q += key + "=" + encodeURI(value);
         else
             q = q.replace(re, "&" + key + "=" + encodeURIComponent(value) + "&");
-        q = q.trimStart("&").trimEnd("&");
+        q = trimEnd(trimStart(q, "&"), "&");
         return q.charAt(0) == "?" ? q : q = "?" + q;
     };
     $.fn.serializeNoViewState = function () {
         return this.find("input,textarea,select,hidden").not("#__VIEWSTATE,#__EVENTVALIDATION").serialize();
     };
 
-    if (!this.assert) {
-        this.assert = function (cond, msg) {
-            if (cond) return;
-            if (!msg) msg = "";
-            alert("Assert failed\r\n" + (msg ? msg : "") + "\r\n" +
-              (arguments.callee.caller ? "in " + arguments.callee.caller.toString() : ""));
-        }
-    }
+    var assert = function (cond, msg) {
+        if (cond) return;
+        if (!msg) msg = "";
+        alert("Assert failed\r\n" + (msg ? msg : "") + "\r\n" +
+          (arguments.callee.caller ? "in " + arguments.callee.caller.toString() : ""));
+    };
 
     $.expr[":"].containsNoCase = function (el, i, m) {
         var search = m[3];
@@ -2235,7 +5341,7 @@ http://en.wikipedia.org/wiki/MIT_License
     2009-04-16
     Public Domain.
     */
-    if (!this.JSON) { this.JSON = {}; }
+    if (!window.JSON) { window.JSON = {}; }
     (function () {
         function f(n) { return n < 10 ? '0' + n : n; }
         if (typeof Date.prototype.toJSON !== 'function') {
@@ -2272,26 +5378,13 @@ mind + '}' : '{' + partial.join(',') + '}'; gap = mind; return v;
                 return str('', { '': value });
             };
         }
-        if (typeof JSON.parse !== 'function') {
-            JSON.parse = function (text, reviver) {
-                var j; function walk(holder, key) {
-                    var k, v, value = holder[key]; if (value && typeof value === 'object') { for (k in value) { if (Object.hasOwnProperty.call(value, k)) { v = walk(value, k); if (v !== undefined) { value[k] = v; } else { delete value[k]; } } } }
-                    return reviver.call(holder, key, value);
-                }
-                cx.lastIndex = 0; if (cx.test(text)) {
-                    text = text.replace(cx, function (a) {
-                        return '\\u' +
-('0000' + a.charCodeAt(0).toString(16)).slice(-4);
-                    });
-                }
-                if (/^[\],:{}\s]*$/.test(text.replace(/\\(?:["\\\/bfnrt]|u[0-9a-fA-F]{4})/g, '@').replace(/"[^"\\\n\r]*"|true|false|null|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?/g, ']').replace(/(?:^|:|,)(?:\s*\[)+/g, ''))) { j = eval('(' + text + ')'); return typeof reviver === 'function' ? walk({ '': j }, '') : j; }
-                throw new SyntaxError('JSON.parse');
-            };
-        }
+        // no JSON.parse() fallback - it relied on eval() which a Content Security Policy blocks
     }());
 
 
-    if (this.JSON && !this.JSON.dateParser) {
+    // date aware JSON helpers - install() adds them to the global JSON object
+    var _json = {};
+    (function () {
         var reISO = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2}(?:\.{0,1}\d*))(?:Z|(\+|-)([\d|:]*))?$/;
         var reMsAjax = /^\/Date\((d|-|.*)\)[\/|\\]$/;
 
@@ -2299,9 +5392,9 @@ mind + '}' : '{' + partial.join(',') + '}'; gap = mind; return v;
         /// set this if you want MS Ajax Dates parsed
         /// before calling any of the other functions
         /// </summary>
-        JSON.parseMsAjaxDate = false;
+        _json.parseMsAjaxDate = false;
 
-        JSON.useDateParser = function (reset) {
+        _json.useDateParser = function (reset) {
             /// <summary>
             /// Globally enables JSON date parsing for JSON.parse().
             /// replaces the 
@@ -2317,12 +5410,12 @@ mind + '}' : '{' + partial.join(',') + '}'; gap = mind; return v;
             } else {
                 if (!JSON.parseSaved) {
                     JSON._parseSaved = JSON.parse;
-                    JSON.parse = JSON.parseWithDate;
+                    JSON.parse = _json.parseWithDate;
                 }
             }
         };
 
-        JSON.dateParser = function (key, value) {
+        _json.dateParser = function (key, value) {
             /// <summary>
             /// Globally enables JSON date parsing for JSON.parse().
             /// Replaces the default JSON.parse() method and adds
@@ -2336,7 +5429,7 @@ mind + '}' : '{' + partial.join(',') + '}'; gap = mind; return v;
                 if (a)
                     return new Date(value);
 
-                if (!JSON.parseMsAjaxDate)
+                if (!_json.parseMsAjaxDate)
                     return value;
 
                 a = reMsAjax.exec(value);
@@ -2348,7 +5441,7 @@ mind + '}' : '{' + partial.join(',') + '}'; gap = mind; return v;
             return value;
         };
 
-        JSON.parseWithDate = function (json) {
+        _json.parseWithDate = function (json) {
             /// <summary>
             /// Wrapper around the JSON.parse() function that adds a date
             /// filtering extension. Returns all dates as real JavaScript dates.
@@ -2357,7 +5450,7 @@ mind + '}' : '{' + partial.join(',') + '}'; gap = mind; return v;
             /// <returns type="any">parsed value or object</returns>
             var parse = JSON._parseSaved ? JSON._parseSaved : JSON.parse;
             try {
-                var res = parse(json, JSON.dateParser);
+                var res = parse(json, _json.dateParser);
                 return res;
             } catch (e) {
                 // orignal error thrown has no error message so rethrow with message
@@ -2365,7 +5458,82 @@ mind + '}' : '{' + partial.join(',') + '}'; gap = mind; return v;
             }
         };
 
-        JSON.dateStringToDate = function (dtString, nullDateVal) {
+        _json.stringifyWithDates = function (value, space) {
+            /// <summary>
+            /// Serializes a value to JSON with dates in ISO format.
+            /// Circular references are serialized as null.
+            /// </summary>
+            /// <param name="value" type="any">value or object to serialize</param>
+            /// <param name="space" type="var">optional indentation passed to JSON.stringify()</param>
+            /// <returns type="string">JSON string</returns>
+            return JSON.stringify(toSerializable(value, function (date) {
+                return isFinite(date.valueOf()) ? date.toISOString() : null;
+            }), null, space);
+        };
+
+        _json.stringifyWcf = function (value, space) {
+            /// <summary>
+            /// Serializes a value to JSON with dates in WCF/ASMX
+            /// \/Date(ms+offset)\/ format. Circular references are
+            /// serialized as null.
+            /// </summary>
+            /// <param name="value" type="any">value or object to serialize</param>
+            /// <param name="space" type="var">optional indentation passed to JSON.stringify()</param>
+            /// <returns type="string">JSON string</returns>
+            var json = JSON.stringify(toSerializable(value, function (date) {
+                var time = date.valueOf();
+                if (!isFinite(time))
+                    return null;
+
+                var offset = date.getTimezoneOffset();
+                var abs = Math.abs(offset);
+                return wcfDateMarker + "(" + time + (offset > 0 ? "-" : "+") +
+                    padL(Math.floor(abs / 60), 2, "0") +
+                    padL(abs % 60, 2, "0") + ")";
+            }), null, space);
+
+            // WCF expects the escaped \/ in the JSON text
+            return json.replace(reWcfMarker, "\"\\/Date($1)\\/\"");
+        };
+
+        // placeholder for dates - the string is escaped as \u0001 by JSON.stringify()
+        var wcfDateMarker = "\u0001WcfDate";
+        var reWcfMarker = /"\\u0001WcfDate\((-?\d+[+-]\d{4})\)"/g;
+
+        // creates a copy of value with dates formatted and cycles removed
+        function toSerializable(value, formatDate, ancestors) {
+            if (value === null || typeof value !== "object")
+                return value;
+
+            if (value instanceof Date)
+                return formatDate(value);
+
+            if (typeof value.toJSON === "function")
+                return toSerializable(value.toJSON(), formatDate, ancestors);
+
+            ancestors = ancestors || [];
+            if (ancestors.indexOf(value) > -1)
+                return null;
+            ancestors.push(value);
+
+            var result;
+            if ($.isArray(value)) {
+                result = [];
+                for (var i = 0; i < value.length; i++)
+                    result.push(toSerializable(value[i], formatDate, ancestors));
+            } else {
+                result = {};
+                for (var key in value) {
+                    if (Object.prototype.hasOwnProperty.call(value, key))
+                        result[key] = toSerializable(value[key], formatDate, ancestors);
+                }
+            }
+
+            ancestors.pop();
+            return result;
+        }
+
+        _json.dateStringToDate = function (dtString, nullDateVal) {
             /// <summary>
             /// Converts a JSON ISO or MSAJAX date or real date a date value.
             /// Supports both JSON encoded dates or plain date formatted strings
@@ -2393,15 +5561,195 @@ mind + '}' : '{' + partial.join(',') + '}'; gap = mind; return v;
             if (a)
                 return new Date(dtString);
 
-            if (!JSON.parseMsAjaxDate)
+            if (!_json.parseMsAjaxDate)
                 return nullDateVal;
 
             a = reMsAjax.exec(dtString);
             if (a) {
-                var b = a[1].split(/[-,.]/);
-                return new Date(+b[0]);
+                var b = a[1].split(/[-+,.]/);
+                return new Date(b[0] ? +b[0] : 0 - +b[1]);
             }
             return nullDateVal;
         };
+    })();
+
+    var ww = {
+        HttpClient: HttpClient,
+        CancelToken: CancelToken,
+        ServiceProxy: ServiceProxy,
+        AjaxMethodCallback: AjaxMethodCallback,
+        ajaxJson: ajaxJson,
+        ajaxCallMethod: ajaxCallMethod,
+        onPageError: onPageError,
+        CallbackException: CallbackException,
+        StatusBar: StatusBar,
+        ToastManager: ToastManager,
+        showToast: showToast,
+        showStatus: showStatus,
+        sumDimensions: sumDimensions,
+        debounce: debounce,
+        DataBinder: DataBinder,
+        FormValidator: FormValidator,
+        HoverPanel: HoverPanel,
+        DragBehavior: DragBehavior,
+        _ModalDialog: _ModalDialog,
+        opaqueOverlay: opaqueOverlay,
+        parseTemplate: parseTemplate,
+        TemplateError: TemplateError,
+        isElementInViewport: isElementInViewport,
+        getBodyFromHtmlDocument: getBodyFromHtmlDocument,
+        $$: $$,
+        registerNamespace: registerNamespace,
+        getUrlEncodedKey: getUrlEncodedKey,
+        setUrlEncodedKey: setUrlEncodedKey,
+        assert: assert,
+        // string helpers published by the first module release - ww.str has the full set
+        htmlEncode: htmlEncode,
+        trimStart: trimStart,
+        trimEnd: trimEnd,
+        repeat: repeat,
+        padL: padL,
+        padR: padR,
+        startsWith: startsWith,
+        extract: extract,
+        escapeRegExp: escapeRegExp,
+        format: stringFormat,
+        isNumber: isNumber,
+        str: {
+            htmlEncode: htmlEncode,
+            trimStart: trimStart,
+            trimEnd: trimEnd,
+            repeat: repeat,
+            padL: padL,
+            padR: padR,
+            startsWith: startsWith,
+            endsWith: endsWith,
+            extract: extract,
+            escapeRegExp: escapeRegExp,
+            format: stringFormat,
+            isNumber: isNumber,
+            slugify: slugify,
+            truncate: truncate,
+            stripHtml: stripHtml
+        },
+        formatDate: formatDate,
+        formatNumber: formatNumber,
+        getNumberFormat: getNumberFormat,
+        parseLocale: parseLocale,
+        parseExact: parseExact,
+        formatRelativeTime: formatRelativeTime,
+        formatDuration: formatDuration,
+        updateRelativeTimes: updateRelativeTimes,
+        watchRelativeTimes: watchRelativeTimes,
+        setCulture: setCulture,
+        getCultureInfo: getCultureInfo,
+        json: _json,
+        install: install
+    };
+
+    // names published on the global object by install()
+    var _globals = ["HttpClient", "CancelToken", "ServiceProxy", "AjaxMethodCallback",
+        "ajaxJson", "ajaxCallMethod", "onPageError", "CallbackException", "StatusBar",
+        "ToastManager", "showToast", "showStatus", "sumDimensions", "debounce",
+        "DataBinder", "FormValidator", "HoverPanel", "DragBehavior", "_ModalDialog",
+        "opaqueOverlay", "parseTemplate", "TemplateError", "isElementInViewport",
+        "getBodyFromHtmlDocument", "$$", "registerNamespace", "getUrlEncodedKey",
+        "setUrlEncodedKey", "formatRelativeTime", "formatDuration", "updateRelativeTimes",
+        "watchRelativeTimes"];
+
+    function install(options) {
+        /// <summary>
+        /// Publishes the library the way the script tag build always has:
+        /// global functions and classes, the String, Date and Number
+        /// prototype extensions and the JSON date helpers.
+        /// Module users call it once - or pick what they need.
+        /// </summary>
+        /// <param name="options" type="object">
+        /// { globals: true, prototypes: true, json: true, overrideNative: false }
+        /// prototype methods that already exist - natively or from another
+        /// library - are left alone unless overrideNative is true or
+        /// an array that lists them, ie. ["startsWith","trimEnd"].
+        /// Note that repeat(chr, count), startsWith(sub, nocase),
+        /// trimEnd(chr) and trimStart(chr) differ from the native String
+        /// methods - use ww.str for those.
+        /// </param>
+        /// <returns type="object">the ww library object</returns>
+        var opt = $.extend({
+            globals: true,
+            prototypes: true,
+            json: true,
+            overrideNative: false
+        }, options);
+
+        function extend(target, name, func) {
+            if (name in target && opt.overrideNative !== true &&
+                !($.isArray(opt.overrideNative) && $.inArray(name, opt.overrideNative) > -1))
+                return;
+            target[name] = func;
+        }
+
+        if (opt.globals) {
+            $.each(_globals, function (i, name) {
+                window[name] = ww[name];
+            });
+            if (!window.assert)
+                window.assert = assert;
+
+            // pages assign their own __statusbar/__toasts - keep them shared
+            // with the library's copies
+            Object.defineProperty(window, "__statusbar", {
+                get: function () { return __statusbar; },
+                set: function (val) { __statusbar = val; },
+                configurable: true
+            });
+            Object.defineProperty(window, "__toasts", {
+                get: function () { return __toasts; },
+                set: function (val) { __toasts = val; },
+                configurable: true
+            });
+        }
+
+        if (opt.prototypes) {
+            var sp = String.prototype;
+            extend(sp, "htmlEncode", function () { return htmlEncode(this); });
+            extend(sp, "trimEnd", function (c) { return trimEnd(this, c); });
+            extend(sp, "trimStart", function (c) { return trimStart(this, c); });
+            extend(sp, "repeat", function (chr, count) { return repeat(chr, count); });
+            extend(sp, "padL", function (width, pad) { return padL(this, width, pad); });
+            extend(sp, "padR", function (width, pad) { return padR(this, width, pad); });
+            extend(sp, "startsWith", function (sub, nocase) { return startsWith(this, sub, nocase); });
+            extend(sp, "extract", function (startDelim, endDelim, allowMissingEndDelim, returnDelims) {
+                return extract(this, startDelim, endDelim, allowMissingEndDelim, returnDelims);
+            });
+            extend(sp, "escapeRegExp", function () { return escapeRegExp(this); });
+            extend(sp, "isNumber", function () { return isNumber(this); });
+            extend(String, "format", stringFormat);
+            extend(sp, "format", function () {
+                var a = [this];
+                $.merge(a, arguments);
+                return stringFormat.apply(this, a);
+            });
+            extend(Date.prototype, "formatDate", function (format, culture) { return formatDate(this, format, culture); });
+            extend(Date, "parseExact", parseExact);
+            extend(Number.prototype, "formatNumber", function (format, option) { return formatNumber(this, format, option); });
+            extend(Number, "getNumberFormat", getNumberFormat);
+            extend(Number, "parseLocale", parseLocale);
+        }
+
+        if (opt.json && !JSON.dateParser) {
+            $.each(["useDateParser", "dateParser", "parseWithDate", "stringifyWithDates",
+                    "stringifyWcf", "dateStringToDate"], function (i, name) {
+                JSON[name] = _json[name];
+            });
+            Object.defineProperty(JSON, "parseMsAjaxDate", {
+                get: function () { return _json.parseMsAjaxDate; },
+                set: function (val) { _json.parseMsAjaxDate = val; },
+                configurable: true
+            });
+        }
+
+        return ww;
     }
-})(jQuery);
\ No newline at end of file
+
+    return ww;
+});
\ No newline at end of file
@@ -1 +1 @@
-(function(n,t){var i,r,u,f,e;HttpClient=function(t){var i=this;this.completed=null;this.errorHandler=null;this.errorMessage="";this.async=!0;this.evalResult=!1;this.contentType="application/x-www-form-urlencoded";this.accepts=null;this.method="GET";this.timeout=2e4;this.headers={};n.extend(i,t);this.appendHeader=function(n,t){i.headers[n]=t};this.send=function(t,r,u,f){return u=u||i.completed,f=f||i.errorHandler,n.ajax({url:t,data:r,type:r?"POST":i.method,processData:!1,contentType:i.contentType,timeout:i.timeout,dataType:"text",global:!1,async:i.async,beforeSend:function(n){for(var t in i.headers)n.setRequestHeader(t,i.headers[t]);i.accepts&&n.setRequestHeader("Accept",i.accepts)},success:function(n){var t=null;if(i.evalResult)try{n=JSON.parseWithDate(n);n&&n.hasOwnProperty("d")&&(n=n.d)}catch(r){t=new CallbackException(r)}if(t||n&&(n.isCallbackError||n.iscallbackerror)){n&&(t=n);f&&f(t,i);return}u&&u(n,i)},error:function(n,t){var r=null,u;n.readyState==4&&(u=n.responseText,u&&u.charAt(0)=="{"&&(r=JSON.parseWithDate(u)),r||(r=n.status&&n.status!=200?new CallbackException(n.status+" "+n.statusText):new CallbackException("Callback Error: "+t),r.detail=u));r||(r=new CallbackException("Callback Error: "+t));f&&f(r,i,n)}})};this.returnError=function(n){var t=new CallbackException(n);i.errorHandler&&i.errorHandler(t,i)}};ServiceProxy=function(t){var i=this;this.isWcf=!0;this.timeout=2e4;this.method="POST";this.serviceUrl=t;typeof t=="object"&&n.extend(this,t);this.invoke=function(n,t,r,u){var f=null,e,o;i.method!="GET"&&(f=i.isWcf?JSON.stringifyWcf(t):JSON.stringify(t));e=i.serviceUrl+n;o=new HttpClient({contentType:"application/json",accepts:"application/json,text/*",method:i.method,evalResult:!0,timeout:i.timeout});o.send(e,f,r,u)}};AjaxMethodCallback=function(t,i,r){var u=this;this.controlId=t;this.postbackMode="PostMethodParametersOnly";this.serverUrl=i;this.formName=null;this.resultMode="json";this.timeout=2e4;this.completed=null;this.errorHandler=null;n.extend(this,r);this.Http=null;this.callMethod=function(t,i,r,f){var s,e,h,o,c;if(u.completed=r,u.errorHandler=f,s=new HttpClient({timeout:u.timeout,evalResult:!0,accepts:"application/json,text/*"}),u.Http=s,e={},u.resultMode=="msajax")e=JSON.stringifyWithDates(i);else{if(h=0,i.length)for(h=i.length,o=0;o<h;o++)e["Parm"+(o+1).toString()]=JSON.stringify(i[o]);n.extend(e,{CallbackMethod:t,CallbackParmCount:h,__WWEVENTCALLBACK:u.controlId});e=n.param(e)+"&"}if(c=u.formName||(document.forms.length>0?document.forms[0].id:""),u.postbackMode=="Post")e+=n("#"+c).serialize();else if(u.postbackMode=="PostNoViewstate")e+=n("#"+c).serializeNoViewState();else if(this.postbackMode=="Get")return Url=this.serverUrl,Url+=Url.indexOf("?")>-1?e:"?"+e,s.send(Url,null,u.onHttpCallback,u.onHttpCallback);return s.send(this.serverUrl,e,u.onHttpCallback,u.onHttpCallback)};this.onHttpCallback=function(n){if(n&&(n.isCallbackError||n.iscallbackerror)){u.errorHandler&&u.errorHandler(n,u);return}u.completed!=null&&u.completed(n,u)}};ajaxJson=function(t,i,r,u,f){var h=i,o,e,s;return typeof r=="object"&&(f=r,r=null,u=null),o="POST",i||(o="GET"),e={method:o,contentType:"application/json",accepts:"application/json",noPostEncoding:!1},n.extend(e,f),s=new HttpClient(e),s.evalResult=!0,i===null||e.noPostEncoding||e.method!=="POST"&&e.method!=="PUT"&&e.method!="PATCH"||(h=JSON.stringify(i)),s.send(t,h,r,u)};ajaxCallMethod=function(n,t,i,r,u,f){var e=new AjaxMethodCallback(null,n,f);return e.callMethod(t,i,r,u)};n.postJSON=function(t,i,r,u,f){var e={method:"POST",evalResult:!0},o;return n.extend(e,f),o=new HttpClient(e),typeof i=="object"&&(i=n.param(i)),o.send(t,i,r,u)};n.fn.serializeObject=function(){var i={},r=this.serializeArray();return n.each(r,function(){i[this.name]!==t?(i[this.name].push||(i[this.name]=[i[this.name]]),i[this.name].push(this.value||"")):i[this.name]=this.value||""}),i};onPageError=function(n){showStatus(n.message||n.Message,6e3,!0)};CallbackException=function(n,t,i){this.isCallbackError=!0;this.status=i?i:500;typeof n=="object"?n.message?this.message=n.message:n.Message&&(this.message=n.Message):this.message=n;this.detail=t?t:null};StatusBar=function(t,i){var r=this,u=null;r.elementId="_showstatus";r.prependMultiline=!0;r.closable=!1;r.afterTimeoutText=null;r.autoClose=!1;r.noEffects=!1;r.effectSpeed=500;r.cssClass="statusbar";r.highlightClass="statusbarhighlight";r.closeButtonClass="statusbarclose";r.additive=!1;r.interval=0;t&&(u=n(t));i&&n.extend(this,i);u||(u=n("<div id='_statusbar' class='"+r.cssClass+"'><div class='"+r.closeButtonClass+"'>"+(r.closable?"<\/div><\/div>":"")).appendTo(document.body).hide());r.closeable&&n("."+r.cssClass).click(function(){r.hide()});this.show=function(t,i,f){var e,o;return t=="hide"?r.hide():(f===!0?u.addClass(r.highlightClass):u.removeClass(r.highlightClass),r.additive?(e=n("<div style='margin-bottom: 2px;'>"+t+"<\/div>"),r.prependMultiline?u.prepend(e):u.append(e)):r.closable?(o=u.find("div.statusbarclose"),u.text(t).prepend(o),o.click(r.hide)):u.text(t),u.is(":visible")||r.noEffects?u.show():u.slideDown(r.effectSpeed),u.maxZIndex(),i&&(r.interval!=0&&clearInterval(r.interval),r.interval=setTimeout(function(){r.interval=0;u.removeClass(r.highlightClass);r.afterTimeoutText?r.show(r.afterTimeoutText):r.autoClose&&r.hide()},i)),r)};this.hide=function(){return r.noEffects?u.hide():u.slideUp(r.effectSpeed),u.removeClass(r.highlightClass),r};this.release=function(){u&&n(u).remove()}};__statusbar=null;showStatus=function(n,t,i,r){if(typeof n=="object"){__statusbar&&__statusbar.release();__statusbar=new StatusBar(null,n);return}__statusbar||(__statusbar=new StatusBar);__statusbar.show(n,t,i,r)};n.fn.centerInClient=function(t){var i={forceAbsolute:!1,container:window,completed:null,centerOnceOnly:!1,keepCentered:!1};return n.extend(i,t),this.each(function(){var t=n(this),r,e,o;if(i.centerOnceOnly){if(t.data("_centerOnce"))return;t.data("_centerOnce",!0)}else t.data("_centerOnce",null);i.keepCentered&&(t.data("_keepCentered")||(t.data("_keepCentered",!0),n(window).resize(function(){t.is(":visible")&&setTimeout(function(){t.centerInClient(i)})})));r=n(i.container);e=i.container==window;i.forceAbsolute&&(e?t.remove().appendTo("body"):t.remove().appendTo(r[0]));t.css("position","absolute");var u=(e?r.width():r.outerWidth())/2-t.outerWidth()/2,f=(e?r.height():r.outerHeight())/2.2-t.outerHeight()/2;u=u+r.scrollLeft();f=f+r.scrollTop();f=f<5?5:f;u=u<5?5:u;t.css({left:u,top:f});o=t.css("zIndex");o&&o!="auto"||t.css("zIndex",1);i.completed&&i.completed(this)})};sumDimensions=function(n){for(var i=0,t=1;t<arguments.length;t++)i+=Math.max(parseInt(n.css(arguments[t]),10)||0,0);return i};debounce=function(n,t,i){var r;return function(){var u=this,f=arguments,e=function(){r=null;i||n.apply(u,f)},o=i&&!r;clearTimeout(r);r=setTimeout(e,t);o&&n.apply(u,f)}};n.fn.makeAbsolute=function(t){return this.each(function(){var i=n(this),u=!0,r;i.is(":visible")||(i.show(),u=!1);r=i.position();u||i.hide();i.css({position:"absolute",marginLeft:0,marginTop:0,top:r.top,left:r.left});t&&i.remove().appendTo("body")})};n.fn.slideUpTransition=function(t){return t=n.extend(t,{cssHiddenClass:"height-transition-hidden"}),this.each(function(){var i=n(this);i.css("max-height","0");i.addClass(t.cssHiddenClass)})};n.fn.slideDownTransition=function(t){return t=n.extend(t,{cssHiddenClass:"height-transition-hidden"}),this.each(function(){var i=n(this),r;i.removeClass(t.cssHiddenClass);i.css("max-height","none");r=i.outerHeight();i.css("max-height","0");setTimeout(function(){i.css({"max-height":r})},1)})};n.fn.stretchToBottom=function(t){var i={container:n(window),bottomOffset:0,autoResize:!1};return t&&t.length?i.container=t:n.extend(i,t),i.autoResize==!0&&($els=this,n(i.container).resize(function(){$els.stretchToBottom({container:i.container,autoResize:!1})})),this.each(function(){var e,t;$el=n(this);e=$el.css("position");$el.makeAbsolute();var r=i.container,u=n(window).innerHeight(),o=parseInt($el.css("top")),f=0;r[0]!=window?(t=sumDimensions(r,"borderTopWidth","borderBottomWidth","paddingBottom","paddingTop")+sumDimensions($el,"borderTopWidth","borderBottomWidth","marginBottom","marginTop","paddingBottom","paddingTop"),t=t?t:1,u=r.offset().top+r.outerHeight(),f=u-o-Math.ceil(t)-i.bottomOffset):(t=sumDimensions($el,"borderTopWidth","borderBottomWidth","marginBottom","marginTop"),f=u-o-Math.ceil(t)-i.bottomOffset);$el.css("position",e).css("height",f)})};n.fn.moveToMousePosition=function(t,i){var r={left:0,top:0};return n.extend(r,i),this.each(function(){var i=n(this);i.css({left:t.pageX+r.left,top:t.pageY+r.top,position:"absolute"})})};n.fn.tooltip=function(t,i,r){function f(t,i){var u=this,e=n(t),f,r;this.cssClass="";this.onRelease=null;n.extend(u,i);f=e.get(0);r=n("#"+f.id+"_tt");this.show=function(t,i,o){r.length>0&&r.remove();r=n("<div>").attr("id",f.id+"_tt");n(document.body).append(r);r.css({position:"absolute",display:"none",zIndex:1e3});u.cssClass?r.addClass(u.cssClass):r.css({background:"cornsilk",border:"solid 1px gray",fontSize:"8pt",padding:2,"border-radius":"2px","box-shadow":"1px 1px 1px #535353"});o?r.html(t):r.text(t);var h=e.position(),c=h.left+5,l=h.top+e.outerHeight()-1,s=r.width();s>400&&(s=400);r.css({left:c,top:l,width:s});r.show();i&&i>0&&setTimeout(function(){u.onRelease&&u.onRelease.call(f,u);u.hide()},i)};this.hide=function(){r.length>0&&r.fadeOut("slow")}}var u={cssClass:"tooltip",isHtml:!1,onRelease:null};return n.extend(u,r),this.each(function(){var n=new f(this,u);if(t=="hide"){n.hide();return}n.show(t,i,u.isHtml)})};n.fn.watch=function(i){function u(t,i,u){t.each(function(){var i=n(this),t;window.MutationObserver?(t=i.data("__watcherObserver"+r.id),t==null&&(t=new MutationObserver(u.fnc),i.data("__watcherObserver"+r.id,t)),t.observe(this,{attributes:!0,subtree:r.watchChildren,childList:r.watchChildren,characterData:!0})):u.intervalId=setInterval(u.fnc,r.interval)})}function f(i,r,f){var s=n(this),e=s.data(i),a,l,o,h,c;if(e&&(a=this,e.func)){for(l=!1,o=0,o;o<e.props.length;o++)if((h=e.props[o],c="",c=h.startsWith("attr_")?s.attr(h.replace("attr_","")):h.startsWith("prop_")?s.prop(h.replace("prop_","")):s.css(h),c!=t)&&e.vals[o]!==c){e.vals[o]=c;l=!0;break}l&&(s.unwatch(i),e.func.call(a,e,o,r,f),u(s,i,e))}}var r=n.extend({properties:null,interval:100,id:"_watcher_"+(new Date).getTime(),watchChildren:!1,callback:null},i);return this.each(function(){var e=this,i=n(this),o=function(n,t){f.call(e,r.id,n,t)},t={id:r.id,props:r.properties.split(","),vals:[r.properties.split(",").length],func:r.callback,fnc:o,origProps:r.properties,interval:r.interval,intervalId:null};n.each(t.props,function(n){var r=t.props[n];t.vals[n]=t.props[n].startsWith("attr_")?i.attr(r.replace("attr_","")):r.startsWith("prop_")?i.prop(r.replace("props_","")):i.css(r)});i.data(r.id,t);u(i,r.id,t)})};n.fn.unwatch=function(t){return this.each(function(){var i=n(this),u=i.data(t),r;try{window.MutationObserver?(r=i.data("__watcherObserver"+t),r&&(r.disconnect(),i.removeData("__watcherObserver"+t))):clearInterval(u.intervalId)}catch(f){}}),this};n.fn.listSetData=function(t,i){var r={noClear:!1,dataValueField:null,dataTextField:null};return n.extend(r,i),this.each(function(){var u=n(this),f,i;if(t==null){u.children().remove();return}for(r.noClear||u.children().remove(),t.Rows?t=t.Rows:t.rows&&(t=t.rows),f=!1,r.dataTextField||r.dataValueField||(f=!0),x=0;x<t.length;x++)i=t[x],f?u.listAddItem(i,i):u.listAddItem(i[r.dataTextField],i[r.dataValueField])})};n.fn.listAddItem=function(t,i){return this.each(function(){n(this).append(n("<option><\/option>").attr("value",i).text(t))})};n.fn.listSelectItem=function(n){var t,i;if(!(this.length<1)&&(t=this.get(0),t.options)){for(i=t.options.length-1;i>-1;i--)if(t.options[i].value===n){t.options[i].selected=!0;return}return this}};n.fn.listGetSelections=function(n){var r=this.find("option:selected"),t,i;if(n)return r.length>0?t.eq(0).val():null;for(t=[],i=0;i<r.length;i++)t.push(r.eq(i).val());return t};HoverPanel=function(t,i){var r=this,u=n(t),f=u.get(0);this.serverUrl="";this.timeout=2e4;this.controlId=f.id;this.htmlTargetId=f.id;this.queryString="";this.eventHandlerMode="ShowHtmlAtMousePosition";this.postbackMode="Get";this.completed=null;this.errorHandler=null;this.hoverOffsetRight=0;this.hoverOffsetBottom=0;this.panelOpacity=1;this.adjustWindowPosition=!0;this.formName="";this.navigateDelay=0;this.http=null;n.extend(r,i);this.startCallback=function(t,i,u,f){var o,e;try{if(o=(new Date).getTime(),r.busy=o,e=this.serverUrl,t?(r.lastMouseTop=t.clientY,r.lastMouseLeft=t.clientX):r.lastMouseTop=0,r.queryString=i==null?i="":i,f&&(r.errorHandler=f),i?i+="&":i="",i+="__WWEVENTCALLBACK="+r.controlId,r.formName=r.formName||document.forms[0],r.http=new HttpClient,r.timeout=r.timeout,r.http.appendHeader("RequestKey",o),u?u+="&":u="",r.postbackMode=="Post"?u+=n(r.formName).serialize():this.postbackMode=="PostNoViewstate"?u+=n(r.formName).serializeNoViewState():this.postbackMode=="Get"&&u&&(i+=u),i!=""&&(e=e.indexOf("?")>-1?e+"&"+i:e+"?"+i),r.eventHandlerMode=="ShowIFrameAtMousePosition"||r.eventHandlerMode=="ShowIFrameInPanel"){setTimeout(function(){r.busy&&r.showIFrame.call(r,e)},r.navigateDelay);return}setTimeout(function(){r.busy===o&&r.http.send.call(r,e,u,r.onHttpCallback,r.onHttpCallback)},r.navigateDelay)}catch(t){r.onHttpCallback(new CallbackException(t.message))}};this.onHttpCallback=function(n){if(r.busy=-1,r.http&&r.http.status&&r.http.status!=200&&(n=new CallbackException(http.statusText)),n==null&&(n=new CallbackException("No output was returned.")),n.isCallbackError){r.errorHandler&&r.errorHandler(n);return}r.displayResult(n)};this.displayResult=function(n){r.completed&&r.completed(n,r)==!1||(r.eventHandlerMode=="ShowHtmlAtMousePosition"?(r.assignContent(n),r.movePanelToPosition(r.lastMouseLeft+r.hoverOffsetRight,r.lastMouseTop+r.hoverOffsetBottom),r.show()):r.eventHandlerMode=="ShowHtmlInPanel"&&(r.assignContent(n),r.show()))};this.assignContent=function(t){n("#"+r.htmlTargetId).html(t)};this.movePanelToPosition=function(t,i){var f;try{if(u.css("position","absolute"),typeof t=="object"?(r.lastMouseTop=t.clientY,r.lastMouseLeft=t.clientX):typeof t=="number"&&(r.lastMouseTop=i,r.lastMouseLeft=t),t=r.lastMouseLeft+3,i=r.lastMouseTop+3,f=n(window),u.css({left:t+f.scrollLeft(),top:i+f.scrollTop()}),r.adjustWindowPosition&&document.body){var e=f.height(),o=u.outerHeight(),s=f.width(),h=u.outerWidth();e<o?i=0:e<r.lastMouseTop+o&&(i=e-o-10);s<h?t=0:s<r.lastMouseLeft+h&&(t=s-h-25);u.css({left:t+f.scrollLeft(),top:i+f.scrollTop()})}}catch(c){window.status="Moving of window failed: "+c.message}};this.showIFrame=function(t){r.busy=!1;t=t?t:r.serverUrl;n("#"+r.controlId+"_IFrame").attr("src",t).load(r.completed);r.show();r.eventHandlerMode=="ShowIFrameAtMousePosition"&&r.movePanelToPosition(r.lastMouseLeft+r.hoverOffsetRight,r.lastMouseTop+r.hoverOffsetBottom)};this.hide=function(){this.abort();u.hide()};this.abort=function(){r.busy=-1};this.show=function(){u.show().css("opacity",r.panelOpacity)}};_ModalDialog=function(t,i){var r=this,u=n(t),f;(u.length<1&&(u=n("#"+t)),u.length<1)||(this.overlayId="_ModalOverlay",this.contentId=u.get(0).id,this.headerId="",this.backgroundOpacity=.75,this.fadeInBackground=!1,this.zIndex=0,this.jOverlay=null,this.keepCentered=!0,this.dialogHandler=null,n.extend(r,i),f=null,this.show=function(t,i,f){r.contentId&&typeof t=="string"&&(f?n("#"+r.contentId).html(t):n("#"+r.contentId).text(t));r.headerId&&typeof i=="string"&&(f?n("#"+r.headerId).html(i):n("#"+r.headerId).text(i));r.zIndex=r.zIndex>0?r.zIndex:n.maxZIndex();u.css({zIndex:r.zIndex+2}).show().centerInClient();var e=opaqueOverlay({zIndex:r.zIndex+1,sel:"#"+r.overlayId,opacity:r.backgroundOpacity});r.zIndex++;r.fadeInBackground&&e.hide().fadeIn("slow");u.click(r.callback);r.keepCentered&&n(window).bind("resize.modal",function(){u.centerInClient()}).bind("scroll.modal",function(){u.centerInClient()})},this.hide=function(){u.hide();r.keepCentered&&n(window).unbind("resize.modal").unbind("scroll.modal");opaqueOverlay("hide",{sel:"#"+r.overlayId});u.unbind("click");f&&(f.show(),f=null)},this.callback=function(t){if(n(t.target).is(":button,a,.closebox")){if(r.dialogHandler){if(r.dialogHandler.call(t.target,t,r)==!1)return;setTimeout(function(){r.hide()},10);return}setTimeout(function(){r.hide()},10)}})};n.fn.modalDialog=function(t,i,r,u){if(this.length<1)return this;var o=this.get(0),e=n(o),s="modal"+o.id,f=e.data(s);return(f||(f=new _ModalDialog(e,t)),typeof t=="string")?((t=="hide"||t=="close")&&f.hide(),t=="instance"||t=="get")?f:void 0:(f.show(i,r,u),e.data(s,f),this)};n.modalDialog=function(t,i,r,u,f){var e=n("#_MBOX"),h,c,s,o,l;if(e.length<1){for(e=n("<div>").addClass("dialog dragwindow").attr("id","_MBOX").css({width:400}),h=n("<div>").addClass("dialog-header").attr("id","_MBOXHEADER"),c=n("<div>").addClass("dialog-content").attr("id","_MBOXCONTENT"),e.append(h).append(c),s=n("<div>").css("margin","0px 15px 15px"),r||(r=[" Close "]),o=0;o<r.length;o++)l=n("<input type='button' />").attr("id","_BTN_"+o).css("margin-right","5px").val(r[o]),s.append(l);e.append(s).appendTo(document.body)}u||(u=function(){return this.id.substr(0,5)=="_BTN_"||n(this).hasClass("closebox")?!0:!1});e.modalDialog({dialogHandler:u,headerId:"_MBOXHEADER",contentId:"_MBOXCONTENT"},t,i,f).draggable({handle:n("#_MBOX .dialog-header")}).closable({closeHandler:function(){var t=!0;u&&(t=u.call(this));t&&n("#_MBOX").modalDialog("hide")}})};opaqueOverlay=function(t,i){var e=this,u=n(window),r,f;if(this.sel="#_ShadowOverlay",this.opacity=.75,this.zIndex=1e4,n.extend(this,i||t),r=n(sel),t=="hide"){if(r.length<1)return;r.hide();r.get(0).opaqueOverlay=!1;u.unbind("resize.opaque").unbind("scroll.opaque");return}return r.length<1&&(r=n("<div>").attr("id",this.sel.substr(1)).css("background","black").appendTo(document.body)),f=r.get(0),r.show(),f.opaqueOverlay||u.bind("resize.opaque",function(){opaqueOverlay(t)}).bind("scroll.opaque",function(){opaqueOverlay(t)}),f.opaqueOverlay=!0,r.css({top:0+u.scrollTop(),left:0+u.scrollLeft(),position:"absolute",opacity:e.opacity,zIndex:e.zIndex}).width(u.width()).height(u.height()),r};n.fn.draggable||(n.fn.draggable=function(t){return this.each(function(){var r=n(this),i=r.data("draggable");if(typeof t=="string"){i&&t=="remove"&&(i.stopDragging(),r.removeData("draggable"));return}i||(i=new DragBehavior(this,t),r.data("draggable",i))})},i=1,DragBehavior=function(t,r){var u=this,f=n(t),o;this.handle="";this.opacity=.75;this.start=null;this.stop=null;this.dragDelay=100;this.forceAbsolute=!1;n.extend(u,r);u.handle=u.handle?n(u.handle,f):f;u.handle.length<1&&(u.handle=f);var e=!1,s=!1,h=0,c=0,l=1,a=0;this.mouseDown=function(t){var r=u.handle.get(0),o=!1,i;(n(t.target).parents().each(function(){this==r&&(o=!0)}),e||t.target!=r&&!o||n(t.target).is(".closebox,input,textara,a"))||(e=!0,s=!1,i=u.handle.offset(),h=t.pageX-i.left,c=t.pageY-i.top,setTimeout(function(){e&&(f.show().makeAbsolute(u.forceAbsolute),u.dragActivate(t))},u.dragDelay))};o=function(n){n.stopPropagation();n.preventDefault()};this.dragActivate=function(t){e&&(s=!0,u.moveToMouse(t),e=!0,a=f.css("zIndex"),f.css("zIndex",15e4),l=f.css("opacity"),f.css({opacity:u.opacity,cursor:"move"}),n(document).bind("mousemove.dbh",u.mouseMove),n(document).bind("selectstart.dbh",o),n(document).bind("dragstart.dbh",o),n(document.body).bind("dragstart.dbh",o),n(document.body).bind("selectstart.dbh",o),u.handle.bind("selectstart.dbh",o),u.start&&u.start(t,u))};this.dragDeactivate=function(t,r){e&&(e=!1,s)&&(s=!1,r||u.moveToMouse(t),n(document).unbind("mousemove.dbh"),n(document).unbind("selectstart.dbh"),n(document).unbind("dragstart.dbh"),n(document.body).unbind("dragstart.dbh"),n(document.body).unbind("selectstart.dbh"),u.handle.unbind("selectstart.dbh"),r||(i+=10,f.css({zIndex:1e4+i,cursor:"auto"}),f.css("opacity",l),u.stop&&u.stop(t,u)))};this.mouseUp=function(n){u.dragDeactivate(n)};this.mouseMove=function(n){e&&u.moveToMouse(n)};this.moveToMouse=function(n){f.css({left:n.pageX-h,top:n.pageY-c})};this.stopDragging=function(){s&&(u.dragDeactivate(null,!0),n(document).unbind("mousedown",u.mouseDown))};n(document).mousedown(u.mouseDown);n(document).mouseup(u.mouseUp)});n.fn.resizable||(n.fn.resizable=function(t){var i={handleSelector:null,resizeWidth:!0,resizeHeight:!0,resizeWidthFrom:"right",resizeHeightFrom:"bottom",onDragStart:null,onDragEnd:null,onDrag:null,touchActionNone:!0,instanceId:null};return typeof t=="object"&&(i=n.extend(i,t)),this.each(function(){function s(n){n.stopPropagation();n.preventDefault()}function v(t){if(t.preventDefault&&t.preventDefault(),f=l(t),f.width=parseInt(u.width(),10),f.height=parseInt(u.height(),10),o=u.css("transition"),u.css("transition","none"),!r.onDragStart||r.onDragStart(t,u,r)!==!1){n(document).on("mousemove."+r.instanceId,h);n(document).on("mouseup."+r.instanceId,c);if(window.Touch||navigator.maxTouchPoints){n(document).on("touchmove."+r.instanceId,h);n(document).on("touchend."+r.instanceId,c)}n(document).on("selectstart."+r.instanceId,s)}}function h(n){var t=l(n),i,e;i=r.resizeWidthFrom==="left"?f.width-t.x+f.x:f.width+t.x-f.x;e=r.resizeHeightFrom==="top"?f.height-t.y+f.y:f.height+t.y-f.y;r.onDrag&&r.onDrag(n,u,i,e,r)===!1||(r.resizeHeight&&u.height(e),r.resizeWidth&&u.width(i))}function c(t){if(t.stopPropagation(),t.preventDefault(),n(document).off("mousemove."+r.instanceId),n(document).off("mouseup."+r.instanceId),(window.Touch||navigator.maxTouchPoints)&&(n(document).off("touchmove."+r.instanceId),n(document).off("touchend."+r.instanceId)),n(document).off("selectstart."+r.instanceId,s),u.css("transition",o),r.onDragEnd)r.onDragEnd(t,u,r);return!1}function l(n){var t={x:0,y:0,width:0,height:0};if(typeof n.clientX=="number")t.x=n.clientX,t.y=n.clientY;else if(n.originalEvent.touches)t.x=n.originalEvent.touches[0].clientX,t.y=n.originalEvent.touches[0].clientY;else return null;return t}function a(n,t){return n&&n.trim()[0]===">"?(n=n.trim().replace(/^>\s*/,""),t.find(n)):n?t.parent().find(n):t}var r=n.extend({},i),f,o,u,e;if(r.instanceId||(r.instanceId="rsz_"+(new Date).getTime()),console.log("set: "+r.instanceId),u=n(this),t==="destroy"){if(r=u.data("resizable"),!r)return;console.log("unset: "+r.instanceId);e=a(r.handleSelector,u);e.off("mousedown."+r.instanceId+" touchstart."+r.instanceId);r.touchActionNone&&e.css("touch-action","");u.removeClass("resizable");return}u.data("resizable",r);e=a(r.handleSelector,u);r.touchActionNone&&e.css("touch-action","none");u.addClass("resizable");e.on("mousedown."+r.instanceId+" touchstart."+r.instanceId,v)})});n.fn.closable=function(t){var i={handle:null,closeHandler:null,cssClass:"closebox",imageUrl:null,fadeOut:null};return i=n.extend(i,t),this.each(function(){var t=n(this),u=t.css("position");u&&u!="static"||t.css("position","relative");var e=i.handle?n(i.handle,t).css({position:"relative"}):t,r=t.find("."+i.cssClass),f=!0;r.length<1&&(r=i.imageUrl?n("<img />").attr("src",i.imageUrl).css("cursor","pointer"):n("<div><\/div>"),r.addClass(i.cssClass),f=!1);r.click(function(r){(!i.closeHandler||i.closeHandler.call(this,r))&&(i.fadeOut?n(t).fadeOut(i.fadeOut):n(t).hide())});i.imageUrl&&r.css("background-image","none");f||e.append(r)})};n.fn.contentEditable=function(t){if(!(this.length<1)){var r="0px",i={editClass:null,saveText:"Save",saveHandler:null};return n.extend(i,t),this.each(function(){var t=n(this),u,f;return this.contentEditable=="true"?this:(u=n("<input type='button' value='"+i.saveText+"' class='editablebutton' style='display: block;'/>"),f=function(){i.editClass?t.removeClass(i.editClass):t.css({background:"transparent",padding:r});t.get(0).contentEditable=!1;u.remove()},u.click(function(n){i.saveHandler.call(t.get(0),n)&&f()}),t.keypress(function(n){n.keyCode==27&&f()}),t.after(u).css("margin",2),this.contentEditable=!0,i.editClass?t.addClass(i.editClass):(r=t.css("padding"),t.css({background:"lavender",padding:10})),this)}),this}};n.fn.editable=function(t){if(this.length<1)return this;var i={editClass:null,saveText:"Save",editMode:"text",saveHandler:null,value:null};return n.extend(i,t),this.each(function(){var r=n(this),f,u;return t=="cleanup"?(r.data("cleanupEditor")(),this):r.data("editing")?this:(f=n("<input type='button' />").addClass("editablebutton").css({display:"block"}).val(i.saveText),u=n("<textarea id='_contenteditor'><\/textarea>").css({fontFamily:r.css("font-family"),minHeight:"18px"}),i.value?u.val(i.value):u.val(i.editMode=="text"?r.text():jContext.html()),i.editClass?u.addClass(i.editClass):u.width(r.width()-10).height(r.height()),u.focus().hide().fadeIn("slow").data("editing",r.get(0)).insertBefore(r).keypress(function(n){n.keyCode==27&&cleanupEditor()}),r.data("editing",!0).hide(),r.data("cleanupEditor",function(){u.remove();f.remove();r.data("editing",!1).data("cleanupEditor",null).fadeIn("slow")}),f.click(function(){var n={text:u.val(),cleanup:r.data("cleanupEditor"),button:f,edit:u,content:r};i.saveHandler.call(u.get(0),n)&&cleanupEditor()}),u.after(f).css("margin",2),this)}),this};n.maxZIndex=n.fn.maxZIndex=function(t){var r={inc:10,group:"*"},i;return(n.extend(r,t),i=0,n(r.group).each(function(){var t=parseInt(n(this).css("z-index"));i=t>i?t:i}),!this.jquery)?i:this.each(function(){i+=r.inc;n(this).css("z-index",i)})};r={};parseTemplate=function(n,t){var u="",i,f;try{return i=r[n],i||(f="var p=[];with(obj){p.push('"+n.replace(/[\r\t\n]/g," ").replace(/'(?=[^#]*#>)/g,"\t").split("'").join("\\'").split("\t").join("'").replace(/<#=(.+?)#>/g,"',$1,'").split("<#").join("');").split("#>").join("p.push('")+"');}return p.join('');",i=new Function("obj",f),r[n]=i),i.call(t,t)}catch(e){u=e.message}return"< # ERROR: "+u.htmlEncode()+" # >"};isElementInViewport=function(n){var t=n.getBoundingClientRect();return t.top>=0&&t.left>=0&&t.bottom<=(window.innerHeight||document.documentElement.clientHeight)&&t.right<=(window.innerWidth||document.documentElement.clientWidth)};getBodyFromHtmlDocument=function(n){return n.replace(/^[\s\S]*<body.*?>|<\/body>[\s\S]*$/ig,"").trimStart().trimEnd()};$$=function(t,i){var r=n("#"+t,i);return r.length<1&&(r=n("[id$=_"+t+"],[id*="+t+"_]",i)),r};String.prototype.htmlEncode=function(){var n=document.createElement("div");return typeof n.textContent=="string"?n.textContent=this.toString():n.innerText=this.toString(),n.innerHTML};String.prototype.trimEnd=function(n){return n?this.replace(new RegExp(n.escapeRegExp()+"*$"),""):this.replace(/\s+$/,"")};String.prototype.trimStart=function(n){return n?this.replace(new RegExp("^"+n.escapeRegExp()+"*"),""):this.replace(/^\s+/,"")};String.prototype.repeat=function(n,t){for(var i="",r=0;r<t;r++)i+=n;return i};String.prototype.padL=function(n,t){if(!n||n<1)return this;t||(t=" ");var i=n-this.length;return i<1?this.substr(0,n):(this.repeat(t,i)+this).substr(0,n)};String.prototype.padR=function(n,t){if(!n||n<1)return this;t||(t=" ");var i=n-this.length;return i<1&&this.substr(0,n),(this+t.repeat(i)).substr(0,n)};String.prototype.startsWith=function(n,t){return!this||this.length===0?!1:n&&t?n.toLowerCase()===this.toLowerCase().substr(0,n.length):n===this.substr(0,n.length)};String.prototype.extract=function(n,t,i,r){var f=this,o,u,e;return f.length===0?"":(o=f.toLowerCase(),n=n.toLocaleLowerCase(),t=t.toLocaleLowerCase(),u=o.indexOf(n),u==-1)?"":(e=o.indexOf(t,u+n.length),!i&&e==-1)?"":i&&e==-1?r?f.substr(u):f.substr(u+n.length):r?f.substr(u,e-u+n.length):f.substr(u+n.length,e-u-n.length)};String.prototype.escapeRegExp=function(){return this.replace(/[.*+?^${}()|[\]\/\\]/g,"\\$0")};String.format=function(n){for(var t=0;t<arguments.length;t++)n=n.replace(new RegExp("\\{"+t.toString()+"\\}","g"),arguments[t+1]);return n};String.prototype.format=function(){var t=[this];return n.merge(t,arguments),String.format.apply(this,t)};String.prototype.isNumber=function(){return this.length==0?!1:"0123456789".indexOf(this.charAt(0))>-1?!0:!1};u=["January","February","March","April","May","June","July","August","September","October","November","December"];Date.prototype.formatDate=function(n){var i=this,r,f,t;return n||(n="MM/dd/yyyy"),r=i.getMonth(),f=i.getFullYear(),n.indexOf("yyyy")>-1?n=n.replace("yyyy",f.toString()):n.indexOf("yy")>-1&&(n=n.replace("yy",f.toString().substr(2,2))),n=n.replace("dd",i.getDate().toString().padL(2,"0")),t=i.getHours(),n.indexOf("t")>-1&&(n=t>11?n.replace("t","pm"):n.replace("t","am")),n.indexOf("HH")>-1&&(n=n.replace("HH",t.toString().padL(2,"0"))),n.indexOf("hh")>-1&&(t>12&&(t-=12),t==0&&(t=12),n=n.replace("hh",t.toString().padL(2,"0"))),n.indexOf("mm")>-1&&(n=n.replace("mm",i.getMinutes().toString().padL(2,"0"))),n.indexOf("ss")>-1&&(n=n.replace("ss",i.getSeconds().toString().padL(2,"0"))),n.indexOf("MMMM")>-1?n.replace("MMMM",u[r]):n.indexOf("MMM")>-1?n.replace("MMM",u[r].substr(0,3)):n.replace("MM",(r+1).toString().padL(2,"0"))};Number.prototype.formatNumber=function(n,t){var i=this,u=Number.getNumberFormat(),f,s,r,c;if(n=="c")return i=Math.round(i*100)/100,t=t||"$",i=i.toLocaleString(),f=i.split("."),s=f.length>1?f[1]:"",t+f[0]+u.d+s.padR(2,"0");if(n.charAt(0)=="n"){if(n.length==1||(r=n.substr(1),r=parseInt(r),typeof r!="number"))return i.toLocaleString();i=i.toFixed(r);for(var o=i.split(u.d),e=o[0],l=o.length>1?u.d+o[1]:"",h=/(\d+)(\d{3})/;h.test(e);)e=e.replace(h,"$1"+u.c+"$2");return e+l}return n.charAt(0)=="f"?n.length==1?i.toString():(c=n.substr(1),c=parseFloat(r),typeof r!="number")?i.toString():i.toFixed(r):i.toString()};Number.getNumberFormat=function(n){var i=1000.1.toLocaleString(),t={};return t.d=i.charAt(5),t.d.isNumber()&&(t.d=i.charAt(4)),t.c=i.charAt(1),t.c.isNumber()&&(t.c=","),t.s=n||"$",t};registerNamespace=function(n){for(var i,u=n.split("."),t=window,r=0;r<u.length;r++)i=u[r],t=t[i]?t[i]:t[i]={}};getUrlEncodedKey=function(n,t){t||(t=window.location.search);var r=new RegExp("[?|&]"+n+"=(.*?)&"),i=r.exec(t+"&");return!i||i.length<2?"":decodeURIComponent(i[1].replace("+"," "))};setUrlEncodedKey=function(n,t,i){i=i||window.location.search;var r=i+"&",u=new RegExp("[?|&]"+n+"=.*?&");return u.test(r)?r=r.replace(u,"&"+n+"="+encodeURIComponent(t)+"&"):r+=n+"="+encodeURI(t),r=r.trimStart("&").trimEnd("&"),r.charAt(0)=="?"?r:r="?"+r};n.fn.serializeNoViewState=function(){return this.find("input,textarea,select,hidden").not("#__VIEWSTATE,#__EVENTVALIDATION").serialize()};this.assert||(this.assert=function(n,t){n||(t||(t=""),alert("Assert failed\r\n"+(t?t:"")+"\r\n"+(arguments.callee.caller?"in "+arguments.callee.caller.toString():"")))});n.expr[":"].containsNoCase=function(t,i,r){var u=r[3];return u?new RegExp(u,"i").test(n(t).text()):!1};n.fn.searchFilter=function(t){var i=n.extend({targetSelector:"",charCount:1,onSelected:null},t);return this.each(function(){function r(){var t=n(this).val(),r=n(i.targetSelector);if(r.show(),i.onSelected)i.onSelected(r);t&&t.length>=i.charCount&&r.not(":containsNoCase("+t+")").hide()}var t=n(this);t.keyup(r)})};this.JSON||(this.JSON={}),function(){function r(n){return n<10?"0"+n:n}function s(n){return o.lastIndex=0,o.test(n)?'"'+n.replace(o,function(n){var t=h[n];return typeof t=="string"?t:"\\u"+("0000"+n.charCodeAt(0).toString(16)).slice(-4)})+'"':'"'+n+'"'}function f(t,r){var c,l,o,a,v=n,h,e=r[t];e&&typeof e=="object"&&typeof e.toJSON=="function"&&(e=e.toJSON(t));typeof i=="function"&&(e=i.call(r,t,e));switch(typeof e){case"string":return s(e);case"number":return isFinite(e)?String(e):"null";case"boolean":case"null":return String(e);case"object":if(!e)return"null";if(n+=u,h=[],Object.prototype.toString.apply(e)==="[object Array]"){for(a=e.length,c=0;c<a;c+=1)h[c]=f(c,e)||"null";return o=h.length===0?"[]":n?"[\n"+n+h.join(",\n"+n)+"\n"+v+"]":"["+h.join(",")+"]",n=v,o}if(i&&typeof i=="object")for(a=i.length,c=0;c<a;c+=1)l=i[c],typeof l=="string"&&(o=f(l,e),o&&h.push(s(l)+(n?": ":":")+o));else for(l in e)Object.hasOwnProperty.call(e,l)&&(o=f(l,e),o&&h.push(s(l)+(n?": ":":")+o));return o=h.length===0?"{}":n?"{\n"+n+h.join(",\n"+n)+"\n"+v+"}":"{"+h.join(",")+"}",n=v,o}}typeof Date.prototype.toJSON!="function"&&(Date.prototype.toJSON=function(){return isFinite(this.valueOf())?this.getUTCFullYear()+"-"+r(this.getUTCMonth()+1)+"-"+r(this.getUTCDate())+"T"+r(this.getUTCHours())+":"+r(this.getUTCMinutes())+":"+r(this.getUTCSeconds())+"Z":null},String.prototype.toJSON=Number.prototype.toJSON=Boolean.prototype.toJSON=function(){return this.valueOf()});var e=/[\u0000\u00ad\u0600-\u0604\u070f\u17b4\u17b5\u200c-\u200f\u2028-\u202f\u2060-\u206f\ufeff\ufff0-\uffff]/g,o=/[\\\"\x00-\x1f\x7f-\x9f\u00ad\u0600-\u0604\u070f\u17b4\u17b5\u200c-\u200f\u2028-\u202f\u2060-\u206f\ufeff\ufff0-\uffff]/g,n,u,h={"\b":"\\b","\t":"\\t","\n":"\\n","\f":"\\f","\r":"\\r",'"':'\\"',"\\":"\\\\"},i;typeof JSON.stringify!="function"&&(JSON.stringify=function(t,r,e){var o;if(n="",u="",typeof e=="number")for(o=0;o<e;o+=1)u+=" ";else typeof e=="string"&&(u=e);if(i=r,r&&typeof r!="function"&&(typeof r!="object"||typeof r.length!="number"))throw new Error("JSON.stringify");return f("",{"":t})});typeof JSON.parse!="function"&&(JSON.parse=function(n,i){function u(n,r){var e,o,f=n[r];if(f&&typeof f=="object")for(e in f)Object.hasOwnProperty.call(f,e)&&(o=u(f,e),o!==t?f[e]=o:delete f[e]);return i.call(n,r,f)}var r;if(e.lastIndex=0,e.test(n)&&(n=n.replace(e,function(n){return"\\u"+("0000"+n.charCodeAt(0).toString(16)).slice(-4)})),/^[\],:{}\s]*$/.test(n.replace(/\\(?:["\\\/bfnrt]|u[0-9a-fA-F]{4})/g,"@").replace(/"[^"\\\n\r]*"|true|false|null|-?\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?/g,"]").replace(/(?:^|:|,)(?:\s*\[)+/g,"")))return r=eval("("+n+")"),typeof i=="function"?u({"":r},""):r;throw new SyntaxError("JSON.parse");})}();this.JSON&&!this.JSON.dateParser&&(f=/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2}(?:\.{0,1}\d*))(?:Z|(\+|-)([\d|:]*))?$/,e=/^\/Date\((d|-|.*)\)[\/|\\]$/,JSON.parseMsAjaxDate=!1,JSON.useDateParser=function(n){typeof n!="undefined"?JSON._parseSaved&&(JSON.parse=JSON._parseSaved,JSON._parseSaved=null):JSON.parseSaved||(JSON._parseSaved=JSON.parse,JSON.parse=JSON.parseWithDate)},JSON.dateParser=function(n,t){var i,r;if(typeof t=="string"){if(i=f.exec(t),i)return new Date(t);if(!JSON.parseMsAjaxDate)return t;if(i=e.exec(t),i)return r=i[1].split(/[-+,.]/),new Date(r[0]?+r[0]:0-+r[1])}return t},JSON.parseWithDate=function(n){var t=JSON._parseSaved?JSON._parseSaved:JSON.parse;try{return t(n,JSON.dateParser)}catch(i){throw new Error("JSON content could not be parsed");}},JSON.dateStringToDate=function(n,t){var i,r;return(t||(t=null),!n)?t:n.getTime?n:((n[0]==='"'||n[0]==="'")&&(n=n.substr(1,n.length-2)),i=f.exec(n),i)?new Date(n):JSON.parseMsAjaxDate?(i=e.exec(n),i)?(r=i[1].split(/[-,.]/),new Date(+r[0])):t:t})})(jQuery);
\ No newline at end of file
+!function(e,t){"object"==typeof module&&module.exports?module.exports=t(require("jquery"),e):e.ww=t(e.jQuery,e).install()}("undefined"!=typeof window?window:this,function(e,t,n){var r=function(t){var a=this;function i(e){return e&&(e.isCallbackError||e.iscallbackerror)?e:new s(e||"Request interceptor failed")}this.completed=null,this.errorHandler=null,this.errorMessage="",this.async=!0,this.evalResult=!1,this.contentType="application/x-www-form-urlencoded",this.accepts=null,this.method="GET",this.timeout=2e4,this.headers={},this.cancelToken=null,this.retry=null,this.useInterceptors=!0,e.extend(a,t),this.appendHeader=function(e,t){a.headers[e]=t},this.send=function(t,o,l,u,c){l=l||a.completed,u=u||a.errorHandler,c=c||a.cancelToken;var d,f=null,h=null,p=0,m=0,g=0,v=!1,y=null,b=!1,x=!1,w=null,C=e.Deferred(),T=C.promise({readyState:0,status:0,statusText:"",responseText:n,getResponseHeader:function(e){return w?w.getResponseHeader(e):null},getAllResponseHeaders:function(){return w?w.getAllResponseHeaders():null},abort:function(e){return D(e),T}});if(T.success=T.done,T.error=T.fail,T.complete=T.always,c&&((d=c).isCancelled||d.aborted)){var k=s.cancelled(c.reason);return T.statusText="abort",u&&u(k,a),C.reject(T,"abort",k),T}var M=null;function D(e){v||(v=!0,y=e,g?(clearTimeout(g),g=0,I({error:s.cancelled(y),status:0})):b?I({error:s.cancelled(y),status:0}):x&&w.abort())}function S(){p=0,f={url:t,method:o?"POST":a.method,data:o,headers:e.extend({},a.headers),contentType:a.contentType,accepts:a.accepts,timeout:a.timeout},b=!0,N("request",f,function(t){if(b=!1,!v){if(t)return I({error:t,status:0});if(f.response!==n)return I({result:f.response,status:200,fromCache:!0});h=function(t,n){if(!t)return null;!0===t?t=null:"number"==typeof t&&(t={maxAttempts:t});var a=e.extend({},r.retryDefaults,t);a.retryNonIdempotent||"POST"!=n&&"PATCH"!=n||(a.maxAttempts=1);return a}(a.retry,f.method),O()}})}function O(){p++,x=!0,w=e.ajax({url:f.url,data:f.data,type:f.method,processData:!1,contentType:f.contentType,timeout:f.timeout,dataType:"text",global:!1,async:a.async,beforeSend:function(e){for(var t in f.headers)e.setRequestHeader(t,f.headers[t]);f.accepts&&e.setRequestHeader("Accept",f.accepts)},success:function(e,t,n){x=!1,E(n),H(n,null,!1,0);var r=null;if(a.evalResult)try{(e=we.parseWithDate(e))&&e.hasOwnProperty("d")&&(e=e.d)}catch(e){r=new s(e)}if(r||e&&(e.isCallbackError||e.iscallbackerror))return e&&(r=e),I({error:r,status:n.status,xhr:n,textStatus:"error"});I({result:e,status:n.status,xhr:n})},error:function(e,t){x=!1,E(e);var n=null;if(v||"abort"===t)n=s.cancelled(y);else if(4==e.readyState){var r=e.responseText;r&&"{"==r.charAt(0)&&(n=we.parseWithDate(r)),n||((n=e.status&&200!=e.status?new s(e.status+" "+e.statusText):new s("Callback Error: "+t)).detail=r)}n||(n=new s("Callback Error: "+t)),!n.isCancelled&&function(e,t){if(!h)return!1;var n=p<h.maxAttempts&&h.retryOn.indexOf(e.status)>-1,r=n?function(e,t,n){var r=parseInt(n.getResponseHeader("Retry-After"),10);if(r>0)return Math.min(e.maxDelay,1e3*r);var a=Math.min(e.maxDelay,e.delay*Math.pow(e.backoffFactor,t-1));e.jitter&&(a=a*(1-e.jitter)+Math.random()*a*e.jitter);return Math.round(a)}(h,p,e):0;return!(!1===H(e,t,n,r)||!n)&&(g=setTimeout(function(){g=0,O()},r),!0)}(e,n)||I({error:n,status:e.status,xhr:e,textStatus:n.isCancelled?"abort":t})}})}function I(e){e.request=f,e.replay=function(){e.replayRequested=!0},N("response",e,function(t){if(t&&(e.error=t),e.replayRequested)if(v)e.error=s.cancelled(y);else if(m<r.maxReplays)return m++,S();if(M&&M(),M=null,e.error){var n=e.textStatus||(e.error.isCancelled?"abort":"error");u&&u(e.error,a,e.xhr),C.reject(T,n,e.error)}else l&&l(e.result,a),C.resolve(e.result,"success",T)})}function E(e){T.readyState=e.readyState,T.status=e.status,T.statusText=e.statusText,T.responseText=e.responseText}function N(e,t,n){var o=a.useInterceptors?r.interceptors[e].slice():[],s=0;!function e(){for(;s<o.length;){var r;try{r=o[s++](t,a)}catch(e){return n(i(e))}if(r&&"function"==typeof r.then)return void r.then(e,function(e){n(i(e))})}n(null)}()}function H(e,t,n,r){return!h||!h.onAttempt||h.onAttempt({attempt:p,maxAttempts:h.maxAttempts,url:f.url,method:f.method,status:e.status,error:t,willRetry:n,delay:r},a)}return c&&(M=function(e,t){if(e.addEventListener)return e.addEventListener("abort",t),function(){e.removeEventListener("abort",t)};return e.onCancel(t)}(c,function(){D(c.reason)})),S(),T},this.sendAsync=function(e,t,n){return new Promise(function(r,i){a.send(e,t,r,i,n)})},this.returnError=function(e){var t=new s(e);a.errorHandler&&a.errorHandler(t,a)}};function a(e,t){return e.push(t),function(){var n=e.indexOf(t);n>-1&&e.splice(n,1)}}r.interceptors={request:[],response:[]},r.maxReplays=2,r.addRequestInterceptor=function(e){return a(r.interceptors.request,e)},r.addResponseInterceptor=function(e){return a(r.interceptors.response,e)},r.retryDefaults={maxAttempts:3,delay:500,maxDelay:1e4,backoffFactor:2,jitter:.5,retryOn:[0,408,429,500,502,503,504],retryNonIdempotent:!1,onAttempt:null};var i=function(t,n,a){var i=this;this.controlId=t,this.postbackMode="PostMethodParametersOnly",this.serverUrl=n,this.formName=null,this.resultMode="json",this.timeout=2e4,this.retry=null,this.completed=null,this.errorHandler=null,e.extend(this,a),this.Http=null,this.callMethod=function(t,n,a,o){i.completed=a,i.errorHandler=o;var s=new r({timeout:i.timeout,retry:i.retry,evalResult:!0,accepts:"application/json,text/*"});i.Http=s;var l={};if("msajax"==i.resultMode)l=we.stringifyWithDates(n);else{var u=0;if(n.length){u=n.length;for(var c=0;c<u;c++)l["Parm"+(c+1).toString()]=JSON.stringify(n[c])}e.extend(l,{CallbackMethod:t,CallbackParmCount:u,__WWEVENTCALLBACK:i.controlId}),l=e.param(l)+"&"}var d=i.formName||(document.forms.length>0?document.forms[0].id:"");if("Post"==i.postbackMode)l+=e("#"+d).serialize();else if("PostNoViewstate"==i.postbackMode)l+=e("#"+d).serializeNoViewState();else if("Get"==this.postbackMode)return Url=this.serverUrl,Url.indexOf("?")>-1?Url+=l:Url+="?"+l,s.send(Url,null,i.onHttpCallback,i.onHttpCallback);return s.send(this.serverUrl,l,i.onHttpCallback,i.onHttpCallback)},this.onHttpCallback=function(e){e&&(e.isCallbackError||e.iscallbackerror)?i.errorHandler&&i.errorHandler(e,i):null!=i.completed&&i.completed(e,i)}},o=function(t,n,a,i,o){var s=n;"object"==typeof a&&(o=a,a=null,i=null);var l="POST";n||(l="GET");var u={method:l,contentType:"application/json",accepts:"application/json",noPostEncoding:!1};e.extend(u,o);var c=new r(u);return c.evalResult=!0,null===n||u.noPostEncoding||"POST"!==u.method&&"PUT"!==u.method&&"PATCH"!=u.method||(s=JSON.stringify(n)),c.send(t,s,a,i)};e.postJSON=function(t,n,a,i,o){var s={method:"POST",evalResult:!0};e.extend(s,o);var l=new r(s);return"object"==typeof n&&(n=e.param(n)),l.send(t,n,a,i)},e.fn.serializeObject=function(){var t={},r=this.serializeArray();return e.each(r,function(){t[this.name]!==n?(t[this.name].push||(t[this.name]=[t[this.name]]),t[this.name].push(this.value||"")):t[this.name]=this.value||""}),t};var s=function(e,t,n){this.isCallbackError=!0,this.status=n||500,"object"==typeof e?e.message?this.message=e.message:e.Message&&(this.message=e.Message):this.message=e,this.detail=t||null};s.cancelled=function(e){var t=new s("string"==typeof e?e:"Request cancelled",null,0);return t.status=0,t.isCancelled=!0,t};var l=function(t,n){var r=this,a=null;r.elementId="_showstatus",r.prependMultiline=!0,r.closable=!1,r.afterTimeoutText=null,r.autoClose=!1,r.noEffects=!1,r.effectSpeed=500,r.cssClass="statusbar",r.highlightClass="statusbarhighlight",r.closeButtonClass="statusbarclose",r.additive=!1,r.interval=0,t&&(a=e(t)),n&&e.extend(this,n),a||(a=e("<div id='_statusbar' class='"+r.cssClass+"'><div class='"+r.closeButtonClass+"'>"+(r.closable?"</div></div>":"")).appendTo(document.body).hide()),r.closeable&&e("."+r.cssClass).click(function(e){r.hide()}),this.show=function(t,n,i,o){if("hide"==t)return r.hide();if(!0===i?a.addClass(r.highlightClass):a.removeClass(r.highlightClass),r.additive){var s=e("<div>").css("margin-bottom",2).html(t);r.prependMultiline?a.prepend(s):a.append(s)}else if(r.closable){var l=a.find("div.statusbarclose");a.text(t).prepend(l),l.click(r.hide)}else a.text(t);return a.is(":visible")||r.noEffects?a.show():a.slideDown(r.effectSpeed),a.maxZIndex(),n&&(0!=r.interval&&clearInterval(r.interval),r.interval=setTimeout(function(){r.interval=0,a.removeClass(r.highlightClass),r.afterTimeoutText?r.show(r.afterTimeoutText):r.autoClose&&r.hide()},n)),r},this.hide=function(){return r.noEffects?a.hide():a.slideUp(r.effectSpeed),a.removeClass(r.highlightClass),r},this.release=function(){a&&e(a).remove()}},u=function(t){var n=this;n.containerId="_toasts",n.position="bottom-right",n.timeout=5e3,n.maxToasts=5,n.pauseOnHover=!0,n.deduplicate=!0,n.closeText="Close",n.cssClass="toast",n.defaultStyles=!0,t&&e.extend(this,t);var r=[],a=null,i=!1;function o(t,r){var a=t.options,o=t.element;t.message=r,o.empty().attr("class",n.cssClass+" "+n.cssClass+"-"+a.type).attr("role","error"==a.type||"warning"==a.type?"alert":"status"),a.title&&e("<div>").addClass(n.cssClass+"-title").text(a.title).appendTo(o);var s=e("<div>").addClass(n.cssClass+"-message").appendTo(o);if(a.isHtml?s.html(r):s.text(r),t.count>1&&e("<span>").addClass(n.cssClass+"-count").text("×"+t.count).appendTo(s),a.actions&&a.actions.length){var l=e("<div>").addClass(n.cssClass+"-actions").appendTo(o);e.each(a.actions,function(r,a){e("<button type='button'>").addClass(n.cssClass+"-action").text(a.text).click(function(){a.handler&&!1===a.handler.call(this,t)||t.close()}).appendTo(l)})}a.closable&&e("<button type='button'>").addClass(n.cssClass+"-close").attr({title:n.closeText,"aria-label":n.closeText}).html("&times;").click(t.close).appendTo(o),i&&function(e,t){var r={info:"#4e92c9",success:"#5cb85c",warning:"#f0ad4e",error:"#d9534f"};e.css({position:"relative",margin:"4px 0",padding:"10px 30px 10px 12px",borderLeft:"5px solid "+(r[t]||r.info),borderRadius:4,background:"#fff",color:"#333",boxShadow:"0 2px 8px rgba(0,0,0,0.25)"}),e.find("."+n.cssClass+"-close").css({position:"absolute",top:4,right:6,border:"none",background:"transparent",color:"#999",fontSize:"1.3em",lineHeight:1})}(o,a.type)}function s(e,t){clearTimeout(e.timer),e.timer=0,e.remaining=t||0,t&&(e.started=(new Date).getTime(),e.timer=setTimeout(e.close,t))}this.show=function(t,l){"string"==typeof l&&(l={type:l});var u=function(e,t){for(var a=0;a<r.length;a++){var i=r[a];if(t.key?i.options.key==t.key:n.deduplicate&&!i.options.key&&i.message==e&&i.options.type==t.type)return i}return null}(t,l=e.extend({type:"info",timeout:n.timeout,title:null,key:null,actions:null,isHtml:!1,closable:!0},l));if(u)return l.key||u.count++,u.options=l,o(u,t),s(u,l.timeout),u;(u={message:t,options:l,count:1,timer:0,remaining:0,started:0,element:e("<div>").addClass(n.cssClass)}).close=function(){n.close(u)},u.update=function(e){return o(u,e),u};var c=function(){a||(a=e("<div>").attr({id:n.containerId,role:"region","aria-label":"Notifications","aria-live":"polite"}).addClass(n.cssClass+"-container "+n.cssClass+"-"+n.position).appendTo(document.body),(i=n.defaultStyles&&"fixed"!=a.css("position"))&&a.css(function(){var e=n.position.split("-"),t={position:"fixed",display:"flex",flexDirection:"column",width:340,maxWidth:"calc(100% - 20px)",margin:10};t[e[0]]=0,"center"==e[1]?(t.left="50%",t.transform="translateX(-50%)"):t[e[1]]=0;"bottom"==e[0]&&(t.flexDirection="column-reverse");return t}()));return a.maxZIndex(),a}();o(u,t);var d=u.element;return n.pauseOnHover&&d.bind("mouseenter focusin",function(){!function(e){if(!e.timer)return;clearTimeout(e.timer),e.timer=0,e.remaining=Math.max(e.remaining-((new Date).getTime()-e.started),0)}(u)}).bind("mouseleave focusout",function(){!function(e){if(e.timer||!e.remaining)return;s(e,Math.max(e.remaining,1e3))}(u)}),r.push(u),c.append(d),r.length>n.maxToasts&&n.close(r[0]),s(u,l.timeout),u},this.info=function(t,r){return n.show(t,e.extend({},r,{type:"info"}))},this.success=function(t,r){return n.show(t,e.extend({},r,{type:"success"}))},this.warning=function(t,r){return n.show(t,e.extend({},r,{type:"warning"}))},this.error=function(t,r){return n.show(t,e.extend({},r,{type:"error"}))},this.close=function(t){var n=e.inArray(t,r);n<0||(r.splice(n,1),clearTimeout(t.timer),t.element.remove())},this.clear=function(){for(;r.length;)n.close(r[0])},this.getToasts=function(){return r.slice(0)},this.release=function(){n.clear(),a&&a.remove(),a=null}},c=null,d=function(e,t){return c||(c=new u),c.show(e,t)},f=null;e.fn.centerInClient=function(n){var r={forceAbsolute:!1,container:t,completed:null,centerOnceOnly:!1,keepCentered:!1};return e.extend(r,n),this.each(function(n){var a=e(this);if(r.centerOnceOnly){if(a.data("_centerOnce"))return;a.data("_centerOnce",!0)}else a.data("_centerOnce",null);r.keepCentered&&(a.data("_keepCentered")||(a.data("_keepCentered",!0),e(t).resize(function(){a.is(":visible")&&setTimeout(function(){a.centerInClient(r)})})));var i=e(r.container),o=r.container==t;r.forceAbsolute&&(o?a.remove().appendTo("body"):a.remove().appendTo(i[0])),a.css("position","absolute");var s=(o?i.width():i.outerWidth())/2-a.outerWidth()/2,l=(o?i.height():i.outerHeight())/2.2-a.outerHeight()/2;s+=i.scrollLeft(),l=(l+=i.scrollTop())<5?5:l,s=s<5?5:s,a.css({left:s,top:l});var u=a.css("zIndex");u&&"auto"!=u||a.css("zIndex",1),r.completed&&r.completed(this)})};var h=function(e,t){for(var n=0,r=1;r<arguments.length;r++)n+=Math.max(parseInt(e.css(arguments[r]),10)||0,0);return n};e.fn.makeAbsolute=function(t){return this.each(function(){var n=e(this),r=!0;n.is(":visible")||(n.show(),r=!1);var a=n.position();r||n.hide(),n.css({position:"absolute",marginLeft:0,marginTop:0,top:a.top,left:a.left}),t&&n.remove().appendTo("body")})},e.fn.slideUpTransition=function(t){return t=e.extend(t,{cssHiddenClass:"height-transition-hidden"}),this.each(function(){var n=e(this);n.css("max-height","0"),n.addClass(t.cssHiddenClass)})},e.fn.slideDownTransition=function(t){return t=e.extend(t,{cssHiddenClass:"height-transition-hidden"}),this.each(function(){var n=e(this);n.removeClass(t.cssHiddenClass),n.css("max-height","none");var r=n.outerHeight();n.css("max-height","0"),setTimeout(function(){n.css({"max-height":r})},1)})},e.fn.stretchToBottom=function(n){var r={container:e(t),bottomOffset:0,autoResize:!1};return n&&n.length?r.container=n:e.extend(r,n),1==r.autoResize&&($els=this,e(r.container).resize(function(){$els.stretchToBottom({container:r.container,autoResize:!1})})),this.each(function(){$el=e(this);var n=$el.css("position");$el.makeAbsolute();var a=r.container,i=e(t).innerHeight(),o=parseInt($el.css("top")),s=0;if(a[0]!=t){l=(l=h(a,"borderTopWidth","borderBottomWidth","paddingBottom","paddingTop")+h($el,"borderTopWidth","borderBottomWidth","marginBottom","marginTop","paddingBottom","paddingTop"))||1,s=(i=a.offset().top+a.outerHeight())-o-Math.ceil(l)-r.bottomOffset}else{var l=h($el,"borderTopWidth","borderBottomWidth","marginBottom","marginTop");s=i-o-Math.ceil(l)-r.bottomOffset}$el.css("position",n).css("height",s)})},e.fn.moveToMousePosition=function(t,n){var r={left:0,top:0};return e.extend(r,n),this.each(function(){e(this).css({left:t.pageX+r.left,top:t.pageY+r.top,position:"absolute"})})},e.fn.tooltip=function(t,n,r){var a={cssClass:"tooltip",isHtml:!1,onRelease:null};return e.extend(a,r),this.each(function(){var e=new i(this,a);"hide"!=t?e.show(t,n,a.isHtml):e.hide()});function i(t,n){var r=this,a=e(t);this.cssClass="",this.onRelease=null,e.extend(r,n);var i=a.get(0),o=e("#"+i.id+"_tt");this.show=function(t,n,s){o.length>0&&o.remove(),o=e("<div>").attr("id",i.id+"_tt"),e(document.body).append(o),o.css({position:"absolute",display:"none",zIndex:1e3}),r.cssClass?o.addClass(r.cssClass):o.css({background:"cornsilk",border:"solid 1px gray",fontSize:"8pt",padding:2,"border-radius":"2px","box-shadow":"1px 1px 1px #535353"}),s?o.html(t):o.text(t);var l=a.position(),u=l.left+5,c=l.top+a.outerHeight()-1,d=o.width();d>400&&(d=400),o.css({left:u,top:c,width:d}),o.show(),n&&n>0&&setTimeout(function(){r.onRelease&&r.onRelease.call(i,r),r.hide()},n)},this.hide=function(){o.length>0&&o.fadeOut("slow")}}},e.fn.watch=function(r){var a=e.extend({properties:null,interval:100,id:"_watcher_"+(new Date).getTime(),watchChildren:!1,callback:null},r);return this.each(function(){var t=this,n=e(this),r={id:a.id,props:a.properties.split(","),vals:[a.properties.split(",").length],func:a.callback,fnc:function(e,n){o.call(t,a.id,e,n)},origProps:a.properties,interval:a.interval,intervalId:null};e.each(r.props,function(e){var t=r.props[e];q(r.props[e],"attr_")?r.vals[e]=n.attr(t.replace("attr_","")):q(t,"prop_")?r.vals[e]=n.prop(t.replace("props_","")):r.vals[e]=n.css(t)}),n.data(a.id,r),i(n,a.id,r)});function i(n,r,i){n.each(function(){var n=e(this);if(t.MutationObserver){var r=n.data("__watcherObserver"+a.id);null==r&&(r=new MutationObserver(i.fnc),n.data("__watcherObserver"+a.id,r)),r.observe(this,{attributes:!0,subtree:a.watchChildren,childList:a.watchChildren,characterData:!0})}else i.intervalId=setInterval(i.fnc,a.interval)})}function o(t,r,a){var o=e(this),s=o.data(t);if(s){if(s.func){for(var l=!1,u=0;u<s.props.length;u++){var c=s.props[u],d="";if((d=q(c,"attr_")?o.attr(c.replace("attr_","")):q(c,"prop_")?o.prop(c.replace("prop_","")):o.css(c))!=n&&s.vals[u]!==d){s.vals[u]=d,l=!0;break}}l&&(o.unwatch(t),s.func.call(this,s,u,r,a),i(o,0,s))}}}},e.fn.unwatch=function(n){return this.each(function(){var r=e(this),a=r.data(n);try{if(t.MutationObserver){var i=r.data("__watcherObserver"+n);i&&(i.disconnect(),r.removeData("__watcherObserver"+n))}else clearInterval(a.intervalId)}catch(e){}}),this},e.fn.listSetData=function(t,n){var r={noClear:!1,dataValueField:null,dataTextField:null};return e.extend(r,n),this.each(function(){var n=e(this);if(null!=t){r.noClear||n.children().remove(),t.Rows?t=t.Rows:t.rows&&(t=t.rows);var a=!1;for(r.dataTextField||r.dataValueField||(a=!0),x=0;x<t.length;x++){var i=t[x];a?n.listAddItem(i,i):n.listAddItem(i[r.dataTextField],i[r.dataValueField])}}else n.children().remove()})},e.fn.listAddItem=function(t,n){return this.each(function(){e(this).append(e("<option></option>").attr("value",n).text(t))})},e.fn.listSelectItem=function(e){if(!(this.length<1)){var t=this.get(0);if(t.options){for(var n=t.options.length-1;n>-1;n--)if(t.options[n].value===e)return void(t.options[n].selected=!0);return this}}},e.fn.listGetSelections=function(e){var t=this.find("option:selected");if(e)return t.length>0?n.eq(0).val():null;for(var n=[],r=0;r<t.length;r++)n.push(t.eq(r).val());return n};var p=function(t,r,a){var i=this,o=e(t);this.model=r||{},this.dateFormat="MM/dd/yyyy",this.culture=null,this.live=!0,this.dirtyClass="dirty",this.lists=null,this.changed=null,e.extend(i,a);var s={},l={},u={},c=".databind";function d(e){return e.attr("data-bind")||e.attr("name")}function f(t,n){if(t.is("input,select,textarea")){var r,a=d(t),o=m(i.model,a),s=(t.attr("type")||"").toLowerCase();if("checkbox"==s)e.isArray(o)?(r=e.grep(o,function(e){return String(e)!=t.val()}),t.prop("checked")&&r.push("number"==typeof o[0]?parseFloat(t.val()):t.val())):r=t.prop("checked");else if("radio"==s){if(!t.prop("checked"))return;r=g(t,t.val(),a,o,n)}else r=t.is("select[multiple]")?t.val()||[]:g(t,t.val(),a,o,n);!function(e,t,n){for(var r=t.split("."),a=0;a<r.length-1;a++)null!=e[r[a]]&&"object"==typeof e[r[a]]||(e[r[a]]={}),e=e[r[a]];e[r[r.length-1]]=n}(i.model,a,r),i.dirtyClass&&i.getFields().filter(function(){return d(e(this))==a}).toggleClass(i.dirtyClass,i.isDirty(a)),i.changed&&i.changed(a,r,i)}}function h(e){var t=(e.attr("type")||"").toLowerCase();return"date"==t?"yyyy-MM-dd":"datetime-local"==t?"yyyy-MM-ddTHH:mm":e.attr("data-format")||i.dateFormat}function p(e,t){return null==t?"":t instanceof Date?isNaN(t.getTime())?"":se(t,h(e),i.culture):String(t)}function g(e,t,n,r,a){var o=(e.attr("type")||"").toLowerCase(),s=u[n]||("date"==o||"datetime-local"==o?"date":"number"==o||"range"==o?"number":null),l=v(r)==s?r:null;if("date"==s){if(!t)return null;var c=le(t,h(e),i.culture);return!c&&a&&(c=new Date(t)),c&&!isNaN(c.getTime())?c:l}if("number"==s){if(!t)return null;var d=parseFloat(t);return isNaN(d)?l:d}return"boolean"==s?"true"==t:t}function v(e){return e instanceof Date?"date":"number"==typeof e||"boolean"==typeof e?typeof e:null}function y(t){if(t instanceof Date)return new Date(t.getTime());if(!t||"object"!=typeof t)return t;var n=e.isArray(t)?[]:{};for(var r in t)t.hasOwnProperty(r)&&(n[r]=y(t[r]));return n}function b(e){return e===n?n:JSON.stringify(e)}this.getFields=function(){return o.find("[data-bind],input[name],select[name],textarea[name]").not(":button,:submit,:reset,:image,[type=file]")},this.update=function(){return i.getFields().each(function(){!function(t){var n=d(t),r=m(i.model,n),a=(t.attr("type")||"").toLowerCase();if(t.is("select")){var o=t.attr("data-list");if(o){var s=i.lists&&i.lists[o]||m(i.model,o);t.listSetData(s||[],{dataTextField:t.attr("data-list-text"),dataValueField:t.attr("data-list-value")})}t.val(e.isArray(r)?e.map(r,String):null==r?null:String(r))}else"checkbox"==a?t.prop("checked",e.isArray(r)?e.inArray(t.val(),e.map(r,String))>-1:!!r):"radio"==a?t.prop("checked",null!=r&&t.val()==String(r)):t.is("input,textarea")?t.val(p(t,r)):t.text(p(t,r))}(e(this))}),i},this.read=function(){return i.getFields().each(function(){f(e(this),!0)}),i.model},this.setModel=function(e){return i.model=e||{},u={},i.update(),i.markClean(),i},this.isDirty=function(e){if(e)return b(m(i.model,e))!==s[e];for(var t in s)if(s.hasOwnProperty(t)&&i.isDirty(t))return!0;return!1},this.getChanges=function(){var e={};for(var t in s)s.hasOwnProperty(t)&&i.isDirty(t)&&(e[t]={original:y(l[t]),value:m(i.model,t)});return e},this.markClean=function(){return s={},l={},i.getFields().each(function(){var t=d(e(this)),n=m(i.model,t);s[t]=b(n),l[t]=y(n),u[t]=v(n)||u[t]}),i.dirtyClass&&i.getFields().removeClass(i.dirtyClass),i},this.unbind=function(){o.off(c),o.removeData("dataBinder")},o.off(c),i.live&&o.on("input"+c+" change"+c,"[data-bind],[name]",function(t){f(e(this),"change"==t.type)}),i.update(),i.markClean()};function m(e,t){if(!t)return n;for(var r=t.split("."),a=0;a<r.length;a++){if(null==e)return n;e=e[r[a]]}return e}e.fn.dataBind=function(e,t){if(this.length<1)return this;var n=this.data("dataBinder");return"string"==typeof e?n?"instance"==e||"get"==e?n:"read"==e?n.read():("update"==e&&n.update(),"unbind"==e&&n.unbind(),this):null:(n&&n.unbind(),this.data("dataBinder",new p(this.eq(0),e,t)),this)};var g=function(t,r){var a=this,i=e(t);this.rules={},this.messages=null,this.invalidClass="invalid",this.errorClass="field-error",this.summary=null,this.summaryHeader="Please correct the following errors:",this.validateOnChange=!0,this.blockSubmit=!0,this.submitHandler=null,e.extend(a,r);var s=".validator",l=!1,u={},c=[];function d(){return i.is("form")?i:i.closest("form")}function f(e){return e.attr("name")||e.attr("data-bind")}function h(){var t=[];return a.getFields().each(function(){var n=f(e(this));e.inArray(n,t)<0&&t.push(n)}),t}function p(t){return a.getFields().filter(function(){return f(e(this))==t})}function m(e){var t=(e.attr("type")||"").toLowerCase();return"date"==t||"datetime-local"==t||"month"==t}function v(e){if(e instanceof Date)return e.getTime();var t=/^(\d{4,})-(\d{2})(?:-(\d{2}))?(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/.exec(e);return t?Date.UTC(+t[1],t[2]-1,t[3]?+t[3]:1,+t[4]||0,+t[5]||0,+t[6]||0,t[7]?+(t[7]+"00").substr(0,3):0):NaN}function y(e,t,n,r){return X(e.messages[t]||e.message||a.messages&&a.messages[t]||g.messages[t]||g.messages.invalid,n,r)}function b(t,r){var i=p(t),s=i.eq(0),l=function(t){var n=t.eq(0);if(n.is(":checkbox,:radio")){var r=t.filter(":checked").map(function(){return this.value}).get();return n.is(":radio")||1==t.length?r[0]||"":r}var a=n.val();return"string"==typeof a?e.trim(a):a||""}(i),c=function(t,r){var i={},o=function(e){var r=t.attr(e);return r===n||""===r?null:r};(t.prop("required")||t.attr("data-val-required")!==n)&&(i.required=!0),"email"!=(t.attr("type")||"").toLowerCase()&&t.attr("data-val-email")===n||(i.email=!0);var s=m(t)?function(e){return e}:parseFloat;null==o("min")&&null==o("data-val-min")||(i.min=s(o("data-val-min")||o("min"))),null==o("max")&&null==o("data-val-max")||(i.max=s(o("data-val-max")||o("max"))),null==o("minlength")&&null==o("data-val-minlength")||(i.minLength=parseInt(o("data-val-minlength")||o("minlength"),10));var l=o("data-val-maxlength")||o("maxlength");return null!=l&&l>-1&&(i.maxLength=parseInt(l,10)),(o("data-val-pattern")||o("pattern"))&&(i.pattern=o("data-val-pattern")||o("pattern")),o("data-val-remote")&&(i.remote=o("data-val-remote")),o("data-val-message")&&(i.message=o("data-val-message")),(i=e.extend(i,a.rules[r])).messages=e.extend({},i.messages),e.each(["required","email","min","max","minLength","maxLength","pattern","remote"],function(e,t){var n=o("data-val-"+t.toLowerCase()+"-message");n&&(i.messages[t]=n)}),i}(s,t),d=function(t){var n=t.attr("data-val-label");return!n&&t.attr("id")&&(n=e.trim(e("label[for='"+t.attr("id")+"']").text())),n||t.attr("placeholder")||f(t)}(s),h=function(e,n){return{path:t,element:s[0],rule:e,message:y(c,e,d,n)}};if(null==l||""===l||e.isArray(l)&&l.length<1)return Promise.resolve(c.required?h("required"):null);if(c.email&&!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(l))return Promise.resolve(h("email"));var g=m(s)?v:parseFloat,b=g(l);if(null!=c.min&&!isNaN(g(c.min))&&(isNaN(b)||b<g(c.min)))return Promise.resolve(h("min",c.min));if(null!=c.max&&!isNaN(g(c.max))&&(isNaN(b)||b>g(c.max)))return Promise.resolve(h("max",c.max));if(null!=c.minLength&&l.length<c.minLength)return Promise.resolve(h("minLength",c.minLength));if(null!=c.maxLength&&l.length>c.maxLength)return Promise.resolve(h("maxLength",c.maxLength));if(c.pattern){var w=c.pattern;if(!(w instanceof RegExp))try{w=new RegExp("^(?:"+w+")$")}catch(e){w=null}if(w&&!w.test(l))return Promise.resolve(h("pattern"))}var C=Promise.resolve(!0);return c.validate&&(C=C.then(function(){return c.validate.call(s[0],l,r,s)})),c.remote&&(C=C.then(function(e){return x(e)?function(e,t,n,r){"string"==typeof t&&(t={url:t});var a=e+":"+n;if(u[a])return u[a];var i=t.data?t.data(n,r):{};t.data||(i[e]=n);var s=new Promise(function(e,n){o(t.url,i,function(t){!1===t&&(t={isValid:!1}),t&&"object"==typeof t&&!1===t.isValid&&(t.remote=!0),e(t)},function(e){delete u[a],n(e)})});return u[a]=s,s}(t,c.remote,l,r):e})),C.then(function(e){if(x(e))return null;var t=h(c.remote&&e&&e.remote?"remote":"invalid");return"string"==typeof e?t.message=e:e&&e.message&&(t.message=e.message),t},function(e){var t=h("invalid");return e&&e.message&&(t.message=e.message),t})}function x(e){return!0===e||e===n||null===e||"object"==typeof e&&!0===e.isValid}function w(t){var n=p(t.path);if(!(n.length<1)){n.addClass(a.invalidClass).attr("aria-invalid","true");var r=n.last(),i=(n.eq(0).attr("id")||t.path.replace(/\W/g,"_"))+"_error",o=e("<div>").addClass(a.errorClass).attr({id:i,role:"alert"}).text(t.message),s=r.parent("label");o.insertAfter(s.length?s:r),n.each(function(){var t=e(this),n=(t.attr("aria-describedby")||"").replace(i,"");t.attr("aria-describedby",e.trim(n+" "+i))})}}function C(){if(a.summary){var t=e(a.summary).empty(),n=i.find("."+a.errorClass).map(function(){return e(this).text()}).get().concat(c);if(n.length<1)return t.hide();var r=e("<ul>");e.each(n,function(t,n){r.append(e("<li>").text(n))}),t.attr("role","alert").append(e("<div>").text(a.summaryHeader)).append(r).show()}}this.getFields=function(){return i.find("input[name],select[name],textarea[name],[data-bind]").filter("input,select,textarea").not(":button,:submit,:reset,:image")},this.getData=function(){return(i.is("form")?i:i.find(":input")).serializeObject()},this.validate=function(){l=!0;var t=a.getData(),n=h();return Promise.all(e.map(n,function(e){return b(e,t)})).then(function(n){var r=e.grep(n,function(e){return!!e});return a.showErrors(r),{isValid:r.length<1,errors:r,data:t}})},this.validateField=function(e){return b(e,a.getData()).then(function(t){return function(e){var t=p(e);t.removeClass(a.invalidClass).removeAttr("aria-invalid");var n=(t.eq(0).attr("id")||e.replace(/\W/g,"_"))+"_error";i.find("#"+n).remove()}(e),t&&w(t),C(),t})},this.showErrors=function(t){a.clearErrors(),e.each(t||[],function(e,t){t.element||(t.element=t.path&&p(t.path)[0]||null),t.element?w(t):c.push(t.message)}),C()},this.showServerErrors=function(t){var n=function(t){var n=t&&(t.validationErrors||t.ValidationErrors||t.errors||t.Errors||"object"==typeof t.detail&&t.detail),r=[];if(!n)return r;e.isArray(n)?e.each(n,function(e,t){if("string"==typeof t)return r.push({path:null,message:t});r.push({path:t.field||t.Field||t.name||t.property||t.PropertyName||null,message:t.message||t.Message||t.ErrorMessage})}):e.each(n,function(t,n){r.push({path:t,message:e.isArray(n)?n.join(" "):n})});var a=h();return e.each(r,function(t,n){if(n.path){var r=e.grep(a,function(e){return e.toLowerCase()==n.path.toLowerCase()});n.path=r.length?r[0]:n.path}}),r}(t);return n.length<1&&t&&t.message&&n.push({path:null,message:t.message}),a.showErrors(n),n.length>0&&!!n[0].path},this.clearErrors=function(){c=[],i.find("."+a.errorClass).remove(),a.getFields().removeClass(a.invalidClass).removeAttr("aria-invalid"),a.summary&&e(a.summary).empty().hide()},this.destroy=function(){a.clearErrors(),d().off(s),i.off(s),i.removeData("formValidator")},a.validateOnChange&&i.on("change"+s+" focusout"+s,"input,select,textarea",function(){var t=f(e(this));l&&t&&a.validateField(t)}),a.blockSubmit&&d().on("submit"+s,function(t){var n=this,r=t.originalEvent&&t.originalEvent.submitter;t.preventDefault(),a.validate().then(function(t){if(t.isValid)a.submitHandler?a.submitHandler(t.data,t,a):function(t,n){var r=null;n&&n.name&&(r=e("<input type='hidden'>").attr({name:n.name,value:n.value||""}).appendTo(t));HTMLFormElement.prototype.submit.call(t),r&&r.remove()}(n,r);else{var i=a.getFields().filter("."+a.invalidClass).first();i.length&&i[0].focus()}})})};g.messages={required:"{0} is required.",email:"{0} must be a valid email address.",min:"{0} must be at least {1}.",max:"{0} must be at most {1}.",minLength:"{0} must be at least {1} characters.",maxLength:"{0} must be at most {1} characters.",pattern:"{0} is not in the correct format.",remote:"{0} is invalid.",invalid:"{0} is invalid."},e.fn.formValidator=function(e){if(this.length<1)return this;var t=this.data("formValidator");return"string"==typeof e?t?"instance"==e||"get"==e?t:"validate"==e?t.validate():("clear"==e&&t.clearErrors(),"destroy"==e&&t.destroy(),this):null:(t&&t.destroy(),this.data("formValidator",new g(this.eq(0),e)),this)};var v=[],y=0,b=function(n,r){var a=this,i=e(n);if(i.length<1&&(i=e("#"+n)),!(i.length<1)){this.overlayId="_ModalOverlay",this.contentId=i.get(0).id,this.headerId="",this.backgroundOpacity=.75,this.fadeInBackground=!1,this.zIndex=0,this.jOverlay=null,this.keepCentered=!0,this.dialogHandler=null,this.closeOnEscape=!0,this.onEscape=null,this.initialFocus=null,this.restoreFocus=!0,this.onHide=null,this.isOpen=!1,e.extend(a,r);var o=null,s=".modal"+ ++y,l=null,u=null;this.show=function(n,r,o){a.contentId&&"string"==typeof n&&(o?e("#"+a.contentId).html(n):e("#"+a.contentId).text(n)),a.headerId&&"string"==typeof r&&(o?e("#"+a.headerId).html(r):e("#"+a.headerId).text(r)),a.isOpen&&c();var d=l,f=v[v.length-1];f?(l="#"+a.overlayId+"_"+v.length,a.zIndex<=f.zIndex+1&&(a.zIndex=e.maxZIndex())):(l="#"+a.overlayId,a.zIndex=a.zIndex>0?a.zIndex:e.maxZIndex()),d&&d!=l&&S("hide",{sel:d}),a.isOpen||(u=document.activeElement),i.css({zIndex:a.zIndex+2}).show().centerInClient(),function(){i.attr("role")||i.attr("role","dialog");i.attr("aria-modal","true"),i.attr("tabindex")||i.attr("tabindex","-1");a.headerId&&e("#"+a.headerId).length>0&&i.attr("aria-labelledby",a.headerId);a.contentId&&a.contentId!=i.get(0).id&&i.attr("aria-describedby",a.contentId)}();var h=S({zIndex:a.zIndex+1,sel:l,opacity:a.backgroundOpacity});a.jOverlay=h,a.zIndex++,a.fadeInBackground&&h.hide().fadeIn("slow"),i.unbind("click"+s).bind("click"+s,a.callback),a.keepCentered&&e(t).unbind(s).bind("resize"+s,function(){i.centerInClient()}).bind("scroll"+s,function(){i.centerInClient()}),a.isOpen=!0,v.push(a),1==v.length&&e(document).bind("keydown.modalstack",w).bind("focusin.modalstack",C),a.focus()},this.hide=function(){if(i.hide(),a.keepCentered&&e(t).unbind(s),l&&S("hide",{sel:l}),i.unbind("click"+s),o&&(o.show(),o=null),a.isOpen){a.isOpen=!1,c();var n=u;u=null,a.restoreFocus&&n&&n.focus&&e.contains(document.documentElement,n)?n.focus():v.length>0&&v[v.length-1].focus(),a.onHide&&a.onHide(a)}},this.focus=function(){var t=a.initialFocus?e(a.initialFocus,i).first():e();t.length<1&&(t=a.getTabbable().first()),t.length<1&&(t=i),t.get(0).focus()},this.getTabbable=function(){return i.find("a[href],area[href],button,input:not([type=hidden]),select,textarea,iframe,[tabindex],[contenteditable=true]").filter(function(){var t=e(this);return!this.disabled&&"-1"!=t.attr("tabindex")&&t.is(":visible")})},this.contains=function(t){return t==i.get(0)||e.contains(i.get(0),t)},this.callback=function(t){if(e(t.target).is(":button,a,.closebox")){if(a.dialogHandler){if(0==a.dialogHandler.call(t.target,t,a))return;return void setTimeout(function(){a.hide()},10)}setTimeout(function(){a.hide()},10)}},this.keyDown=function(e){if(27==e.keyCode){if(!a.closeOnEscape||a.onEscape&&!1===a.onEscape(e,a))return;return e.preventDefault(),e.stopPropagation(),void a.hide()}if(9==e.keyCode){var t=a.getTabbable();if(t.length<1)return e.preventDefault(),void i.get(0).focus();var n=t.get(0),r=t.get(t.length-1),o=document.activeElement;a.contains(o)&&o!=i.get(0)?e.shiftKey&&o==n?(e.preventDefault(),r.focus()):e.shiftKey||o!=r||(e.preventDefault(),n.focus()):(e.preventDefault(),(e.shiftKey?r:n).focus())}}}function c(){var t=e.inArray(a,v);t>-1&&v.splice(t,1),v.length<1&&e(document).unbind(".modalstack")}};function w(e){var t=v[v.length-1];t&&t.keyDown(e)}function C(e){var t=v[v.length-1];t&&!t.contains(e.target)&&t.focus()}function T(t,n,r){return new Promise(function(a){for(var i=k(r.buttons),o=null,s=0;s<i.length;s++)i[s].isCancel&&(o=i[s].key);var l=r.isHtml;r.template&&(t=N(r.template,r.data||{}),l=!0);var u=!1,c=function(e){u||(u=!0,r.prompt?a(null!=e&&e!=o?f.val():null):a(e))},d=M({message:t,header:n,buttons:i,isHtml:l,prompt:r.prompt?r:null,handler:function(){var t,n=e(this),a=n.hasClass("closebox")?o:n.attr("data-key");return null!=a&&((!r.prompt||a==o||!0===(t=!r.validate||r.validate(f.val()))||null==t||(d.find(".dialog-prompt-error").text("string"==typeof t?t:"Please enter a valid value.").show(),f.attr("aria-invalid","true").focus(),!1))&&(c(a),!0))},onEscape:function(){c(o)},onHide:function(){c(o)}}),f=d.find(".dialog-prompt input")})}function k(t){return(!t||t.length<1)&&(t=[" Close "]),e.map(t,function(t){return"string"==typeof t&&(t={text:t,key:e.trim(t)}),e.extend({key:t.text,text:t.key},t)})}function M(t){var n=e("#_MBOX");if(n.length<1){n=e("<div>").addClass("dialog dragwindow").attr("id","_MBOX").css({width:400});var r=e("<div>").addClass("dialog-header").attr("id","_MBOXHEADER"),a=e("<div>").addClass("dialog-content").attr("id","_MBOXCONTENT");n.append(r).append(a).appendTo(document.body)}var i=n.data("modal_MBOX");if(i&&i.isOpen&&i.onHide){var o=i.onHide;i.onHide=null,o(i)}if(n.find(".dialog-prompt,.dialog-buttons").remove(),t.prompt){var s=e("<div>").addClass("dialog-prompt").css("margin","0px 15px 10px"),l=e("<input type='text' />").attr({id:"_MBOXINPUT","aria-labelledby":"_MBOXCONTENT",placeholder:t.prompt.placeholder||""}).css("width","100%").val(t.prompt.value||""),u=e("<div>").addClass("dialog-prompt-error").attr("role","alert").hide();l.on("input",function(){l.removeAttr("aria-invalid"),u.hide()}),n.append(s.append(l).append(u))}for(var c=k(t.buttons),d=e("<div>").addClass("dialog-buttons").css("margin","0px 15px 15px"),f=null,h=0;h<c.length;h++){var p=e("<input type='button' />").attr({id:"_BTN_"+h,"data-key":c[h].key}).css("margin-right","5px").val(c[h].text);!c[h].isDefault&&f||(f=p),d.append(p)}return n.append(d),n.unbind("keydown.mbox").bind("keydown.mbox",function(t){13!=t.keyCode||e(t.target).is("textarea,:button,a,.closebox")||(t.preventDefault(),f.click())}),n.modalDialog({dialogHandler:t.handler,headerId:"_MBOXHEADER",contentId:"_MBOXCONTENT",initialFocus:t.prompt?"#_MBOXINPUT":f,onEscape:t.onEscape||null,onHide:t.onHide||null},t.message,t.header,t.isHtml).draggable({handle:e("#_MBOX .dialog-header")}),n.find(".closebox").unbind("click"),n.closable({closeHandler:function(){var n=!0;t.handler&&(n=t.handler.call(this)),n&&e("#_MBOX").modalDialog("hide")}}),n}e.fn.modalDialog=function(t,n,r,a,i){if(this.length<1)return this;var o=this.get(0),s=e(o),l="modal"+o.id,u=s.data(l);return u?"object"==typeof t&&e.extend(u,t):u=new b(s,t),"string"==typeof t?("hide"!=t&&"close"!=t||u.hide(),"instance"==t||"get"==t?u:void 0):(u.show(n,r,a),s.data(l,u),this)},e.modalDialog=function(t,n,r,a,i){a||(a=function(){return!("_BTN_"!=this.id.substr(0,5)&&!e(this).hasClass("closebox"))}),M({message:t,header:n,buttons:r,handler:a,isHtml:i})},e.modalDialog.alert=function(t,n,r){return T(t,n,e.extend({buttons:[{key:"ok",text:"OK",isDefault:!0,isCancel:!0}]},r))},e.modalDialog.confirm=function(t,n,r){return T(t,n,e.extend({buttons:[{key:"ok",text:"OK",isDefault:!0},{key:"cancel",text:"Cancel",isCancel:!0}]},r))},e.modalDialog.prompt=function(t,n,r){return T(t,n,e.extend({buttons:[{key:"ok",text:"OK",isDefault:!0},{key:"cancel",text:"Cancel",isCancel:!0}],prompt:!0},r))};var D,S=function(n,r){var a=r||n,i=e.extend({sel:"#_ShadowOverlay",opacity:.75,zIndex:1e4},"object"==typeof a?a:null),o=e(t),s=e(i.sel),l=".opaque"+i.sel.replace(/\W/g,"");if("hide"==n){if(s.length<1)return;return s.hide(),s.get(0).opaqueOverlay=!1,void o.unbind(l)}s.length<1&&(s=e("<div>").attr("id",i.sel.substr(1)).css("background","black").appendTo(document.body));var u=s.get(0);return s.show(),u.opaqueOverlay||o.bind("resize"+l,function(){S(n)}).bind("scroll"+l,function(){S(n)}),u.opaqueOverlay=!0,s.css({top:0+o.scrollTop(),left:0+o.scrollLeft(),position:"absolute",opacity:i.opacity,zIndex:i.zIndex}).width(o.width()).height(o.height()),s};if(!e.fn.draggable){e.fn.draggable=function(t){return this.each(function(){var n=e(this),r=n.data("draggable");"string"!=typeof t?r||(r=new D(this,t),n.data("draggable",r)):r&&"remove"==t&&(r.destroy(),n.removeData("draggable"))})};var O=1,I=0;D=function(n,r){var a=this,i=e(n);this.handle="",this.opacity=.75,this.start=null,this.stop=null,this.drag=null,this.dragDelay=100,this.forceAbsolute=!1,this.axis=null,this.grid=null,this.containment=null,this.dropTargets=null,this.dropEnter=null,this.dropLeave=null,this.drop=null,this.keyboard=!0,this.keyboardStep=10,e.extend(a,r),a.handle=a.handle?e(a.handle,i):i,a.handle.length<1&&(a.handle=i),this.activeDropTarget=null;var o=".dbh"+ ++I,s=t.PointerEvent?{down:"pointerdown",move:"pointermove",up:"pointerup pointercancel"}:{down:"mousedown",move:"mousemove",up:"mouseup"},l=!1,u=!1,c=!1,d=null,f=0,h=0,p=null,m=null,g=1,v=0;this.pointerDown=function(t){var n=e(t.target);if(!(l||t.button>0||n.closest(a.handle).length<1||n.is(".closebox,input,textarea,select,button,a"))){l=!0,u=!1,f=t.pageX,h=t.pageY,d=t.originalEvent&&t.originalEvent.pointerId;var r=a.handle.get(0);if(null!=d&&r.setPointerCapture)try{r.setPointerCapture(d)}catch(e){}e(document).bind(s.up.replace(/(\w+)/g,"$1"+o),a.pointerUp),setTimeout(function(){l&&a.dragActivate(t)},a.dragDelay)}};var y=function(e){e.stopPropagation(),e.preventDefault()};function b(){c||(i.show().makeAbsolute(a.forceAbsolute),c=!0),p=i.offset(),m={left:parseFloat(i.css("left"))||0,top:parseFloat(i.css("top"))||0}}function x(){var e=a.grid;return e?"number"==typeof e?[e,e]:[e[0]||1,e[1]||1]:null}function w(t,n,r){var i=a.activeDropTarget;n!=i&&(i&&(e(i).removeClass("drop-active"),!r&&a.dropLeave&&a.dropLeave(t,i,a)),a.activeDropTarget=n,n&&(e(n).addClass("drop-active"),a.dropEnter&&a.dropEnter(t,n,a)))}this.dragActivate=function(t){l&&(u=!0,b(),v=i.css("zIndex"),i.css("zIndex",15e4),g=i.css("opacity"),i.css({opacity:a.opacity,cursor:"move"}),e(document).bind(s.move+o,a.pointerMove),e(document).bind("selectstart"+o,y),e(document).bind("dragstart"+o,y),a.handle.bind("selectstart"+o,y),a.start&&a.start(t,a))},this.dragDeactivate=function(t,n){if(l&&(l=!1,e(document).unbind(s.up.replace(/(\w+)/g,"$1"+o)),function(){var e=a.handle.get(0);if(null!=d&&e.releasePointerCapture)try{e.releasePointerCapture(d)}catch(e){}d=null}(),u)){u=!1,n||a.moveToMouse(t),e(document).unbind(s.move+o),e(document).unbind("selectstart"+o),e(document).unbind("dragstart"+o),a.handle.unbind("selectstart"+o);var r=a.activeDropTarget;w(t,null,!0),n?i.css({zIndex:v,opacity:g,cursor:"auto"}):(O+=10,i.css({zIndex:1e4+O,cursor:"auto"}),i.css("opacity",g),r&&a.drop&&a.drop(t,r,a),a.stop&&a.stop(t,a))}},this.pointerUp=function(e){a.dragDeactivate(e)},this.pointerMove=function(e){l&&a.moveToMouse(e)},this.moveToMouse=function(t){a.moveBy(t.pageX-f,t.pageY-h),a.dropTargets&&w(t,function(t){var n=null,r=t.clientX,o=t.clientY;return e(a.dropTargets).each(function(){if(this!=i[0]&&!e.contains(i[0],this)){var t=this.getBoundingClientRect();r>=t.left&&r<=t.right&&o>=t.top&&o<=t.bottom&&(n=this)}}),n}(t)),a.drag&&a.drag(t,a)},this.moveBy=function(n,r){"x"==a.axis&&(r=0),"y"==a.axis&&(n=0);var o=x();o&&(n=Math.round(n/o[0])*o[0],r=Math.round(r/o[1])*o[1]);var s=p.left+n,l=p.top+r,u=function(){var n,r=a.containment;if(!r)return null;if("window"==r||"viewport"==r){var o=e(t);n={left:o.scrollLeft(),top:o.scrollTop(),width:o.width(),height:o.height()}}else{var s="parent"==r?i.parent():e(r);if(s.length<1)return null;var l=s.offset();n={left:l.left,top:l.top,width:s.outerWidth(),height:s.outerHeight()}}return{left:n.left,top:n.top,right:Math.max(n.left,n.left+n.width-i.outerWidth()),bottom:Math.max(n.top,n.top+n.height-i.outerHeight())}}();u&&(s=Math.min(Math.max(s,u.left),u.right),l=Math.min(Math.max(l,u.top),u.bottom)),i.css({left:m.left+s-p.left,top:m.top+l-p.top})},this.keyDown=function(t){var n=t.keyCode;if(!(!a.keyboard||l||n<37||n>40||e(t.target).closest(a.handle).length<1||e(t.target).is("input,textarea,select"))){var r=x(),i=r?r[0]:a.keyboardStep*(t.shiftKey?5:1),o=r?r[1]:a.keyboardStep*(t.shiftKey?5:1);b(),a.moveBy(37==n?-i:39==n?i:0,38==n?-o:40==n?o:0),t.preventDefault(),a.drag&&a.drag(t,a),a.stop&&a.stop(t,a)}},this.stopDragging=function(){l&&a.dragDeactivate(null,!0)},this.destroy=function(){a.stopDragging(),e(document).unbind(o),a.handle.css("touch-action","")},a.handle.css("touch-action","none"),a.keyboard&&!a.handle.is("a,button,input,[tabindex]")&&a.handle.attr("tabindex","0"),e(document).bind(s.down+o,a.pointerDown),e(document).bind("keydown"+o,a.keyDown)}}e.fn.resizable||(e.fn.resizable=function(n){var r={handleSelector:null,resizeWidth:!0,resizeHeight:!0,resizeWidthFrom:"right",resizeHeightFrom:"bottom",onDragStart:null,onDragEnd:null,onDrag:null,touchActionNone:!0,instanceId:null};return"object"==typeof n&&(r=e.extend(r,n)),this.each(function(){var a,i,o=e.extend({},r);o.instanceId||(o.instanceId="rsz_"+(new Date).getTime()),console.log("set: "+o.instanceId);var s,l=e(this);if("destroy"===n){if(!(o=l.data("resizable")))return;return console.log("unset: "+o.instanceId),(s=h(o.handleSelector,l)).off("mousedown."+o.instanceId+" touchstart."+o.instanceId),o.touchActionNone&&s.css("touch-action",""),void l.removeClass("resizable")}function u(e){e.stopPropagation(),e.preventDefault()}function c(e){var t,n,r=f(e);t="left"===o.resizeWidthFrom?a.width-r.x+a.x:a.width+r.x-a.x,n="top"===o.resizeHeightFrom?a.height-r.y+a.y:a.height+r.y-a.y,o.onDrag&&!1===o.onDrag(e,l,t,n,o)||(o.resizeHeight&&l.height(n),o.resizeWidth&&l.width(t))}function d(n){return n.stopPropagation(),n.preventDefault(),e(document).off("mousemove."+o.instanceId),e(document).off("mouseup."+o.instanceId),(t.Touch||navigator.maxTouchPoints)&&(e(document).off("touchmove."+o.instanceId),e(document).off("touchend."+o.instanceId)),e(document).off("selectstart."+o.instanceId,u),l.css("transition",i),o.onDragEnd&&o.onDragEnd(n,l,o),!1}function f(e){var t={x:0,y:0,width:0,height:0};if("number"==typeof e.clientX)t.x=e.clientX,t.y=e.clientY;else{if(!e.originalEvent.touches)return null;t.x=e.originalEvent.touches[0].clientX,t.y=e.originalEvent.touches[0].clientY}return t}function h(e,t){return e&&">"===e.trim()[0]?(e=e.trim().replace(/^>\s*/,""),t.find(e)):e?t.parent().find(e):t}l.data("resizable",o),s=h(o.handleSelector,l),o.touchActionNone&&s.css("touch-action","none"),l.addClass("resizable"),s.on("mousedown."+o.instanceId+" touchstart."+o.instanceId,function(n){n.preventDefault&&n.preventDefault();if((a=f(n)).width=parseInt(l.width(),10),a.height=parseInt(l.height(),10),i=l.css("transition"),l.css("transition","none"),o.onDragStart&&!1===o.onDragStart(n,l,o))return;e(document).on("mousemove."+o.instanceId,c),e(document).on("mouseup."+o.instanceId,d),(t.Touch||navigator.maxTouchPoints)&&(e(document).on("touchmove."+o.instanceId,c),e(document).on("touchend."+o.instanceId,d));e(document).on("selectstart."+o.instanceId,u)})})}),e.fn.closable=function(t){var n={handle:null,closeHandler:null,cssClass:"closebox",imageUrl:null,fadeOut:null};return n=e.extend(n,t),this.each(function(t){var r=e(this),a=r.css("position");a&&"static"!=a||r.css("position","relative");var i=n.handle?e(n.handle,r).css({position:"relative"}):r,o=r.find("."+n.cssClass),s=!0;o.length<1&&((o=n.imageUrl?e("<img />").attr("src",n.imageUrl).css("cursor","pointer"):e("<div></div>")).addClass(n.cssClass),s=!1),o.click(function(t){n.closeHandler&&!n.closeHandler.call(this,t)||(n.fadeOut?e(r).fadeOut(n.fadeOut):e(r).hide())}),n.imageUrl&&o.css("background-image","none"),s||i.append(o)})},e.fn.contentEditable=function(t){if(!(this.length<1)){var n="0px",r={editClass:null,saveText:"Save",saveHandler:null};return e.extend(r,t),this.each(function(){var t=e(this);if("true"==this.contentEditable)return this;var a=e("<input type='button' class='editablebutton' />").val(r.saveText).css("display","block"),i=function(){r.editClass?t.removeClass(r.editClass):t.css({background:"transparent",padding:n}),t.get(0).contentEditable=!1,a.remove()};return a.click(function(e){r.saveHandler.call(t.get(0),e)&&i()}),t.keypress(function(e){27==e.keyCode&&i()}),t.after(a).css("margin",2),this.contentEditable=!0,r.editClass?t.addClass(r.editClass):(n=t.css("padding"),t.css({background:"lavender",padding:10})),this}),this}},e.fn.editable=function(t){if(this.length<1)return this;var n={editClass:null,saveText:"Save",editMode:"text",saveHandler:null,value:null};return e.extend(n,t),this.each(function(){var r=e(this);if("cleanup"==t)return r.data("cleanupEditor")(),this;if(r.data("editing"))return this;var a=e("<input type='button' />").addClass("editablebutton").css({display:"block"}).val(n.saveText),i=e("<textarea id='_contenteditor'></textarea>").css({fontFamily:r.css("font-family"),minHeight:"18px"});return n.value?i.val(n.value):i.val("text"==n.editMode?r.text():jContext.html()),n.editClass?i.addClass(n.editClass):i.width(r.width()-10).height(r.height()),i.focus().hide().fadeIn("slow").data("editing",r.get(0)).insertBefore(r).keypress(function(e){27==e.keyCode&&cleanupEditor()}),r.data("editing",!0).hide(),r.data("cleanupEditor",function(){i.remove(),a.remove(),r.data("editing",!1).data("cleanupEditor",null).fadeIn("slow")}),a.click(function(e){var t={text:i.val(),cleanup:r.data("cleanupEditor"),button:a,edit:i,content:r};n.saveHandler.call(i.get(0),t)&&cleanupEditor()}),i.after(a).css("margin",2),this}),this},e.maxZIndex=e.fn.maxZIndex=function(t){var n={inc:10,group:"*"};e.extend(n,t);var r=0;return e(n.group).each(function(){var t=parseInt(e(this).css("z-index"));r=t>r?t:r}),this.jquery?this.each(function(){r+=n.inc,e(this).css("z-index",r)}):r};var E=Object.create(null),N=function(e,t){return N.compile(e)(t)};N.escapeByDefault=!0,N.helpers={include:function(e,t){return N.raw(N(_(e),t))}},N.templates=Object.create(null),N.registerHelper=function(e,t){N.helpers[e]=t},N.registerPartial=N.register=function(e,t){N.templates[e]=t},N.raw=function(e){return new F(e)},N.encode=function(e){return null==e?"":e instanceof F?e.html:String(e).replace(/[&<>"']/g,function(e){return P[e]})},N.compile=function(e,t){if("function"==typeof e)return A(e,t);var n=N.templates[e];if(null==n&&/^[a-z_][\w\-:.]*$/i.test(e)&&j(e)&&(n=N.templates[_(e)]),"function"==typeof n)return A(n,e);null!=n&&(t=e,e=n);var r=(N.escapeByDefault?"=":"-")+e,a=E[r];if(!a){var i=N.precompile(e);try{a=new Function("return "+i)()}catch(n){if(n instanceof EvalError)throw new H("new Function() is blocked - precompile() and register() the template. "+n.message,null,t);throw new H(n.message,function(e){for(var t=z(e),n=0;n<t.length;n++){var r=t[n];if("="==r.type||"-"==r.type)try{new Function("return ("+r.value+");")}catch(e){return r.line}}return null}(e),t)}E[r]=a}return A(a,t)},N.precompile=function(t){var n="function (obj, $t) {\nvar __p = [], __l = 1, __e = $t.encode;\ntry {\nwith ($t.helpers) { with (obj || {}) {\n",r=1;return e.each(z(t),function(e,t){t.line!=r&&(r=t.line,n+="__l = "+r+";\n"),"text"==t.type?n+="__p.push("+JSON.stringify(t.value)+");\n":"="==t.type?n+="__p.push("+(N.escapeByDefault?"__e("+t.value+")":t.value)+");\n":"-"==t.type?n+="__p.push("+t.value+");\n":n+=t.value+"\n"}),n+'}}\n} catch (e) { throw $t.error(e, __l); }\nreturn __p.join("");\n}'};var H=function(e,t,n){this.name="TemplateError",this.line=t||null,this.template=n||null,this.message="Template error"+(n?" in "+n:"")+(t?" on line "+t:"")+": "+e};H.prototype=Object.create(Error.prototype),H.prototype.constructor=H;var P={"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;"};function F(e){this.html=null==e?"":String(e)}function A(e,t){var n={encode:N.encode,helpers:N.helpers,error:function(e,n){return e instanceof H?e:new H(e&&e.message||String(e),n,t)}};return function(t){return e.call(t,t,n)}}function _(e){var t=N.templates[e];if(null!=t)return"function"==typeof t?t:e;var n=j(e);if(!n)throw new H("Template '"+e+"' not found.");return N.templates[e]=n.innerHTML,e}function j(e){return"undefined"!=typeof document?document.getElementById(e):null}function z(e){for(var t,n=[],r=1,a=/<#([=\-]?)([\s\S]*?)#>/g,i=0;null!==(t=a.exec(e));){if(t.index>i){var o=e.substring(i,t.index);n.push({type:"text",value:o,line:r}),r+=o.split("\n").length-1}n.push({type:t[1]||"code",value:t[2],line:r}),r+=t[0].split("\n").length-1,i=a.lastIndex}return i<e.length&&n.push({type:"text",value:e.substr(i),line:r}),n}F.prototype.toString=function(){return this.html};function L(e){var t=document.createElement("div");return"string"==typeof t.textContent?t.textContent=String(e):t.innerText=String(e),t.innerHTML}function R(e,t){return e=String(e),t?e.replace(new RegExp(V(t)+"*$"),""):e.replace(/\s+$/,"")}function B(e,t){return e=String(e),t?e.replace(new RegExp("^"+V(t)+"*"),""):e.replace(/^\s+/,"")}function U(e,t){for(var n="",r=0;r<t;r++)n+=e;return n}function $(e,t,n){if(e=String(e),!t||t<1)return e;n||(n=" ");var r=t-e.length;return r<1?e.substr(0,t):(U(n,r)+e).substr(0,t)}function W(e,t,n){if(e=String(e),!t||t<1)return e;n||(n=" ");var r=t-e.length;return r<1?e.substr(0,t):(e+U(n,r)).substr(0,t)}function q(e,t,n){return!(!e||0===e.length)&&(e=String(e),t&&n?t.toLowerCase()===e.toLowerCase().substr(0,t.length):t===e.substr(0,t.length))}function J(e,t,n,r,a){if(0===(e=String(e)).length)return"";var i=e.toLowerCase();t=t.toLocaleLowerCase(),n=n.toLocaleLowerCase();var o=i.indexOf(t);if(-1==o)return"";var s=i.indexOf(n,o+t.length);return r||-1!=s?r&&-1==s?a?e.substr(o):e.substr(o+t.length):a?e.substr(o,s-o+t.length):e.substr(o+t.length,s-o-t.length):""}function V(e){return String(e).replace(/[.*+?^${}()|[\]\/\\]/g,"\\$&")}function X(e,t){e=String(e);for(var n=0;n<arguments.length;n++)e=e.replace(new RegExp("\\{"+n.toString()+"\\}","g"),arguments[n+1]);return e}function Z(e){return 0!=(e=String(e)).length&&"0123456789".indexOf(e.charAt(0))>-1}var K=["January","February","March","April","May","June","July","August","September","October","November","December"],Y=["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"],G=null,Q=Object.create(null),ee="USD";function te(t){var r=Q[t=t||G||""];if(r)return r;if("undefined"==typeof Intl||!Intl.DateTimeFormat)return r={name:"en-US",months:K,monthsShort:e.map(K,function(e){return e.substr(0,3)}),days:Y,daysShort:e.map(Y,function(e){return e.substr(0,3)}),am:"AM",pm:"PM",patterns:{d:"M/d/yyyy",D:"dddd, MMMM d, yyyy",t:"h:mm tt",T:"h:mm:ss tt"}},Q[t]=r;var a=t||n;function i(t,n,r){for(var i=new Intl.DateTimeFormat(a,e.extend({timeZone:"UTC"},t)),o=[],s=0;s<n;s++)o.push(i.format(r(s)));return o}function o(e){return new Date(Date.UTC(2001,e,15))}function s(e){return new Date(Date.UTC(2001,0,7+e))}var l=new Intl.DateTimeFormat(a,{hour:"numeric",hour12:!0,timeZone:"UTC"});function u(e){for(var t=ne(l,new Date(Date.UTC(2001,0,1,e))),n=0;n<t.length;n++)if("dayPeriod"==t[n].type||"dayperiod"==t[n].type)return t[n].value;return e<12?"AM":"PM"}return r={name:new Intl.DateTimeFormat(a).resolvedOptions().locale,months:i({month:"long"},12,o),monthsShort:i({month:"short"},12,o),days:i({weekday:"long"},7,s),daysShort:i({weekday:"short"},7,s),am:u(9),pm:u(21),patterns:{d:re(a,{year:"numeric",month:"numeric",day:"numeric"}),D:re(a,{weekday:"long",year:"numeric",month:"long",day:"numeric"}),t:re(a,{hour:"numeric",minute:"2-digit"}),T:re(a,{hour:"numeric",minute:"2-digit",second:"2-digit"})}},Q[t]=r}function ne(e,t){return e.formatToParts?e.formatToParts(t):[{type:"literal",value:e.format(t)}]}function re(t,n){var r=new Intl.DateTimeFormat(t,e.extend({timeZone:"UTC"},n)),a=r.resolvedOptions().hour12,i=ne(r,new Date(Date.UTC(2001,1,3,4,5,6))),o="";return e.each(i,function(e,t){var r=t.value.length>1;switch(t.type){case"year":o+=2==t.value.length?"yy":"yyyy";break;case"month":o+=/^\d+$/.test(t.value)?r?"MM":"M":"long"==n.month?"MMMM":"MMM";break;case"day":o+=r?"dd":"d";break;case"weekday":o+="long"==n.weekday?"dddd":"ddd";break;case"hour":o+=a?r?"hh":"h":r?"HH":"H";break;case"minute":o+="mm";break;case"second":o+="ss";break;case"dayPeriod":case"dayperiod":o+="tt";break;default:o+=t.value.replace(/[\u00a0\u202f]/g," ").replace(/[a-zA-Z%'"\\]/g,"\\$&")}}),o}var ae={d:function(e){return e.patterns.d},D:function(e){return e.patterns.D},t:function(e){return e.patterns.t},T:function(e){return e.patterns.T},f:function(e){return e.patterns.D+" "+e.patterns.t},F:function(e){return e.patterns.D+" "+e.patterns.T},g:function(e){return e.patterns.d+" "+e.patterns.t},G:function(e){return e.patterns.d+" "+e.patterns.T},o:function(){return"yyyy-MM-ddTHH:mm:ss.fffzzz"},O:function(){return"yyyy-MM-ddTHH:mm:ss.fffzzz"},s:function(){return"yyyy-MM-ddTHH:mm:ss"}};function ie(e,t){1==e.length&&ae[e]?e=ae[e](t):2==e.length&&"%"==e.charAt(0)&&(e=e.substr(1));for(var n=[],r=0;r<e.length;){var a=e.charAt(r);if("'"==a||'"'==a){var i=e.indexOf(a,r+1);i<0&&(i=e.length),n.push({literal:e.substring(r+1,i)}),r=i+1}else if("\\"==a)n.push({literal:e.charAt(r+1)}),r+=2;else if("%"==a)r++;else if("dfhHmMstyz".indexOf(a)>-1){for(var o=1;e.charAt(r+o)==a;)o++;n.push({token:a,length:o}),r+=o}else n.push({literal:a}),r++}return n}function oe(e,t){for(var n=String(e);n.length<t;)n="0"+n;return n}function se(e,t,n){t||(t="MM/dd/yyyy");for(var r=te(n),a=ie(t,r),i="",o=0;o<a.length;o++){var s=a[o];if(s.token){var l=s.length,u=e.getHours();switch(s.token){case"d":i+=l<3?oe(e.getDate(),l):(3==l?r.daysShort:r.days)[e.getDay()];break;case"M":i+=l<3?oe(e.getMonth()+1,l):(3==l?r.monthsShort:r.months)[e.getMonth()];break;case"y":var c=e.getFullYear();i+=oe(l<3?c%100:c,l);break;case"H":i+=oe(u,Math.min(l,2));break;case"h":i+=oe(u%12||12,Math.min(l,2));break;case"m":i+=oe(e.getMinutes(),Math.min(l,2));break;case"s":i+=oe(e.getSeconds(),Math.min(l,2));break;case"f":i+=W(oe(e.getMilliseconds(),3),l,"0");break;case"t":var d=u<12?r.am:r.pm;i+=1==l?d.charAt(0):d;break;case"z":var f=-e.getTimezoneOffset(),h=Math.abs(f);i+=f<0?"-":"+",i+=1==l?Math.floor(h/60):oe(Math.floor(h/60),2),l>2&&(i+=":"+oe(h%60,2))}}else i+=s.literal}return i}function le(t,n,r){if(!t||!n)return null;var a=te(r),i=ie(n,a),o="^",s=[];function l(t){return"("+e.map(t.slice(0).sort(function(e,t){return t.length-e.length}),V).join("|")+")"}for(var u=0;u<i.length;u++){var c=i[u];if(c.token){var d=c.length,f=1==d?"(\\d{1,2})":"(\\d{"+d+"})";switch(c.token){case"d":o+=d<3?f:l(3==d?a.daysShort:a.days);break;case"M":o+=d<3?f:l(3==d?a.monthsShort:a.months);break;case"y":o+=1==d?"(\\d{1,2})":2==d?"(\\d{2})":"(\\d{"+d+",})";break;case"H":case"h":case"m":case"s":o+=1==d?"(\\d{1,2})":"(\\d{2})";break;case"f":o+="(\\d{"+d+"})";break;case"t":o+=l(1==d?[a.am.charAt(0),a.pm.charAt(0)]:[a.am,a.pm]);break;case"z":o+=d<3?"([+-]\\d{1,"+d+"})":"(Z|[+-]\\d{2}:?\\d{2})"}s.push(c)}else o+=V(c.literal).replace(/\s+/g,"\\s+")}var h=new RegExp(o+"$","i").exec(e.trim(t));if(!h)return null;var p,m=new Date,g={year:null,month:null,day:null,hours:0,minutes:0,seconds:0,ms:0,pm:null,offset:null};function v(e,t){t=t.toLowerCase();for(var n=0;n<e.length;n++)if(e[n].toLowerCase()==t)return n;return-1}for(u=0;u<s.length;u++){var y=h[u+1],b=s[u];switch(b.token){case"d":b.length<3&&(g.day=1*y);break;case"M":g.month=b.length<3?y-1:v(3==b.length?a.monthsShort:a.months,y);break;case"y":g.year=1*y,b.length<3&&(g.year+=g.year<50?2e3:1900);break;case"H":case"h":g.hours=1*y;break;case"m":g.minutes=1*y;break;case"s":g.seconds=1*y;break;case"f":g.ms=Math.round(1e3*("0."+y));break;case"t":g.pm=y.toLowerCase()==(1==b.length?a.pm.charAt(0):a.pm).toLowerCase();break;case"z":if("Z"==y.toUpperCase())g.offset=0;else{var x="-"==y.charAt(0)?-1:1,w=y.substr(1).replace(":","");g.offset=x*(w.length>2?60*w.substr(0,w.length-2)+1*w.substr(-2):60*w)}}}if(null!==g.pm){if(g.hours>12)return null;g.pm&&g.hours<12?g.hours+=12:g.pm||12!=g.hours||(g.hours=0)}return null===g.year&&null===g.month&&null===g.day&&(g.year=m.getFullYear(),g.month=m.getMonth(),g.day=m.getDate()),null===g.year&&(g.year=m.getFullYear()),null===g.month&&(g.month=0),null===g.day&&(g.day=1),null!==g.offset?p=new Date(Date.UTC(g.year,g.month,g.day,g.hours,g.minutes,g.seconds,g.ms)-6e4*g.offset):(p=new Date(g.year,g.month,g.day,g.hours,g.minutes,g.seconds,g.ms)).setFullYear(g.year),g.month<0||g.month>11||g.day<1||g.day>new Date(g.year,g.month+1,0).getDate()||g.hours>23||g.minutes>59||g.seconds>59?null:p}var ue=[{unit:"year",seconds:31536e3},{unit:"month",seconds:2592e3},{unit:"week",seconds:604800},{unit:"day",seconds:86400},{unit:"hour",seconds:3600},{unit:"minute",seconds:60},{unit:"second",seconds:1}];function ce(e,t,n){return"long"!=n&&(t={year:"yr",month:"mo",week:"wk",day:"day",hour:"hr",minute:"min",second:"sec"}[t]),e+" "+t+(1==Math.abs(e)?"":"s")}function de(t,r){var a=e.extend({culture:G,style:"long",numeric:"auto",now:null},r);if(!(t=fe(t)))return"";for(var i=a.now?fe(a.now):new Date,o=(t.getTime()-i.getTime())/1e3,s=ue[ue.length-1],l=0;l<ue.length;l++)if(Math.abs(o)>=ue[l].seconds){s=ue[l];break}var u=Math.round(o/s.seconds);if(0===u&&(u=0),"undefined"!=typeof Intl&&Intl.RelativeTimeFormat)return new Intl.RelativeTimeFormat(a.culture||n,{style:a.style,numeric:a.numeric}).format(u,s.unit);if(0===u&&"auto"==a.numeric)return"now";var c=ce(Math.abs(u),s.unit,a.style);return u<0?c+" ago":"in "+c}function fe(e){if(e instanceof Date)return isNaN(e.getTime())?null:e;if(null==e||""===e)return null;var t="number"==typeof e||/^-?\d+$/.test(e)?new Date(1*e):we.dateStringToDate(e)||new Date(e);return isNaN(t.getTime())?null:t}var he=null;function pe(t){e(t||document).find("[data-relative-time]").each(function(){var t=e(this),n=fe(t.attr("data-relative-time")||t.attr("datetime"));n&&(t.text(de(n,{style:t.attr("data-relative-style")||"long"})),t.attr("title")||t.attr("title",se(n,"f")))})}var me=Object.create(null);function ge(t,r){var a=t&&/^[A-Z]{3}$/.test(t)?t:ee,i=(r||G||"")+"|"+a,o=me[i];if(!o){if(o={d:".",c:",",s:"$",p:"%",m:"-",name:"en-US"},"undefined"!=typeof Intl&&Intl.NumberFormat){var s=r||G||n,l=new Intl.NumberFormat(s);o.name=l.resolvedOptions().locale,e.each(ne(l,-12345.6),function(e,t){"decimal"==t.type?o.d=t.value:"group"==t.type?o.c=t.value:"minusSign"==t.type&&(o.m=t.value)}),e.each(ne(new Intl.NumberFormat(s,{style:"percent"}),1),function(e,t){"percentSign"==t.type&&(o.p=t.value)}),e.each(ne(new Intl.NumberFormat(s,{style:"currency",currency:a}),1),function(e,t){"currency"==t.type&&(o.s=t.value)})}me[i]=o}return t&&t!=a&&(o=e.extend({},o,{s:t})),o}function ve(t,n,r){t=Number(t),n=n||"G";var a=r;"string"==typeof r&&(a=/^[A-Z]{3}$/.test(r)?{currency:r}:/^[a-z]{2,3}(-|$)/i.test(r)?{culture:r}:null);var i=ge((a=e.extend({culture:G,currency:ee,symbol:null},a)).symbol||a.currency,a.culture);if(isNaN(t))return"NaN";if(!isFinite(t))return(t<0?i.m:"")+"∞";var o=/^([a-zA-Z])(\d{0,2})$/.exec(n);return o?function(e,t,n,r,a){var i=a.name,o="undefined"!=typeof Intl&&Intl.NumberFormat;function s(e,t,n){return o?new Intl.NumberFormat(i,{useGrouping:n,minimumFractionDigits:t,maximumFractionDigits:t}).format(e):ye(e,(n?"#,##0":"0")+(t?"."+U("0",t):""),a)}switch(t.toUpperCase()){case"C":if(null===n&&(n=2),r.symbol||!o){var l=Math.round(Math.abs(e)*Math.pow(10,n))/Math.pow(10,n);return(e<0&&l?a.m:"")+a.s+s(l,n,!0)}return new Intl.NumberFormat(i,{style:"currency",currency:r.currency,minimumFractionDigits:n,maximumFractionDigits:n}).format(e);case"D":if(Math.floor(e)!==e)throw new Error("D format requires an integer: "+e);return(e<0?a.m:"")+oe(Math.abs(e),n||1);case"E":null===n&&(n=6);var u=Math.abs(e).toExponential(n).split("e"),c=1*u[1];return(e<0?a.m:"")+u[0].replace(".",a.d)+("e"==t?"e":"E")+(c<0?"-":"+")+oe(Math.abs(c),3);case"F":return s(e,null===n?2:n,!1);case"G":return(n?Number(e.toPrecision(n)).toString():e.toString()).replace("-",a.m).replace(".",a.d).replace("e","g"==t?"e":"E");case"N":return s(e,null===n?2:n,!0);case"P":return null===n&&(n=2),o?new Intl.NumberFormat(i,{style:"percent",minimumFractionDigits:n,maximumFractionDigits:n}).format(e):s(100*e,n,!0)+" "+a.p;case"R":return e.toString().replace("-",a.m).replace(".",a.d);case"X":if(Math.floor(e)!==e)throw new Error("X format requires an integer: "+e);var d=(e<0?e>>>0:e).toString(16);return d=oe(d,n||1),"X"==t?d.toUpperCase():d}throw new Error("Invalid number format: "+t+(null===n?"":n))}(t,o[1],""===o[2]?null:1*o[2],a,i):ye(t,n,i)}function ye(t,n,r){var a=n.match(/(?:\\.|'[^']*'|"[^"]*"|[^;])+/g)||[n],i=a[0],o=t<0,s=!0;o&&a.length>1&&(i=a[1],s=!1);for(var l=function(e,t){var n={intParts:[],fracParts:[],prefix:"",suffix:"",grouping:!1,scale:1,exponent:null},r=n.intParts,a=!1,i=!1,o=0;function s(e){a?i||n.exponent?n.suffix+=e:r.push({literal:e}):n.prefix+=e}for(var l=0;l<e.length;l++){var u=e.charAt(l);if("0"==u||"#"==u){if(i){n.suffix+=u;continue}o&&(r===n.intParts&&(n.grouping=!0),o=0),a=!0,r.push({digit:u})}else if("."!=u||r!==n.intParts||i)if(","==u&&a&&!i&&r===n.intParts)o++;else if(("E"==u||"e"==u)&&a&&/^[eE][+-]?0/.test(e.substr(l))){var c=/^[eE]([+-]?)(0+)/.exec(e.substr(l));n.exponent={chr:u,sign:c[1],digits:c[2].length},i=!0,l+=c[0].length-1}else if("%"==u||"‰"==u)n.scale*="%"==u?100:1e3,s("%"==u?t.p:u),a&&(i=!0);else if("'"==u||'"'==u){var d=e.indexOf(u,l+1);d<0&&(d=e.length),s(e.substring(l+1,d)),l=d}else"\\"==u?(s(e.charAt(l+1)),l++):(a&&r===n.fracParts&&(i=!0),s(u));else r=n.fracParts,n.scale/=Math.pow(1e3,o),o=0,a=!0}return o&&r===n.intParts&&(n.scale/=Math.pow(1e3,o)),n}(i,r),u=Math.abs(t)*l.scale,c=0,d=0,f=0;f<l.fracParts.length;f++)l.fracParts[f].digit&&(c++,"0"==l.fracParts[f].digit&&(d=c));var h=0;if(l.exponent&&u){var p=e.grep(l.intParts,function(e){return e.digit}).length||1;h=Math.floor(Math.log(u)/Math.LN10)-(p-1),u/=Math.pow(10,h),Number(u.toFixed(c))>=Math.pow(10,p)&&(h++,u/=10)}for(var m=function(e,t){var n=e.toFixed(t),r=/^(\d)(?:\.(\d+))?e\+(\d+)$/.exec(n);if(!r)return n;var a=r[1]+(r[2]||"");return a+U("0",1*r[3]-a.length+1)+(t?"."+U("0",t):"")}(u,c),g=m.split("."),v=g[0],y=(g[1]||"").replace(/0+$/,"");y.length<d;)y+="0";if(0===Number(m)){if(a.length>2)return ye(0,a[2],r);o=!1}o&&!s&&(o=!1);var b=0,x=!1;for(f=0;f<l.intParts.length;f++)"0"==l.intParts[f].digit&&(x=!0),x&&l.intParts[f].digit&&b++;"0"!=v||b||(v=""),v=oe(v,b);var w="";if(l.grouping){for(w=v.replace(/\B(?=(\d{3})+(?!\d))/g,"").split("").join(r.c),f=0;f<l.intParts.length;f++)l.intParts[f].digit||(w+=l.intParts[f].literal)}else{var C=v.length,T=-1;for(f=0;f<l.intParts.length;f++)if(l.intParts[f].digit){T=f;break}for(f=l.intParts.length-1;f>=0;f--){var k=l.intParts[f];k.digit?f==T?(w=v.substr(0,C)+w,C=0):C>0&&(w=v.charAt(C-1)+w,C--):w=k.literal+w}}var M="",D=0;for(f=0;f<l.fracParts.length;f++){var S=l.fracParts[f];S.digit?D<y.length&&(M+=y.charAt(D++)):M+=S.literal}var O=w;if(y.length?O+=r.d+M:/\d/.test(M)||(O+=M),l.exponent){var I=l.exponent;O+=I.chr+(h<0?"-":"+"==I.sign?"+":"")+oe(Math.abs(h),I.digits)}return(o?r.m:"")+l.prefix+O+l.suffix}function be(t,n){if("number"==typeof t)return t;if(!t)return NaN;var r=ge(null,n);t=e.trim(String(t));var a=!1;/^\(.*\)$/.test(t)&&(a=!0,t=t.substr(1,t.length-2));var i=t.indexOf(r.p)>-1||t.indexOf("%")>-1;r.c&&(t=t.split(r.c).join(""));var o=(t=t.replace(/[\s%]|\b[A-Z]{3}\b/g,"").split(r.p).join("").split(r.s).join("").replace(/[^\d.,+\-\u2212eE\u0002]/g,"").replace(/\u2212/g,"-")).replace(/^[+-]/,"").replace(/[eE][+-]?\d+$/,"").split(r.d);if(o.length>2||/\u0002/.test(o[1])||/\u0002/.test(o[0])&&!/^\d{1,3}(\u0002\d{2,3})*\u0002\d{3}$/.test(o[0]))return NaN;if(t=t.replace(/\u0002/g,""),"."!=r.d&&(t=t.replace(".","").split(r.d).join(".")),!/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(t))return NaN;var s=parseFloat(t);return i&&(s/=100),a?-s:s}e.fn.serializeNoViewState=function(){return this.find("input,textarea,select,hidden").not("#__VIEWSTATE,#__EVENTVALIDATION").serialize()};var xe=function(e,t){e||(t||(t=""),alert("Assert failed\r\n"+(t||"")+"\r\n"+(arguments.callee.caller?"in "+arguments.callee.caller.toString():"")))};e.expr[":"].containsNoCase=function(t,n,r){var a=r[3];return!!a&&new RegExp(a,"i").test(e(t).text())},e.fn.searchFilter=function(t){var n=e.extend({targetSelector:"",charCount:1,onSelected:null},t);return this.each(function(){e(this).keyup(function(){var t=e(this).val(),r=e(n.targetSelector);r.show(),n.onSelected&&n.onSelected(r),t&&t.length>=n.charCount&&r.not(":containsNoCase("+t+")").hide()})})},t.JSON||(t.JSON={}),function(){function e(e){return e<10?"0"+e:e}"function"!=typeof Date.prototype.toJSON&&(Date.prototype.toJSON=function(t){return isFinite(this.valueOf())?this.getUTCFullYear()+"-"+e(this.getUTCMonth()+1)+"-"+e(this.getUTCDate())+"T"+e(this.getUTCHours())+":"+e(this.getUTCMinutes())+":"+e(this.getUTCSeconds())+"Z":null},String.prototype.toJSON=Number.prototype.toJSON=Boolean.prototype.toJSON=function(e){return this.valueOf()});var t,n,r,a=/[\\\"\x00-\x1f\x7f-\x9f\u00ad\u0600-\u0604\u070f\u17b4\u17b5\u200c-\u200f\u2028-\u202f\u2060-\u206f\ufeff\ufff0-\uffff]/g,i={"\b":"\\b","\t":"\\t","\n":"\\n","\f":"\\f","\r":"\\r",'"':'\\"',"\\":"\\\\"};function o(e){return a.lastIndex=0,a.test(e)?'"'+e.replace(a,function(e){var t=i[e];return"string"==typeof t?t:"\\u"+("0000"+e.charCodeAt(0).toString(16)).slice(-4)})+'"':'"'+e+'"'}function s(e,a){var i,l,u,c,d,f=t,h=a[e];switch(h&&"object"==typeof h&&"function"==typeof h.toJSON&&(h=h.toJSON(e)),"function"==typeof r&&(h=r.call(a,e,h)),typeof h){case"string":return o(h);case"number":return isFinite(h)?String(h):"null";case"boolean":case"null":return String(h);case"object":if(!h)return"null";if(t+=n,d=[],"[object Array]"===Object.prototype.toString.apply(h)){for(c=h.length,i=0;i<c;i+=1)d[i]=s(i,h)||"null";return u=0===d.length?"[]":t?"[\n"+t+d.join(",\n"+t)+"\n"+f+"]":"["+d.join(",")+"]",t=f,u}if(r&&"object"==typeof r)for(c=r.length,i=0;i<c;i+=1)"string"==typeof(l=r[i])&&(u=s(l,h))&&d.push(o(l)+(t?": ":":")+u);else for(l in h)Object.hasOwnProperty.call(h,l)&&(u=s(l,h))&&d.push(o(l)+(t?": ":":")+u);return u=0===d.length?"{}":t?"{\n"+t+d.join(",\n"+t)+"\n"+f+"}":"{"+d.join(",")+"}",t=f,u}}"function"!=typeof JSON.stringify&&(JSON.stringify=function(e,a,i){var o;if(t="",n="","number"==typeof i)for(o=0;o<i;o+=1)n+=" ";else"string"==typeof i&&(n=i);if(r=a,a&&"function"!=typeof a&&("object"!=typeof a||"number"!=typeof a.length))throw new Error("JSON.stringify");return s("",{"":e})})}();var we={};!function(){var t=/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2}(?:\.{0,1}\d*))(?:Z|(\+|-)([\d|:]*))?$/,n=/^\/Date\((d|-|.*)\)[\/|\\]$/;we.parseMsAjaxDate=!1,we.useDateParser=function(e){void 0!==e?JSON._parseSaved&&(JSON.parse=JSON._parseSaved,JSON._parseSaved=null):JSON.parseSaved||(JSON._parseSaved=JSON.parse,JSON.parse=we.parseWithDate)},we.dateParser=function(e,r){if("string"==typeof r){var a=t.exec(r);if(a)return new Date(r);if(!we.parseMsAjaxDate)return r;if(a=n.exec(r)){var i=a[1].split(/[-+,.]/);return new Date(i[0]?+i[0]:0-+i[1])}}return r},we.parseWithDate=function(e){var t=JSON._parseSaved?JSON._parseSaved:JSON.parse;try{return t(e,we.dateParser)}catch(e){throw new Error("JSON content could not be parsed")}},we.stringifyWithDates=function(e,t){return JSON.stringify(i(e,function(e){return isFinite(e.valueOf())?e.toISOString():null}),null,t)},we.stringifyWcf=function(e,t){return JSON.stringify(i(e,function(e){var t=e.valueOf();if(!isFinite(t))return null;var n=e.getTimezoneOffset(),a=Math.abs(n);return r+"("+t+(n>0?"-":"+")+$(Math.floor(a/60),2,"0")+$(a%60,2,"0")+")"}),null,t).replace(a,'"\\/Date($1)\\/"')};var r="WcfDate",a=/"\\u0001WcfDate\((-?\d+[+-]\d{4})\)"/g;function i(t,n,r){if(null===t||"object"!=typeof t)return t;if(t instanceof Date)return n(t);if("function"==typeof t.toJSON)return i(t.toJSON(),n,r);if((r=r||[]).indexOf(t)>-1)return null;var a;if(r.push(t),e.isArray(t)){a=[];for(var o=0;o<t.length;o++)a.push(i(t[o],n,r))}else for(var s in a={},t)Object.prototype.hasOwnProperty.call(t,s)&&(a[s]=i(t[s],n,r));return r.pop(),a}we.dateStringToDate=function(e,r){if(r||(r=null),!e)return r;if(e.getTime)return e;'"'!==e[0]&&"'"!==e[0]||(e=e.substr(1,e.length-2));var a=t.exec(e);if(a)return new Date(e);if(!we.parseMsAjaxDate)return r;if(a=n.exec(e)){var i=a[1].split(/[-+,.]/);return new Date(i[0]?+i[0]:0-+i[1])}return r}}();var Ce={HttpClient:r,CancelToken:function(){var e=this,t=[];this.isCancelled=!1,this.reason=null,this.cancel=function(n){if(!e.isCancelled){e.isCancelled=!0,e.reason=n||null;var r=t;t=[];for(var a=0;a<r.length;a++)r[a](e)}},this.onCancel=function(n){return e.isCancelled?(n(e),function(){}):(t.push(n),function(){var e=t.indexOf(n);e>-1&&t.splice(e,1)})}},ServiceProxy:function(t){var n=this;this.isWcf=!0,this.timeout=2e4,this.method="POST",this.retry=null,this.serviceUrl=t,"object"==typeof t&&e.extend(this,t),this.invoke=function(e,t,a,i,o){var s=null;"GET"!=n.method&&(s=n.isWcf?we.stringifyWcf(t):JSON.stringify(t));var l=n.serviceUrl+e;new r({contentType:"application/json",accepts:"application/json,text/*",method:n.method,evalResult:!0,timeout:n.timeout,retry:n.retry}).send(l,s,a,i)}},AjaxMethodCallback:i,ajaxJson:o,ajaxCallMethod:function(e,t,n,r,a,o){return new i(null,e,o).callMethod(t,n,r,a)},onPageError:function(e){d(e.message||e.Message,{type:"error",timeout:6e3})},CallbackException:s,StatusBar:l,ToastManager:u,showToast:d,showStatus:function(t,n,r,a){return"object"==typeof t?(f&&f.release(),void(f=new l(null,t))):f?f.show(t,n,r,a):(c||(c=new u),"hide"!=t?c.show(t,{type:r?"warning":"info",timeout:n||0,key:a?null:"status"}):void e.each(c.getToasts(),function(e,t){"status"==t.options.key&&t.close()}))},sumDimensions:h,debounce:function(e,t,n){var r;return function(){var a=this,i=arguments,o=n&&!r;clearTimeout(r),r=setTimeout(function(){r=null,n||e.apply(a,i)},t),o&&e.apply(a,i)}},DataBinder:p,FormValidator:g,HoverPanel:function(n,a){var i=this,o=e(n),l=o.get(0);this.serverUrl="",this.timeout=2e4,this.controlId=l.id,this.htmlTargetId=l.id,this.queryString="",this.eventHandlerMode="ShowHtmlAtMousePosition",this.postbackMode="Get",this.completed=null,this.errorHandler=null,this.hoverOffsetRight=0,this.hoverOffsetBottom=0,this.panelOpacity=1,this.adjustWindowPosition=!0,this.formName="",this.navigateDelay=0,this.http=null,e.extend(i,a),this.startCallback=function(t,n,a,o){try{var l=(new Date).getTime();i.busy=l;var u=this.serverUrl;if(t?(i.lastMouseTop=t.clientY,i.lastMouseLeft=t.clientX):i.lastMouseTop=0,i.queryString=null==n?n="":n,o&&(i.errorHandler=o),n?n+="&":n="",n+="__WWEVENTCALLBACK="+i.controlId,i.formName=i.formName||document.forms[0],i.http=new r,i.timeout=i.timeout,i.http.appendHeader("RequestKey",l),a?a+="&":a="","Post"==i.postbackMode?a+=e(i.formName).serialize():"PostNoViewstate"==this.postbackMode?a+=e(i.formName).serializeNoViewState():"Get"==this.postbackMode&&a&&(n+=a),""!=n&&(u=u.indexOf("?")>-1?u+"&"+n:u+"?"+n),"ShowIFrameAtMousePosition"==i.eventHandlerMode||"ShowIFrameInPanel"==i.eventHandlerMode)return void setTimeout(function(){i.busy&&i.showIFrame.call(i,u)},i.navigateDelay);setTimeout(function(){i.busy===l&&i.http.send.call(i,u,a,i.onHttpCallback,i.onHttpCallback)},i.navigateDelay)}catch(t){i.onHttpCallback(new s(t.message))}},this.onHttpCallback=function(e){i.busy=-1,i.http&&i.http.status&&200!=i.http.status&&(e=new s(http.statusText)),null==e&&(e=new s("No output was returned.")),e.isCallbackError?i.errorHandler&&i.errorHandler(e):i.displayResult(e)},this.displayResult=function(e){i.completed&&0==i.completed(e,i)||("ShowHtmlAtMousePosition"==i.eventHandlerMode?(i.assignContent(e),i.movePanelToPosition(i.lastMouseLeft+i.hoverOffsetRight,i.lastMouseTop+i.hoverOffsetBottom),i.show()):"ShowHtmlInPanel"==i.eventHandlerMode&&(i.assignContent(e),i.show()))},this.assignContent=function(t){e("#"+i.htmlTargetId).html(t)},this.movePanelToPosition=function(n,r){try{o.css("position","absolute"),"object"==typeof n?(i.lastMouseTop=n.clientY,i.lastMouseLeft=n.clientX):"number"==typeof n&&(i.lastMouseTop=r,i.lastMouseLeft=n),n=i.lastMouseLeft+3,r=i.lastMouseTop+3;var a=e(t);if(o.css({left:n+a.scrollLeft(),top:r+a.scrollTop()}),i.adjustWindowPosition&&document.body){var s=a.height(),l=o.outerHeight(),u=a.width(),c=o.outerWidth();s<l?r=0:s<i.lastMouseTop+l&&(r=s-l-10),u<c?n=0:u<i.lastMouseLeft+c&&(n=u-c-25),o.css({left:n+a.scrollLeft(),top:r+a.scrollTop()})}}catch(e){t.status="Moving of window failed: "+e.message}},this.showIFrame=function(t){i.busy=!1,t=t||i.serverUrl,e("#"+i.controlId+"_IFrame").attr("src",t).load(i.completed),i.show(),"ShowIFrameAtMousePosition"==i.eventHandlerMode&&i.movePanelToPosition(i.lastMouseLeft+i.hoverOffsetRight,i.lastMouseTop+i.hoverOffsetBottom)},this.hide=function(){this.abort(),o.hide()},this.abort=function(){i.busy=-1},this.show=function(){o.show().css("opacity",i.panelOpacity)}},DragBehavior:D,_ModalDialog:b,opaqueOverlay:S,parseTemplate:N,TemplateError:H,isElementInViewport:function(e){var n=e.getBoundingClientRect();return n.top>=0&&n.left>=0&&n.bottom<=(t.innerHeight||document.documentElement.clientHeight)&&n.right<=(t.innerWidth||document.documentElement.clientWidth)},getBodyFromHtmlDocument:function(t){return e.trim(t.replace(/^[\s\S]*<body.*?>|<\/body>[\s\S]*$/gi,""))},$$:function(t,n){var r=e("#"+t,n);return r.length<1&&(r=e("[id$=_"+t+"],[id*="+t+"_]",n)),r},registerNamespace:function(e){for(var n=e.split("."),r=t,a=0;a<n.length;a++){var i=n[a];r=r[i]?r[i]:r[i]={}}},getUrlEncodedKey:function(e,n){n||(n=t.location.search);var r=new RegExp("[?|&]"+e+"=(.*?)&").exec(n+"&");return!r||r.length<2?"":decodeURIComponent(r[1].replace("+"," "))},setUrlEncodedKey:function(e,n,r){var a=(r=r||t.location.search)+"&",i=new RegExp("[?|&]"+e+"=.*?&");return i.test(a)?a=a.replace(i,"&"+e+"="+encodeURIComponent(n)+"&"):a+=e+"="+encodeURI(n),"?"==(a=R(B(a,"&"),"&")).charAt(0)?a:a="?"+a},assert:xe,htmlEncode:L,trimStart:B,trimEnd:R,repeat:U,padL:$,padR:W,startsWith:q,extract:J,escapeRegExp:V,format:X,isNumber:Z,str:{htmlEncode:L,trimStart:B,trimEnd:R,repeat:U,padL:$,padR:W,startsWith:q,endsWith:function(e,t,n){if(e=String(e),!t||t.length>e.length)return!1;var r=e.substr(e.length-t.length);return n?t.toLowerCase()===r.toLowerCase():t===r},extract:J,escapeRegExp:V,format:X,isNumber:Z,slugify:function(e){return(e=String(e)).normalize&&(e=e.normalize("NFD").replace(/[\u0300-\u036f]/g,"")),e.toLowerCase().replace(/[^a-z0-9]+/g,"-").replace(/^-+|-+$/g,"")},truncate:function(e,t,n){if(e=String(e),"string"!=typeof n&&(n="…"),!t||e.length<=t)return e;var r=e.substr(0,Math.max(t-n.length,0)),a=r.search(/\s\S*$/);return a>2*r.length/3&&(r=r.substr(0,a)),R(r)+n},stripHtml:function(t){if(!t)return"";var n=document.implementation.createHTMLDocument("");return n.body.innerHTML=String(t),e(n.body).find("script,style,template").remove(),n.body.textContent}},formatDate:se,formatNumber:ve,getNumberFormat:ge,parseLocale:be,parseExact:le,formatRelativeTime:de,formatDuration:function(t,r){for(var a=e.extend({culture:G,style:"long",units:2,smallest:"second"},r),i=a.culture||n,o=e.grep(ue,function(e){return e.seconds<=86400}),s=0,l=0;l<o.length;l++)o[l].unit==a.smallest&&(s=l);var u=(o=o.slice(0,s+1))[o.length-1].seconds,c=Math.round(Math.abs(t||0)/1e3/u)*u,d=[];for(l=0;l<o.length;l++){var f=Math.floor(c/o[l].seconds);c-=f*o[l].seconds,(f||d.length)&&d.push({value:f,unit:o[l].unit})}(d=e.grep(d.slice(0,a.units),function(e){return e.value})).length||d.push({value:0,unit:o[o.length-1].unit});var h=!0,p=e.map(d,function(e){if(h)try{return new Intl.NumberFormat(i,{style:"unit",unit:e.unit,unitDisplay:a.style}).format(e.value)}catch(e){h=!1}return ce(e.value,e.unit,a.style)});return h&&Intl.ListFormat?new Intl.ListFormat(i,{style:a.style,type:"unit"}).format(p):p.join(", ")},updateRelativeTimes:pe,watchRelativeTimes:function(e){he&&(clearInterval(he),he=null),!1!==e&&(pe(),he=setInterval(function(){pe()},e||6e4))},setCulture:function(e,t){G=e||null,t&&(ee=t)},getCultureInfo:te,json:we,install:function(n){var r=e.extend({globals:!0,prototypes:!0,json:!0,overrideNative:!1},n);function a(t,n,a){(!(n in t)||!0===r.overrideNative||e.isArray(r.overrideNative)&&e.inArray(n,r.overrideNative)>-1)&&(t[n]=a)}r.globals&&(e.each(Te,function(e,n){t[n]=Ce[n]}),t.assert||(t.assert=xe),Object.defineProperty(t,"__statusbar",{get:function(){return f},set:function(e){f=e},configurable:!0}),Object.defineProperty(t,"__toasts",{get:function(){return c},set:function(e){c=e},configurable:!0}));if(r.prototypes){var i=String.prototype;a(i,"htmlEncode",function(){return L(this)}),a(i,"trimEnd",function(e){return R(this,e)}),a(i,"trimStart",function(e){return B(this,e)}),a(i,"repeat",function(e,t){return U(e,t)}),a(i,"padL",function(e,t){return $(this,e,t)}),a(i,"padR",function(e,t){return W(this,e,t)}),a(i,"startsWith",function(e,t){return q(this,e,t)}),a(i,"extract",function(e,t,n,r){return J(this,e,t,n,r)}),a(i,"escapeRegExp",function(){return V(this)}),a(i,"isNumber",function(){return Z(this)}),a(String,"format",X),a(i,"format",function(){var t=[this];return e.merge(t,arguments),X.apply(this,t)}),a(Date.prototype,"formatDate",function(e,t){return se(this,e,t)}),a(Date,"parseExact",le),a(Number.prototype,"formatNumber",function(e,t){return ve(this,e,t)}),a(Number,"getNumberFormat",ge),a(Number,"parseLocale",be)}r.json&&!JSON.dateParser&&(e.each(["useDateParser","dateParser","parseWithDate","stringifyWithDates","stringifyWcf","dateStringToDate"],function(e,t){JSON[t]=we[t]}),Object.defineProperty(JSON,"parseMsAjaxDate",{get:function(){return we.parseMsAjaxDate},set:function(e){we.parseMsAjaxDate=e},configurable:!0}));return Ce}},Te=["HttpClient","CancelToken","ServiceProxy","AjaxMethodCallback","ajaxJson","ajaxCallMethod","onPageError","CallbackException","StatusBar","ToastManager","showToast","showStatus","sumDimensions","debounce","DataBinder","FormValidator","HoverPanel","DragBehavior","_ModalDialog","opaqueOverlay","parseTemplate","TemplateError","isElementInViewport","getBodyFromHtmlDocument","$$","registerNamespace","getUrlEncodedKey","setUrlEncodedKey","formatRelativeTime","formatDuration","updateRelativeTimes","watchRelativeTimes"];return Ce});
\ No newline at end of file
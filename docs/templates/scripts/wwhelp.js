@@ -17,10 +17,107 @@ window.helpBuilder = null;
         tocExpandTop: tocExpandTop,
         tocCollapseAll: tocCollapseAll,
         tocClearSearchBox: tocClearSearchBox,
+        loadSearchIndex: loadSearchIndex,
+        buildSearchIndex: buildSearchIndex,
+        searchTopics: searchTopics,
+        getTopic: getTopic,
+        prefetchTopic: prefetchTopic,
+        makeAvailableOffline: makeAvailableOffline,
+        getTheme: getTheme,
+        setTheme: setTheme,
+        codeThemes: { light: "vs", dark: "kavadocsdark" }, // highlight.js styles per theme
+        nextTopic: function () { navigateTopic(1); },
+        previousTopic: function () { navigateTopic(-1); },
+        serviceWorkerUrl: "wwhelp-serviceworker.js", // null to disable offline support
         highlightCode:  highlightCode,
+        decorateCodeBlocks: decorateCodeBlocks,
+        codeLineNumbers: false, // show line numbers on code blocks by default
         updateDocumentOutline: updateDocumentOutline,
         refreshDocument: refreshDocument,
+        scrollToFragment: scrollToFragment,
+        culture: null, // culture for dates and reading time - defaults to the language
+        timeToReadText: null, // "about {0} to read" - overrides the localized string
+        timeToReadShortText: null, // "less than {0} to read" - overrides the localized string
+        language: null, // UI language - defaults to ?lang= or the html lang attribute
+        getLanguage: getLanguage,
+        getString: getString,
+        localizePage: localizePage,
+        rtlLanguages: ["ar", "dv", "fa", "he", "ps", "ur", "yi"],
+        // UI strings by language - strings missing from a language fall back to en.
+        // add languages with helpBuilder.strings["de"] = { onThisPage: "Auf dieser Seite:", ... }
+        strings: {
+          en: {
+            onThisPage: "On this page:",
+            toggleSidebar: "Show or hide the topics list",
+            tableOfContents: "Table of Contents",
+            collapseAll: "Collapse all topics",
+            expandAll: "Expand all topics",
+            searchTopics: "Search topics",
+            clearSearch: "Clear search",
+            makeOffline: "Make all topics available offline",
+            theme: "Theme: {0} - click to switch to {1}",
+            themeLight: "light",
+            themeDark: "dark",
+            themeAuto: "auto",
+            breadcrumb: "Breadcrumb",
+            topicNavigation: "Topic navigation",
+            previousTopic: "Previous topic",
+            nextTopic: "Next topic",
+            toggleLineNumbers: "Toggle line numbers",
+            toggleWordWrap: "Toggle word wrap",
+            copyCode: "Copy to clipboard",
+            copied: "Copied",
+            headerLink: "click this link and set the bookmark url in the address bar.",
+            topicFound: "1 topic found",
+            topicsFound: "{0} topics found",
+            offlineNotSupported: "Offline storage is not supported by this browser.",
+            offlineDownloading: "Downloading topics for offline use...",
+            offlineProgress: "Downloading topics for offline use: {0} of {1}",
+            offlineFailed: "{0} of {1} files could not be downloaded for offline use.",
+            offlineComplete: "All topics are available offline.",
+            timeToRead: "about {0} to read",
+            timeToReadShort: "less than {0} to read"
+          },
+          ja: {
+            onThisPage: "\u3053\u306e\u30da\u30fc\u30b8\u306e\u5185\u5bb9:",
+            toggleSidebar: "\u30c8\u30d4\u30c3\u30af\u4e00\u89a7\u306e\u8868\u793a/\u975e\u8868\u793a",
+            tableOfContents: "\u76ee\u6b21",
+            collapseAll: "\u3059\u3079\u3066\u306e\u30c8\u30d4\u30c3\u30af\u3092\u6298\u308a\u305f\u305f\u3080",
+            expandAll: "\u3059\u3079\u3066\u306e\u30c8\u30d4\u30c3\u30af\u3092\u5c55\u958b",
+            searchTopics: "\u30c8\u30d4\u30c3\u30af\u3092\u691c\u7d22",
+            clearSearch: "\u691c\u7d22\u3092\u30af\u30ea\u30a2",
+            makeOffline: "\u3059\u3079\u3066\u306e\u30c8\u30d4\u30c3\u30af\u3092\u30aa\u30d5\u30e9\u30a4\u30f3\u3067\u5229\u7528\u53ef\u80fd\u306b\u3059\u308b",
+            theme: "\u30c6\u30fc\u30de: {0} - \u30af\u30ea\u30c3\u30af\u3057\u3066{1}\u306b\u5207\u308a\u66ff\u3048",
+            themeLight: "\u30e9\u30a4\u30c8",
+            themeDark: "\u30c0\u30fc\u30af",
+            themeAuto: "\u81ea\u52d5",
+            breadcrumb: "\u30d1\u30f3\u304f\u305a\u30ea\u30b9\u30c8",
+            topicNavigation: "\u30c8\u30d4\u30c3\u30af \u30ca\u30d3\u30b2\u30fc\u30b7\u30e7\u30f3",
+            previousTopic: "\u524d\u306e\u30c8\u30d4\u30c3\u30af",
+            nextTopic: "\u6b21\u306e\u30c8\u30d4\u30c3\u30af",
+            toggleLineNumbers: "\u884c\u756a\u53f7\u306e\u8868\u793a\u3092\u5207\u308a\u66ff\u3048",
+            toggleWordWrap: "\u6298\u308a\u8fd4\u3057\u3092\u5207\u308a\u66ff\u3048",
+            copyCode: "\u30af\u30ea\u30c3\u30d7\u30dc\u30fc\u30c9\u306b\u30b3\u30d4\u30fc",
+            copied: "\u30b3\u30d4\u30fc\u3057\u307e\u3057\u305f",
+            headerLink: "\u3053\u306e\u30ea\u30f3\u30af\u3092\u30af\u30ea\u30c3\u30af\u3059\u308b\u3068\u3001\u30d6\u30c3\u30af\u30de\u30fc\u30af\u7528\u306e URL \u304c\u30a2\u30c9\u30ec\u30b9 \u30d0\u30fc\u306b\u8a2d\u5b9a\u3055\u308c\u307e\u3059\u3002",
+            topicFound: "1 \u4ef6\u306e\u30c8\u30d4\u30c3\u30af\u304c\u898b\u3064\u304b\u308a\u307e\u3057\u305f",
+            topicsFound: "{0} \u4ef6\u306e\u30c8\u30d4\u30c3\u30af\u304c\u898b\u3064\u304b\u308a\u307e\u3057\u305f",
+            offlineNotSupported: "\u3053\u306e\u30d6\u30e9\u30a6\u30b6\u30fc\u306f\u30aa\u30d5\u30e9\u30a4\u30f3 \u30b9\u30c8\u30ec\u30fc\u30b8\u3092\u30b5\u30dd\u30fc\u30c8\u3057\u3066\u3044\u307e\u305b\u3093\u3002",
+            offlineDownloading: "\u30aa\u30d5\u30e9\u30a4\u30f3\u7528\u306b\u30c8\u30d4\u30c3\u30af\u3092\u30c0\u30a6\u30f3\u30ed\u30fc\u30c9\u3057\u3066\u3044\u307e\u3059...",
+            offlineProgress: "\u30aa\u30d5\u30e9\u30a4\u30f3\u7528\u306b\u30c8\u30d4\u30c3\u30af\u3092\u30c0\u30a6\u30f3\u30ed\u30fc\u30c9\u3057\u3066\u3044\u307e\u3059: {0} / {1}",
+            offlineFailed: "{1} \u4ef6\u4e2d {0} \u4ef6\u306e\u30d5\u30a1\u30a4\u30eb\u3092\u30aa\u30d5\u30e9\u30a4\u30f3\u7528\u306b\u30c0\u30a6\u30f3\u30ed\u30fc\u30c9\u3067\u304d\u307e\u305b\u3093\u3067\u3057\u305f\u3002",
+            offlineComplete: "\u3059\u3079\u3066\u306e\u30c8\u30d4\u30c3\u30af\u3092\u30aa\u30d5\u30e9\u30a4\u30f3\u3067\u5229\u7528\u3067\u304d\u307e\u3059\u3002",
+            timeToRead: "\u8aad\u4e86\u6642\u9593: \u7d04 {0}",
+            timeToReadShort: "\u8aad\u4e86\u6642\u9593: {0} \u672a\u6e80"
+          }
+        },
         configureAceEditor: null // set in aceConfig
+    };
+
+    // internal settings
+    var config = {
+        searchFetchLimit: 100, // max topic pages fetched when searchindex.json is missing
+        topicCacheSize: 50 // max topics kept in memory - least recently used are dropped
     };  
    
 
@@ -31,6 +128,9 @@ window.helpBuilder = null;
 	        navigator.userAgent.indexOf("MSIE 7") > -1)
             $(document.body).addClass("old-ie");
 
+        applyLanguage();
+        localizePage();
+
         // modes: none/0 - with sidebar,  1 no sidebar
         var mode = getUrlEncodedKey("mode");
         if (mode)
@@ -45,11 +145,14 @@ window.helpBuilder = null;
 
         var isLocal = isLocalUrl();
 
+        addThemeToggle();
+
         $(".page-content").on("click", "a", function (e) {            
             var href = $(this).attr("href");                
 
-            // ajax navigation online
+            // ajax navigation online - keep the TOC in sync like navigateTopic()
             if (!isLocal && href.startsWith("_")) {      
+                selectTocItem(getIdFromUrl(href.split("#")[0]));
                 loadTopicAjax(href);
                 return false; // stop navigation
             } 
@@ -66,15 +169,6 @@ window.helpBuilder = null;
 
 
         if (!isLocal){
-	        // load internal help links via Ajax
-	        $(".page-content").on("click", "a", function (e) {            
-                var href = $(this).attr("href");                
-	            if (href.startsWith("_")) {      
-	                loadTopicAjax(href);
-	                return false; // stop navigation
-	            } 
-	        });
-
             var id = getIdFromUrl();
             if (id){
                 setTimeout(function() {
@@ -90,7 +184,13 @@ window.helpBuilder = null;
         if (isLocalUrl() || mode === 1) {
             hideSidebar();                        
         } else {
-            $.get("tableofcontents.htm", loadTableOfContents);
+            getTopic("tableofcontents.htm").done(loadTableOfContents);
+            registerServiceWorker();
+
+            // prefetch topics when hovering over links
+            $(document.body).on("mouseenter", ".toc li a, .main-content a", function () {
+                prefetchTopic($(this).attr("href"));
+            });
 
             // sidebar or hamburger click handler
             $(document.body).on("click", ".sidebar-toggle", toggleSidebar);
@@ -98,13 +198,21 @@ window.helpBuilder = null;
              
             $(".sidebar-left").resizable({
                 handleSelector: ".splitter",
-                resizeHeight: false
+                resizeHeight: false,
+                resizeWidthFrom: isRtl() ? "left" : "right"
             });
 
-            // handle back/forward navigation so URL updates
+            // the initial page gets a history entry like AJAX loaded topics
+            if (window.history.replaceState && !history.state && currentTopic)
+                history.replaceState({ title: '', URL: location.pathname.split("/").pop() + location.hash }, "");
+
+            // handle back/forward navigation so URL updates - entries
+            // created by #fragment links have no state so use the URL
             window.onpopstate = function (event) {                
-                if (history.state && history.state.URL)
-                    loadTopicAjax(history.state.URL,true);
+                var url = history.state && history.state.URL ||
+                          location.pathname.split("/").pop() + location.hash;
+                if (url.startsWith("_"))
+                    loadTopicAjax(url, true);
             }             
             
         }
@@ -113,6 +221,8 @@ window.helpBuilder = null;
         
         setTimeout(function() {
             helpBuilder.refreshDocument();
+            if (location.hash)
+                scrollToFragment(location.hash);
             $(".main-content").scroll(debounce(scrollSpy,100));
             scrollSpy();
         },10);
@@ -128,22 +238,29 @@ window.helpBuilder = null;
             return false;
         }
         var $sidebar = $(".sidebar-left");
-        var oldTrans = $sidebar.css("transition");
-        $sidebar.css("transition", "width 0.5s ease-in-out");
-        if ($sidebar.width() < 20) {
-            $sidebar.show();
-            $sidebar.width(400);
-        } else {
-            $sidebar.width(0);
-        }
+        var expand = $sidebar.width() < 20;
+        $sidebar.addClass("sidebar-animate")
+            .prop("hidden", false)
+            .toggleClass("sidebar-expanded", expand)
+            .toggleClass("sidebar-collapsed", !expand);
 
-        setTimeout(function () { $sidebar.css("transition", oldTrans) }, 700);
+        setTimeout(function () { $sidebar.removeClass("sidebar-animate"); }, 700);
         return true;
     }
 
     function loadTableOfContents(html) {
         var $tocContent = $("<div>" + getBodyFromHtmlDocument(html) + "</div>").find(".toc-content");
         $("#toc").html($tocContent.html());
+        localizePage("#toc");
+
+        if (window.caches)
+            $("<a href='#' class='btn btn-link btn-sm'><i class='fa fa-download'></i></a>")
+                .attr("title", getString("makeOffline"))
+                .appendTo("#toc .toc-menu")
+                .click(function () {
+                    makeAvailableOffline();
+                    return false;
+                });
 
         showSidebar();
 
@@ -151,6 +268,21 @@ window.helpBuilder = null;
         $(".toc").on("click", "li a", loadTopicAjax);
 
         initializeTOC();
+        updateTopicNavigation();
+
+        // Alt-Left/Right navigate to the previous/next topic
+        $(document).on("keydown", function (e) {
+            if (!e.altKey || e.ctrlKey || e.shiftKey || $(e.target).is("input,textarea,select"))
+                return;
+
+            if (e.keyCode === 37)
+                navigateTopic(-1);
+            else if (e.keyCode === 39)
+                navigateTopic(1);
+            else
+                return;
+            return false;
+        });
 
         $("#SearchBox").focus();
         return false;
@@ -170,13 +302,29 @@ window.helpBuilder = null;
             $a.addClass("selected");   
         }
 
+        // keep #fragment for scrolling - topics are loaded and cached without it
+        var fragment = "";
+        if (href.indexOf("#") > -1) {
+            fragment = href.substr(href.indexOf("#"));
+            href = href.substr(0, href.indexOf("#"));
+        }
+
         if ($(this).parent().find("i.fa").length > 0)
             expandTopic(href);
 
+        // link into the current topic - just scroll
+        if (fragment && href.toLowerCase() === currentTopic) {
+            if (!noPushState && window.history.pushState) {
+                saveScrollPosition();
+                window.history.pushState({ title: '', URL: href + fragment }, "", href + fragment);
+            }
+            scrollToFragment(fragment);
+            return false;
+        }
 
         // ajax navigation
         if (href.startsWith("_")) {
-            $.get(href, function (html) {
+            getTopic(href).done(function (html) {
                 var $html = $(html);
 
                 var title = html.extract("<title>", "</title>");
@@ -188,20 +336,34 @@ window.helpBuilder = null;
                     $(".main-content").html(html);                    
 
                     // update the navigation history/url in addressbar
-                    if (window.history.pushState && href.startsWith('_'))
-                        if (!noPushState)  window.history.pushState({ title: '', URL: href }, "", href);
-                    else
-                        expandParents(href.replace(".htm", ""));
+                    if (window.history.pushState && href.startsWith('_')) {
+                        if (!noPushState) {
+                            saveScrollPosition();
+                            window.history.pushState({ title: '', URL: href + fragment }, "", href + fragment);
+                        }
+                        else
+                            expandParents(href.replace(".htm", ""));
+                    }
 
                     $(".main-content").scrollTop(0);
+                    currentTopic = href.toLowerCase();
                 } else
                     return;
 
                 var $banner = $html.find(".banner");
                 if ($banner.length > 0);
                 $(".banner").html($banner.html());
+                addThemeToggle();
+                localizePage();
 
                 helpBuilder.refreshDocument();
+                updateTopicNavigation(href);
+
+                // back/forward restores the position the topic was left at
+                if (fragment)
+                    scrollToFragment(fragment);
+                else if (noPushState && history.state && history.state.scrollTop)
+                    $(".main-content").scrollTop(history.state.scrollTop);
 
                 $(".main-content").scroll(debounce(scrollSpy,100));
                 scrollSpy();
@@ -211,6 +373,8 @@ window.helpBuilder = null;
         return true;  // pass through click
     }; 
     function initializeTOC() {
+        applyLanguage();
+        localizePage();
 
         // if running in frames mode link to target frame and change mode
         if (window.parent.frames["wwhelp_right"]) {
@@ -220,7 +384,7 @@ window.helpBuilder = null;
                 var a = $a[0];
                 a.href = a.href + "?mode=1";
             });
-            $("ul.toc").css("font-size", "1em");
+            $("ul.toc").addClass("toc-frames");
         }
 
         // Handle clicks on + and -
@@ -229,6 +393,8 @@ window.helpBuilder = null;
         });
         $("#toc").on("click","#SearchBoxClearButton",helpBuilder.tocClearSearchBox);
 
+        initializeTreeNavigation();
+
         expandTopic('index');
 
         var page = getUrlEncodedKey("page");
@@ -275,42 +441,358 @@ window.helpBuilder = null;
             });
         }
 
-        $("#SearchBox").searchFilter({
-            targetSelector: ".toc li",
-            charCount: 3,
-            onSelected: debounce(searchFilterFunc, 300)
+        // full text search - falls back to filtering TOC titles
+        // if the search index can't be loaded
+        var $searchBox = $("#SearchBox");
+        $searchBox.attr("placeholder", getString("searchTopics"));
+        $searchBox.on("keyup.search", debounce(function (e) {
+            var search = $.trim($searchBox.val());
+            if (search.length < 3) {
+                showSearchResults(null);
+                return;
+            }
+
+            loadSearchIndex()
+                .done(function () {
+                    showSearchResults(searchTopics(search), search);
+
+                    // Enter opens the top result
+                    if (e.keyCode === 13)
+                        $("#SearchResults .search-result").first().click();
+                })
+                .fail(function () {
+                    $searchBox.off("keyup.search")
+                        .searchFilter({
+                            targetSelector: ".toc li",
+                            charCount: 3,
+                            onSelected: debounce(searchFilterFunc, 300)
+                        })
+                        .keyup();
+                });
+        }, 250));
+
+        $("#toc").on("click", ".search-result", function () {
+            selectTocItem($(this).data("id"));
+            loadTopicAjax($(this).attr("href"));
+            return false;
+        });
+    }
+
+    function selectTocItem(id) {
+        if (!id)
+            return;
+
+        $(".toc li a").removeClass("selected");
+        $("#" + id).addClass("selected");
+        expandParents(id, true);
+    }
+
+    /*
+        UI strings: the language comes from helpBuilder.language,
+        a ?lang=ja url key or the html lang attribute. The url key is
+        kept for the browser session and used on later pages that have
+        no lang attribute of their own. getString() falls back from
+        ja-JP to ja to en. Right-to-left languages set dir=rtl on the
+        html element.
+    */
+    var languageStorageKey = "wwhelp-lang";
+    // read before applyLanguage() sets it
+    var pageLanguage = document.documentElement.getAttribute("lang");
+
+    function getLanguage() {
+        var lang = helpBuilder.language || getUrlEncodedKey("lang");
+        try {
+            if (lang)
+                sessionStorage.setItem(languageStorageKey, lang);
+            else if (!pageLanguage)
+                lang = sessionStorage.getItem(languageStorageKey);
+        } catch (ex) { }
+
+        return lang || pageLanguage || "en";
+    }
+
+    // languages to look up strings in - ja-JP, ja, en
+    function getStringLanguages() {
+        var lang = getLanguage().toLowerCase();
+        return [lang, lang.split("-")[0], "en"];
+    }
+
+    function getString(id) {
+        var langs = getStringLanguages();
+
+        var text = id;
+        for (var i = 0; i < langs.length; i++) {
+            var table = helpBuilder.strings[langs[i]];
+            if (table && table[id] != null) {
+                text = table[id];
+                break;
+            }
+        }
+
+        if (arguments.length > 1)
+            text = String.format.apply(String, [text].concat(Array.prototype.slice.call(arguments, 1)));
+        return text;
+    }
+
+    function isRtl() {
+        return $("html").attr("dir") === "rtl";
+    }
+
+    function applyLanguage() {
+        var lang = getLanguage();
+        var $html = $("html");
+        if ($html.attr("lang") !== lang)
+            $html.attr("lang", lang);
+
+        // an explicit dir attribute on the page wins
+        if (!$html.attr("dir") && $.inArray(lang.toLowerCase().split("-")[0], helpBuilder.rtlLanguages) > -1)
+            $html.attr("dir", "rtl");
+    }
+
+    // static text in the generated pages and the table of contents.
+    // template authors can also use data-string="id" (text) and
+    // data-string-title="id" (title) on any element
+    var localizedElements = [
+        { selector: ".topic-outline-header", text: "onThisPage" },
+        { selector: ".sidebar-toggle i", title: "toggleSidebar" },
+        { selector: ".toc-menu a[data-toc-action=collapseAll],.toc-menu a[href*=tocCollapseAll]", title: "collapseAll" },
+        { selector: ".toc-menu a[data-toc-action=expandAll],.toc-menu a[href*=tocExpandAll]", title: "expandAll" },
+        { selector: "#SearchBox", placeholder: "searchTopics" },
+        { selector: "#SearchBoxClearButton", title: "clearSearch" }
+    ];
+
+    function localizePage(context) {
+        var $context = $(context || document);
+
+        $.each(localizedElements, function (i, item) {
+            var $el = $context.find(item.selector);
+            if (item.text)
+                $el.text(getString(item.text));
+            if (item.title)
+                $el.attr("title", getString(item.title));
+            if (item.placeholder)
+                $el.attr("placeholder", getString(item.placeholder));
+        });
+
+        $context.find("[data-string]").each(function () {
+            $(this).text(getString($(this).attr("data-string")));
+        });
+        $context.find("[data-string-title]").each(function () {
+            $(this).attr("title", getString($(this).attr("data-string-title")));
+        });
+    }
+
+    /*
+        Themes: light, dark or auto which follows the OS setting.
+        The selected theme is stored in localStorage and applied
+        as a data-theme attribute on the html element.
+    */
+    var themeStorageKey = "wwhelp-theme";
+    var themeIcons = { light: "fa-sun-o", dark: "fa-moon-o", auto: "fa-adjust" };
+    var darkSchemeQuery = window.matchMedia ? window.matchMedia("(prefers-color-scheme: dark)") : null;
+
+    if (darkSchemeQuery && darkSchemeQuery.addListener)
+        darkSchemeQuery.addListener(function () {
+            if (getTheme() === "auto")
+                applyTheme();
+        });
+
+    function getTheme() {
+        var theme = null;
+        try {
+            theme = localStorage.getItem(themeStorageKey);
+        } catch (ex) { }
+
+        return themeIcons[theme] ? theme : "auto";
+    }
+
+    function setTheme(theme) {
+        if (!themeIcons[theme])
+            theme = "auto";
+
+        try {
+            localStorage.setItem(themeStorageKey, theme);
+        } catch (ex) { }
+
+        applyTheme();
+        addThemeToggle();
+    }
+
+    function applyTheme() {
+        var theme = getTheme();
+        if (theme === "auto")
+            theme = darkSchemeQuery && darkSchemeQuery.matches ? "dark" : "light";
+
+        document.documentElement.setAttribute("data-theme", theme);
+
+        // swap the highlight.js style sheet
+        var codeTheme = helpBuilder.codeThemes[theme];
+        if (!codeTheme)
+            return;
+
+        var links = document.querySelectorAll("link[href*='highlightjs/styles/']");
+        for (var i = 0; i < links.length; i++) {
+            var href = links[i].getAttribute("href");
+            var newHref = href.replace(/[^\/]+\.css$/i, codeTheme + ".css");
+            if (href !== newHref)
+                links[i].setAttribute("href", newHref);
+        }
+    }
+
+    var themeCycle = { light: "dark", dark: "auto", auto: "light" };
+
+    // apply while the page loads to avoid a flash of the wrong theme
+    applyTheme();
+    applyLanguage();
+
+    function getThemeName(theme) {
+        return getString("theme" + theme.charAt(0).toUpperCase() + theme.substr(1));
+    }
+
+    function addThemeToggle() {
+        var theme = getTheme();
+        var title = getString("theme", getThemeName(theme), getThemeName(themeCycle[theme]));
+
+        var $toggle = $(".banner .theme-toggle");
+        if ($toggle.length < 1) {
+            $toggle = $("<div class='pull-right theme-toggle' role='button' tabindex='0'><i class='fa' aria-hidden='true'></i></div>");
+
+            var $sidebarToggle = $(".banner .sidebar-toggle");
+            if ($sidebarToggle.length > 0)
+                $toggle.insertAfter($sidebarToggle);
+            else
+                $toggle.prependTo(".banner");
+
+            $toggle.on("click keydown", function (e) {
+                if (e.type === "keydown" && e.keyCode !== 13 && e.keyCode !== 32)
+                    return;
+                setTheme(themeCycle[getTheme()]);
+                return false;
+            });
+        }
+
+        $toggle.attr({ title: title, "aria-label": title });
+        $toggle.find("i").attr("class", "fa " + themeIcons[theme]);
+    }
+
+    /*
+        Breadcrumb and previous/next topic links based
+        on the position of the topic in the table of contents
+    */
+    function getTopicId(href) {
+        if (!href)
+            href = window.location.pathname;
+
+        var file = href.split(/[?#]/)[0];
+        file = file.substr(file.lastIndexOf("/") + 1);
+        return file.toLowerCase().replace(/\.htm$/, "") || "index";
+    }
+
+    // TOC links to local topics in document order
+    function getTocTopics() {
+        return $(".toc li a[id]").filter(function () {
+            var href = $(this).attr("href");
+            return href && !href.startsWith("http") && !href.startsWith("file:");
+        });
+    }
+
+    function updateTopicNavigation(href) {
+        $(".topic-breadcrumb, .topic-navigation").remove();
+
+        var $topics = getTocTopics();
+        var $current = $topics.filter("#" + getTopicId(href));
+        if ($current.length < 1)
+            return;
+
+        var index = $topics.index($current);
+
+        var $breadcrumb = $("<ol></ol>");
+        $($current.parents("li").get().reverse()).each(function () {
+            var $a = $(this).children("a");
+            if ($a[0] === $current[0])
+                return;
+            $("<li></li>")
+                .append($("<a></a>").attr("href", $a.attr("href")).text($.trim($a.text())))
+                .appendTo($breadcrumb);
         });
+        $("<li aria-current='page'></li>")
+            .text($.trim($current.text()))
+            .appendTo($breadcrumb);
+
+        $("<nav class='topic-breadcrumb'></nav>")
+            .attr("aria-label", getString("breadcrumb"))
+            .append($breadcrumb)
+            .prependTo(".content-pane");
+
+        var $nav = $("<nav class='topic-navigation'></nav>").attr("aria-label", getString("topicNavigation"));
+        if (index > 0)
+            $nav.append(createTopicLink($topics.eq(index - 1), "topic-previous", "fa-chevron-left", getString("previousTopic")));
+        if (index < $topics.length - 1)
+            $nav.append(createTopicLink($topics.eq(index + 1), "topic-next", "fa-chevron-right", getString("nextTopic")));
+
+        $nav.appendTo(".content-pane");
+    }
+
+    function createTopicLink($a, cssClass, icon, title) {
+        var $link = $("<a></a>")
+            .addClass(cssClass)
+            .attr({ href: $a.attr("href"), title: title })
+            .text($.trim($a.text()));
+
+        var $icon = $("<i class='fa' aria-hidden='true'></i>").addClass(icon);
+        return cssClass === "topic-next" ? $link.append(" ", $icon) : $link.prepend($icon, " ");
+    }
+
+    function navigateTopic(offset) {
+        var $topics = getTocTopics();
+        var index = $topics.index($topics.filter("#" + getTopicId()));
+        var $a = $topics.eq(index + offset);
+        if (index < 0 || index + offset < 0 || $a.length < 1)
+            return;
+
+        var href = $a.attr("href");
+        if (!href.startsWith("_")) {
+            window.location = href;
+            return;
+        }
+
+        selectTocItem($a[0].id);
+        loadTopicAjax(href);
     }
 
     function hideSidebar() {
-        var $sidebar = $(".sidebar-left");
-        var $toggle = $(".sidebar-toggle");
-        var $splitter = $(".splitter");
-        $sidebar.hide();
-        $toggle.hide();
-        $splitter.hide();
+        $(".sidebar-left, .sidebar-toggle, .splitter").prop("hidden", true);
     }
     function showSidebar() {
-        var $sidebar = $(".sidebar-left");
-        var $toggle = $(".sidebar-toggle");
-        var $splitter = $(".splitter");
-        $sidebar.show();
-        $toggle.show();
-        $splitter.show();
+        $(".sidebar-left, .sidebar-toggle, .splitter").prop("hidden", false);
     }
     
+    // collapsed child lists have the hidden attribute - no inline styles
+    // so the TOC works with a Content Security Policy
     function expandTopic(topicId) {        
         var $href = $("#" + topicId.replace(".htm", ""));
 
         var $ul = $href.next();
-        $ul.toggle();
+        $ul.prop("hidden", !$ul.prop("hidden"));
 
+        updateExpandState($href);
+    }
+
+    // syncs the caret icon and aria-expanded with the child list visibility
+    function updateExpandState($href) {
+        var $ul = $href.next("ul");
+        if ($ul.length < 1)
+            return;
+
+        var expanded = !$ul[0].hidden;
         var $button = $href.prev().prev();
 
-        if ($ul.is(":visible"))
+        if (expanded)
             $button.removeClass("fa-caret-right").addClass("fa-caret-down");
         else
             $button.removeClass("fa-caret-down").addClass("fa-caret-right");
+
+        $href.attr("aria-expanded", expanded);
     }
 
     function expandParents(id, noFocus) {
@@ -318,7 +800,9 @@ window.helpBuilder = null;
             return;
 
         var $node = $("#" + id.toLowerCase());
-        $node.parents("ul").show();
+        $node.parents("ul").prop("hidden", false).each(function () {
+            updateExpandState($(this).prev("a"));
+        });
 
         if (noFocus)
             return;
@@ -334,6 +818,151 @@ window.helpBuilder = null;
         });
 
     }
+    /*
+        Keyboard navigation for the table of contents using the
+        WAI-ARIA tree pattern with a roving tabindex.
+    */
+    var typeAheadText = "";
+    var typeAheadTimeout = 0;
+
+    function initializeTreeNavigation() {
+        var $tree = $("ul.toc").attr({ role: "tree", "aria-label": getString("tableOfContents") });
+
+        $tree.find("li").attr("role", "none");
+        $tree.find("li>i.fa, li>img").attr("aria-hidden", "true");
+        $tree.find("li>a").each(function () {
+            var $a = $(this).attr({ role: "treeitem", tabindex: -1 });
+
+            var $ul = $a.next("ul");
+            if ($ul.length > 0) {
+                $ul.attr({ role: "group", id: this.id + "_group" });
+                $a.attr("aria-owns", this.id + "_group");
+                updateExpandState($a);
+            }
+        });
+
+        var $current = $tree.find("a.selected");
+        if ($current.length < 1)
+            $current = $tree.find("a[role=treeitem]").first();
+        $current.attr("tabindex", 0);
+
+        $tree.on("keydown", "a[role=treeitem]", treeKeyDown);
+        $tree.on("focus", "a[role=treeitem]", function () {
+            setTreeFocus(this, true);
+        });
+
+        // down arrow moves from the search box into the tree
+        $("#SearchBox").on("keydown", function (e) {
+            if (e.keyCode !== 40 || $("#SearchResults").length > 0)
+                return;
+
+            var $sel = getVisibleTreeItems().filter(".selected");
+            setTreeFocus($sel.length > 0 ? $sel[0] : getVisibleTreeItems()[0]);
+            return false;
+        });
+    }
+
+    function treeKeyDown(e) {
+        if (e.altKey || e.ctrlKey || e.metaKey)
+            return;
+
+        var item = this;
+        var $item = $(item);
+        var $items = getVisibleTreeItems();
+        var index = $items.index(item);
+        var $ul = $item.next("ul");
+        var expanded = $ul.length > 0 && !$ul[0].hidden;
+
+        switch (e.keyCode) {
+            case 40: // down
+                setTreeFocus($items[index + 1]);
+                break;
+            case 38: // up
+                setTreeFocus($items[index - 1]);
+                break;
+            case 39: // right
+                if ($ul.length > 0 && !expanded)
+                    expandTopic(item.id);
+                else if (expanded)
+                    setTreeFocus($ul.find("a[role=treeitem]")[0]);
+                break;
+            case 37: // left
+                if (expanded)
+                    expandTopic(item.id);
+                else
+                    setTreeFocus($item.parent().parent("ul[role=group]").prev("a")[0]);
+                break;
+            case 36: // home
+                setTreeFocus($items[0]);
+                break;
+            case 35: // end
+                setTreeFocus($items[$items.length - 1]);
+                break;
+            case 13: // enter
+                // external links aren't loaded into the page - follow them
+                if (loadTopicAjax.call(item))
+                    item.click();
+                break;
+            default:
+                // * expands all siblings
+                if (e.key === "*") {
+                    $item.parent().parent().children("li").children("a").each(function () {
+                        var $sub = $(this).next("ul");
+                        if ($sub.length > 0 && $sub[0].hidden)
+                            expandTopic(this.id);
+                    });
+                    break;
+                }
+
+                if (e.key && e.key.length === 1 && /\S/.test(e.key)) {
+                    treeTypeAhead(item, $items, e.key);
+                    break;
+                }
+                return;
+        }
+        return false;
+    }
+
+    // jump to the next item whose title starts with the typed text
+    function treeTypeAhead(item, $items, chr) {
+        clearTimeout(typeAheadTimeout);
+        typeAheadTimeout = setTimeout(function () {
+            typeAheadText = "";
+        }, 500);
+
+        typeAheadText += chr.toLowerCase();
+
+        // a single character moves on to the next match
+        var start = $items.index(item) + (typeAheadText.length === 1 ? 1 : 0);
+        for (var i = 0; i < $items.length; i++) {
+            var candidate = $items[(start + i) % $items.length];
+            if ($.trim($(candidate).text()).toLowerCase().startsWith(typeAheadText)) {
+                setTreeFocus(candidate);
+                return;
+            }
+        }
+    }
+
+    function getVisibleTreeItems() {
+        return $("ul.toc a[role=treeitem]").filter(function () {
+            // searchFilter() hides items with inline styles
+            return $(this).parentsUntil("ul.toc").filter(function () {
+                return this.hidden || this.style.display === "none";
+            }).length === 0;
+        });
+    }
+
+    function setTreeFocus(item, noFocus) {
+        if (!item)
+            return;
+
+        $("ul.toc a[role=treeitem][tabindex=0]").attr("tabindex", -1);
+        $(item).attr("tabindex", 0);
+
+        if (!noFocus)
+            item.focus();
+    }
+
     function findIdByTopic(topic) {
         if (!topic) {
             var query = window.location.search;
@@ -355,8 +984,9 @@ window.helpBuilder = null;
     
     function tocClearSearchBox() { 
         $("#SearchBox").val("").focus();
+        showSearchResults(null);
 
-        // make all visible
+        // make all visible - undoes the searchFilter() fallback
         $(".toc li").show();
 
         // make sure we preserve selection
@@ -372,9 +1002,298 @@ window.helpBuilder = null;
         }
     }
 
+    /*
+        Full text search index
+
+        The index is loaded from searchindex.json in the help root.
+        BuildSearchIndex.ps1 in the repository root creates it from the
+        generated help files - run it after each help build. Format:
+
+        { "topics": [ { "id": "_5f91ctt26", "title": "ExecuteCode",
+                        "keywords": [ "CSharpScriptExecution.ExecuteCode" ],
+                        "body": "plain text of the topic" } ] }
+
+        If the file doesn't exist the index is built on the fly
+        from the table of contents, keywords.htm and the topic pages.
+        Topic pages are only fetched for help files with no more than
+        config.searchFetchLimit topics - larger ones search titles
+        and keywords only.
+    */
+    var searchIndex = null;
+    var searchIndexLoad = null;
+
+    function loadSearchIndex() {
+        if (searchIndexLoad)
+            return searchIndexLoad.promise();
+
+        searchIndexLoad = $.Deferred();
+
+        $.getJSON("searchindex.json")
+            .done(function (data) {
+                searchIndex = createSearchIndex(data);
+                searchIndexLoad.resolve(searchIndex);
+            })
+            .fail(function () {
+                buildSearchIndex()
+                    .done(function (data) {
+                        searchIndex = createSearchIndex(data);
+                        searchIndexLoad.resolve(searchIndex);
+                    })
+                    .fail(function () {
+                        searchIndexLoad.reject();
+                        searchIndexLoad = null;
+                    });
+            });
+
+        return searchIndexLoad.promise();
+    }
+
+    function buildSearchIndex() {
+        var dfd = $.Deferred();
+        var topics = [];
+        var lookup = {};
+
+        $(".toc li a").each(function () {
+            var href = $(this).attr("href");
+            if (!href || !this.id || href.startsWith("http") || href.startsWith("file:"))
+                return;
+
+            var topic = { id: this.id, title: $.trim($(this).text()), keywords: [], body: "", href: href };
+            topics.push(topic);
+            lookup[topic.id] = topic;
+        });
+
+        if (topics.length < 1)
+            return dfd.reject().promise();
+
+        $.get("keywords.htm")
+            .done(function (html) {
+                $(parseHtml(html)).find("a").each(function () {
+                    var topic = lookup[getIdFromUrl($(this).attr("href") || "")];
+                    var keyword = $.trim($(this).text());
+                    if (topic && keyword && keyword !== topic.title && topic.keywords.indexOf(keyword) < 0)
+                        topic.keywords.push(keyword);
+                });
+            })
+            .always(function () {
+                if (topics.length > config.searchFetchLimit) {
+                    $.each(topics, function (i, topic) { delete topic.href; });
+                    dfd.resolve({ topics: topics });
+                }
+                else
+                    loadTopics();
+            });
+
+        // retrieve topic bodies a few at a time
+        function loadTopics() {
+            var next = 0;
+            var pending = topics.length;
+            for (var i = 0; i < 4; i++)
+                loadNext();
+
+            function loadNext() {
+                if (next >= topics.length)
+                    return;
+
+                var topic = topics[next++];
+                $.get(topic.href)
+                    .done(function (html) {
+                        var $body = $(parseHtml(html)).find(".content-pane");
+                        topic.body = $.trim($body.text().replace(/\s+/g, " "));
+                    })
+                    .always(function () {
+                        delete topic.href;
+                        pending--;
+                        if (pending < 1)
+                            dfd.resolve({ topics: topics });
+                        else
+                            loadNext();
+                    });
+            }
+        }
+
+        return dfd.promise();
+    }
+
+    function createSearchIndex(data) {
+        var index = { topics: data.topics || [], terms: Object.create(null) };
+
+        function addTerms(text, topicIndex, weight, limit) {
+            var tokens = tokenize(text);
+            for (var i = 0; i < tokens.length; i++) {
+                var postings = index.terms[tokens[i]];
+                if (!postings)
+                    postings = index.terms[tokens[i]] = {};
+
+                var score = (postings[topicIndex] || 0) + weight;
+                postings[topicIndex] = limit && score > limit ? limit : score;
+            }
+        }
+
+        $.each(index.topics, function (i, topic) {
+            addTerms(topic.title, i, 10);
+            addTerms((topic.keywords || []).join(" "), i, 5);
+            addTerms(topic.body, i, 1, 10);
+        });
+
+        return index;
+    }
+
+    // lower case words - CamelCase words also add their parts
+    function tokenize(text) {
+        var tokens = [];
+        if (!text)
+            return tokens;
+
+        var words = text.split(/[^\w\u00C0-\uFFFF]+/);
+        for (var i = 0; i < words.length; i++) {
+            var word = words[i];
+            if (word.length < 2)
+                continue;
+
+            tokens.push(word.toLowerCase());
+
+            var parts = word.match(/[A-Z]?[a-z\u00C0-\uFFFF]+|[A-Z]+(?![a-z])|\d+/g);
+            if (parts && parts.length > 1) {
+                for (var j = 0; j < parts.length; j++) {
+                    if (parts[j].length > 1)
+                        tokens.push(parts[j].toLowerCase());
+                }
+            }
+        }
+        return tokens;
+    }
+
+    function searchTopics(search, maxResults) {
+        var index = searchIndex;
+        if (!index)
+            return [];
+
+        var terms = tokenize(search);
+        if (terms.length < 1)
+            return [];
+
+        var scores = null;
+        for (var i = 0; i < terms.length; i++) {
+            var termScores = {};
+
+            // exact matches score full, prefix matches half
+            for (var term in index.terms) {
+                var factor = term === terms[i] ? 1 : term.startsWith(terms[i]) ? 0.5 : 0;
+                if (!factor)
+                    continue;
+
+                var postings = index.terms[term];
+                for (var t in postings)
+                    termScores[t] = (termScores[t] || 0) + postings[t] * factor;
+            }
+
+            // all terms have to match
+            if (!scores)
+                scores = termScores;
+            else {
+                for (var key in scores) {
+                    if (termScores[key])
+                        scores[key] += termScores[key];
+                    else
+                        delete scores[key];
+                }
+            }
+        }
+
+        var phrase = search.toLowerCase();
+        var results = [];
+        for (var topicIndex in scores) {
+            var topic = index.topics[topicIndex];
+            var score = scores[topicIndex];
+            if (topic.title.toLowerCase().indexOf(phrase) > -1)
+                score += 20;
+
+            results.push({
+                id: topic.id,
+                title: topic.title,
+                score: score,
+                snippet: getSearchSnippet(topic.body, terms)
+            });
+        }
+
+        results.sort(function (a, b) { return b.score - a.score; });
+        return results.slice(0, maxResults || 50);
+    }
+
+    function getSearchSnippet(body, terms) {
+        if (!body)
+            return "";
+
+        var lbody = body.toLowerCase();
+        var pos = -1;
+        for (var i = 0; i < terms.length; i++) {
+            pos = lbody.indexOf(terms[i]);
+            if (pos > -1)
+                break;
+        }
+
+        var start = pos > 60 ? pos - 60 : 0;
+        var snippet = body.substr(start, 160);
+        if (start > 0)
+            snippet = "..." + snippet;
+        if (start + 160 < body.length)
+            snippet += "...";
+
+        return snippet;
+    }
+
+    function highlightTerms(text, terms) {
+        if (terms.length < 1)
+            return text.htmlEncode();
+
+        // split on the raw text and encode each part so matches
+        // never land inside an encoded entity - odd parts are matches
+        var regEx = new RegExp("(" + terms.join("|") + ")", "gi");
+        return $.map(text.split(regEx), function (part, i) {
+            return i % 2 ? "<mark>" + part.htmlEncode() + "</mark>" : part.htmlEncode();
+        }).join("");
+    }
+
+    function showSearchResults(results, search) {
+        var $results = $("#SearchResults");
+
+        if (!results) {
+            $results.remove();
+            $("ul.toc").prop("hidden", false);
+            return;
+        }
+
+        if ($results.length < 1)
+            $results = $("<div id='SearchResults' class='search-results'></div>")
+                .insertBefore("ul.toc");
+
+        var terms = tokenize(search);
+        $results.html("").append(
+            $("<div class='search-results-header'></div>")
+                .text(results.length === 1 ? getString("topicFound") : getString("topicsFound", results.length)));
+
+        for (var i = 0; i < results.length; i++) {
+            var result = results[i];
+            $("<a class='search-result'></a>")
+                .attr("href", result.id + ".htm")
+                .data("id", result.id)
+                .append($("<div class='search-result-title'></div>").html(highlightTerms(result.title, terms)))
+                .append($("<div class='search-result-snippet'></div>").html(highlightTerms(result.snippet, terms)))
+                .appendTo($results);
+        }
+
+        $("ul.toc").prop("hidden", true);
+    }
+
+    // parses an HTML document without loading images or running scripts
+    function parseHtml(html) {
+        return new DOMParser().parseFromString(html, "text/html");
+    }
+
     function tocCollapseAll() {
 
-        $("ul.toc > li ul:visible").each(function () {
+        $("ul.toc > li ul:not([hidden])").each(function () {
             var $el = $(this);
             var $href = $el.prev();
             var id = $href[0].id;
@@ -383,7 +1302,7 @@ window.helpBuilder = null;
     }
 
     function tocExpandAll() {
-        $("ul.toc > li ul:not(:visible)").each(function () {
+        $("ul.toc > li ul[hidden]").each(function () {
             var $el = $(this);
             var $href = $el.prev();
             var id = $href[0].id;
@@ -391,7 +1310,7 @@ window.helpBuilder = null;
         });
     }
     function tocExpandTop() {        
-        $("ul.toc>li>ul:not(:visible)").each(function () {
+        $("ul.toc>li>ul[hidden]").each(function () {
             var $el = $(this);
             var $href = $el.prev();
             var id = $href[0].id;
@@ -435,12 +1354,127 @@ window.helpBuilder = null;
         }
     }
 
+    var codeLanguages = {
+        cs: "C#", csharp: "C#", vb: "VB.NET", vbnet: "VB.NET", fox: "FoxPro", foxpro: "FoxPro",
+        js: "JavaScript", javascript: "JavaScript", ts: "TypeScript", typescript: "TypeScript",
+        html: "HTML", xml: "XML", css: "CSS", json: "JSON", sql: "SQL",
+        ps: "PowerShell", powershell: "PowerShell", bash: "Bash", text: "Text", txt: "Text"
+    };
+
+    // adds a toolbar with language, line number, wrap and copy buttons to code blocks
+    function decorateCodeBlocks() {
+        $("pre>code").each(function () {
+            var code = this;
+            var $pre = $(code).parent();
+            if ($pre.parent().hasClass("code-block"))
+                return;
+
+            var $block = $("<div class='code-block'></div>");
+            $pre.wrap($block);
+            $block = $pre.parent();
+
+            var $toolbar = $("<div class='code-toolbar'></div>");
+
+            var lang = getCodeLanguage(code, $pre);
+            if (lang)
+                $("<span class='code-language'></span>").text(lang).appendTo($toolbar);
+
+            $toolbar.append(
+                createCodeButton("fa-list-ol", getString("toggleLineNumbers"), function () {
+                    toggleLineNumbers($pre, code);
+                }),
+                createCodeButton("fa-exchange", getString("toggleWordWrap"), function () {
+                    $pre.toggleClass("code-wrap");
+                }),
+                createCodeButton("fa-clipboard", getString("copyCode"), function () {
+                    var $button = $(this);
+                    copyToClipboard(code.textContent || code.innerText, function () {
+                        $button.addClass("copied").find("i").attr("class", "fa fa-check");
+                        $button.find(".code-button-text").text(getString("copied"));
+                        setTimeout(function () {
+                            $button.removeClass("copied").find("i").attr("class", "fa fa-clipboard");
+                            $button.find(".code-button-text").text("");
+                        }, 1500);
+                    });
+                }));
+
+            $block.prepend($toolbar);
+
+            if (helpBuilder.codeLineNumbers)
+                toggleLineNumbers($pre, code);
+        });
+    }
+
+    function getCodeLanguage(code, $pre) {
+        var classes = (code.className + " " + ($pre.attr("lang") || "")).split(/\s+/);
+        for (var i = 0; i < classes.length; i++) {
+            var lang = classes[i].replace(/^(language-|lang-)/, "").toLowerCase();
+            if (!lang || lang === "hljs" || lang === "no-highlight")
+                continue;
+            return codeLanguages[lang] || lang;
+        }
+        return null;
+    }
+
+    function createCodeButton(icon, title, handler) {
+        return $("<button type='button' class='code-button'></button>")
+            .attr({ title: title, "aria-label": title })
+            .append($("<i class='fa' aria-hidden='true'></i>").addClass(icon))
+            .append("<span class='code-button-text' aria-live='polite'></span>")
+            .click(handler);
+    }
+
+    function toggleLineNumbers($pre, code) {
+        var $numbers = $pre.find(".code-line-numbers");
+        if ($numbers.length > 0) {
+            $numbers.remove();
+            $pre.removeClass("line-numbers");
+            return;
+        }
+
+        var count = (code.textContent || "").replace(/\n$/, "").split("\n").length;
+        var lines = [];
+        for (var i = 1; i <= count; i++)
+            lines.push(i);
+
+        $("<div class='code-line-numbers' aria-hidden='true'></div>")
+            .text(lines.join("\n"))
+            .insertBefore(code);
+        $pre.addClass("line-numbers");
+    }
+
+    function copyToClipboard(text, completed) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).then(completed, function () {
+                copyWithSelection(text) && completed();
+            });
+            return;
+        }
+        if (copyWithSelection(text))
+            completed();
+    }
+
+    function copyWithSelection(text) {
+        var $text = $("<textarea class='visually-hidden'></textarea>")
+            .val(text)
+            .appendTo(document.body);
+        $text[0].select();
+
+        var result = false;
+        try {
+            result = document.execCommand("copy");
+        } catch (ex) { }
+
+        $text.remove();
+        return result;
+    }
+
     function CreateHeaderLinks() {
         var $h3 = $(".content-body>h2,.content-body>h3,.content-body>h4,.content-body>h1");
 
         $h3.each(function () {            
             var $h3item = $(this);
-            $h3item.css("cursor", "pointer");
+            $h3item.addClass("header-link");
 
             var tag = $h3item[0].id; //text().replace(/\s+/g, "");
 
@@ -451,7 +1485,7 @@ window.helpBuilder = null;
 	            })
 	            .addClass('link-icon')
 	            .addClass('link-hidden')
-                .attr('title', 'click this link and set the bookmark url in the address bar.');
+                .attr('title', getString("headerLink"));
 
             $h3item.prepend($a);
 
@@ -467,21 +1501,151 @@ window.helpBuilder = null;
 	                window.location = $a.prop("href");
 	            });
         });
+    }
 
-        if(location.hash){
-            setTimeout(function() {
-                // navigate # links if any            
-
-                var hash = location.hash.replace("#","");
-                var el$ = $(location.hash+ ",a[name=" + hash + "]");            
-                if (el$.length > 0)
-                {
-                    el$[0].scrollIntoView(true);
-                    var mc$ = $(".main-content");                
-                    mc$[0].scrollTop = mc$[0].scrollTop - 80;
-                }
+    /*
+        Deep links: #id scrolls to an element, #:~:text=start,end
+        (or #id:~:text=...) highlights and scrolls to matching text.
+        Text fragment syntax: text=[prefix-,]start[,end][,-suffix]
+    */
+    var currentTopic = (location.pathname.split("/").pop() || "").toLowerCase();
+
+    function saveScrollPosition() {
+        if (window.history.replaceState)
+            history.replaceState($.extend({}, history.state, { scrollTop: $(".main-content").scrollTop() }), "");
+    }
+
+    function parseFragment(fragment) {
+        var result = { id: "", texts: [] };
+        fragment = (fragment || "").replace(/^#/, "");
+
+        var at = fragment.indexOf(":~:");
+        if (at > -1) {
+            $.each(fragment.substr(at + 3).split("&"), function (i, directive) {
+                if (directive.startsWith("text="))
+                    result.texts.push(parseTextDirective(directive.substr(5)));
+            });
+            fragment = fragment.substr(0, at);
+        }
+
+        try {
+            result.id = decodeURIComponent(fragment);
+        } catch (ex) {
+            result.id = fragment;
+        }
+        return result;
+    }
+
+    function parseTextDirective(value) {
+        var parts = $.map(value.split(","), function (part) {
+            try {
+                return decodeURIComponent(part);
+            } catch (ex) {
+                return part;
+            }
+        });
+
+        var directive = { prefix: "", start: "", end: "", suffix: "" };
+        if (parts.length && parts[0].substr(-1) === "-")
+            directive.prefix = parts.shift().slice(0, -1);
+        if (parts.length && parts[parts.length - 1].charAt(0) === "-")
+            directive.suffix = parts.pop().substr(1);
+        directive.start = parts[0] || "";
+        directive.end = parts[1] || "";
+        return directive;
+    }
+
+    function scrollToFragment(fragment) {
+        var target = parseFragment(fragment);
+        var $target = $();
+
+        $("mark.text-fragment").contents().unwrap();
+        for (var i = 0; i < target.texts.length; i++) {
+            var $marks = highlightText(target.texts[i]);
+            if (!$target.length)
+                $target = $marks;
+        }
+
+        if (!$target.length && target.id) {
+            var el = document.getElementById(target.id);
+            $target = el ? $(el) : $("a").filter(function () { return this.name === target.id; });
+        }
+        if (!$target.length)
+            return false;
+
+        $target[0].scrollIntoView(true);
+        var mc$ = $(".main-content");
+        if (mc$.length)
+            mc$[0].scrollTop = mc$[0].scrollTop - 80;
+
+        // select the heading in the outline - scrollSpy picks the
+        // first visible heading which may be above the target
+        if (target.id) {
+            var $link = $(".topic-outline-content>a").filter(function () {
+                return $(this).attr("href") === "#" + target.id;
             });
+            if ($link.length) {
+                $(".topic-outline-content *").removeClass("active");
+                $link.addClass("active");
+            }
         }
+        return true;
+    }
+
+    // wraps the first match of a text directive in mark.text-fragment
+    // elements - one per text node so the markup isn't restructured
+    function highlightText(directive) {
+        if (!directive.start)
+            return $();
+
+        var root = $(".content-pane")[0] || document.body;
+        var walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+        var nodes = [];
+        var text = "";
+        while (walker.nextNode()) {
+            nodes.push({ node: walker.currentNode, start: text.length });
+            text += walker.currentNode.nodeValue;
+        }
+
+        function pattern(str) {
+            return $.map($.trim(str).split(/\s+/), function (word) {
+                return word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+            }).join("\\s+");
+        }
+        var regex = "(" + (directive.prefix ? pattern(directive.prefix) + "\\s*" : "") + ")" +
+            "(" + pattern(directive.start) +
+            (directive.end ? "[\\s\\S]*?" + pattern(directive.end) : "") + ")" +
+            (directive.suffix ? "\\s*" + pattern(directive.suffix) : "");
+
+        var match = new RegExp(regex, "i").exec(text);
+        if (!match)
+            return $();
+
+        var start = match.index + match[1].length;
+        var end = start + match[2].length;
+        var marks = [];
+
+        $.each(nodes, function (i, item) {
+            var nodeEnd = item.start + item.node.nodeValue.length;
+            if (nodeEnd <= start || item.start >= end)
+                return;
+
+            var node = item.node;
+            var from = Math.max(start - item.start, 0);
+            var to = Math.min(end, nodeEnd) - item.start;
+            if (to < node.nodeValue.length)
+                node.splitText(to);
+            if (from > 0)
+                node = node.splitText(from);
+
+            var mark = document.createElement("mark");
+            mark.className = "text-fragment";
+            node.parentNode.insertBefore(mark, node);
+            mark.appendChild(node);
+            marks.push(mark);
+        });
+
+        return $(marks);
     }
 
     function updateDocumentOutline(){
@@ -493,7 +1657,7 @@ window.helpBuilder = null;
         if (headers$.length < 2)
         {                   
             $(".content-pane").removeClass("topic-outline-visible");
-            $(".topic-outline-header").hide(false);
+            $(".topic-outline-header").prop("hidden", true);
             return;
         }                
 
@@ -524,7 +1688,7 @@ window.helpBuilder = null;
         } 
 
         $(".content-pane").addClass("topic-outline-visible");
-        $(".topic-outline-header").show(true);                    
+        $(".topic-outline-header").prop("hidden", false);
     }
 
     function scrollSpy() {        
@@ -570,16 +1734,246 @@ window.helpBuilder = null;
         return id;               
     }
 
+    /*
+        Topic cache
+
+        Topics are cached in memory and in Cache Storage, which is shared
+        with the service worker, so they are available offline. Topics
+        found in Cache Storage are returned immediately and refreshed
+        in the background. makeAvailableOffline() stores topics in a
+        separate cache that the service worker never trims.
+    */
+    var topicCacheName = "wwhelp-topics";
+    var offlineCacheName = "wwhelp-offline";
+    var topicCache = {};
+    var topicCacheKeys = []; // least recently used first
+    var topicRequests = {};
+
+    function getMemoryTopic(href) {
+        var html = topicCache[href];
+        if (html)
+            setMemoryTopic(href, html);
+        return html;
+    }
+
+    function setMemoryTopic(href, html) {
+        var i = topicCacheKeys.indexOf(href);
+        if (i > -1)
+            topicCacheKeys.splice(i, 1);
+        topicCacheKeys.push(href);
+        topicCache[href] = html;
+
+        while (topicCacheKeys.length > config.topicCacheSize)
+            delete topicCache[topicCacheKeys.shift()];
+    }
+
+    function getTopic(href) {
+        var html = getMemoryTopic(href);
+        if (html)
+            return $.Deferred().resolve(html).promise();
+        if (topicRequests[href])
+            return topicRequests[href];
+
+        var dfd = $.Deferred();
+        topicRequests[href] = dfd.promise();
+
+        readCachedTopic(href).then(function (html) {
+            if (html) {
+                delete topicRequests[href];
+                setMemoryTopic(href, html);
+                dfd.resolve(html);
+
+                // refresh stale copy for the next request
+                fetchTopic(href);
+                return;
+            }
+
+            fetchTopic(href)
+                .done(dfd.resolve)
+                .fail(dfd.reject)
+                .always(function () { delete topicRequests[href]; });
+        });
+
+        return dfd.promise();
+    }
+
+    function fetchTopic(href) {
+        return $.get(href)
+            .done(function (html) {
+                setMemoryTopic(href, html);
+                writeCachedTopic(href, html);
+            });
+    }
+
+    function readCachedTopic(href) {
+        if (!window.caches)
+            return Promise.resolve(null);
+
+        return caches.match(href)
+            .then(function (response) { return response ? response.text() : null; })
+            .catch(function () { return null; });
+    }
+
+    function writeCachedTopic(href, html) {
+        if (!window.caches)
+            return;
+
+        // refresh topics saved for offline use in the offline cache
+        caches.open(offlineCacheName)
+            .then(function (offline) {
+                return offline.match(href).then(function (pinned) {
+                    return pinned ? offline : caches.open(topicCacheName);
+                });
+            })
+            .then(function (cache) {
+                return cache.put(href, new Response(html, { headers: { "Content-Type": "text/html" } }));
+            })
+            .catch(function () { });
+    }
+
+    var prefetchQueue = [];
+    var prefetchActive = 0;
+
+    function prefetchTopic(href) {
+        if (!href || !href.startsWith("_") || isLocalUrl() ||
+            topicCache[href] || topicRequests[href] || prefetchQueue.indexOf(href) > -1)
+            return;
+
+        // respect data saver mode
+        if (navigator.connection && navigator.connection.saveData)
+            return;
+
+        prefetchQueue.push(href);
+        prefetchNext();
+    }
+
+    function prefetchNext() {
+        if (prefetchActive > 1 || prefetchQueue.length < 1)
+            return;
+
+        prefetchActive++;
+        getTopic(prefetchQueue.shift())
+            .always(function () {
+                prefetchActive--;
+                prefetchNext();
+            });
+    }
+
+    // prefetch topics linked from the content as the links scroll into view
+    var prefetchObserver = null;
+    function prefetchVisibleLinks() {
+        if (!window.IntersectionObserver || isLocalUrl())
+            return;
+
+        if (prefetchObserver)
+            prefetchObserver.disconnect();
+
+        prefetchObserver = new IntersectionObserver(function (entries) {
+            for (var i = 0; i < entries.length; i++) {
+                if (!entries[i].isIntersecting)
+                    continue;
+                prefetchObserver.unobserve(entries[i].target);
+                prefetchTopic($(entries[i].target).attr("href"));
+            }
+        }, { root: $(".main-content")[0] });
+
+        $(".main-content a[href^='_']").each(function () {
+            prefetchObserver.observe(this);
+        });
+    }
+
+    function makeAvailableOffline() {
+        if (!window.caches) {
+            showStatus(getString("offlineNotSupported"), 5000, true);
+            return Promise.reject(new Error("Cache Storage is not available"));
+        }
+
+        var urls = ["index.htm", "tableofcontents.htm", "keywords.htm"];
+        function addUrl(url) {
+            if (!url || url.startsWith("http") || url.startsWith("file:") || url.startsWith("javascript:"))
+                return;
+
+            url = url.split("#")[0];
+            if (url && urls.indexOf(url) < 0)
+                urls.push(url);
+        }
+
+        $(".toc li a").each(function () { addUrl($(this).attr("href")); });
+        $("img").each(function () { addUrl($(this).attr("src")); });
+        $("link[rel=stylesheet]").each(function () { addUrl($(this).attr("href")); });
+        $("script[src]").each(function () { addUrl($(this).attr("src")); });
+
+        var done = 0;
+        var failed = 0;
+        showStatus(getString("offlineDownloading"));
+
+        return caches.open(offlineCacheName).then(function (cache) {
+            var index = 0;
+
+            // download a few at a time
+            function next() {
+                if (index >= urls.length)
+                    return Promise.resolve();
+
+                var url = urls[index++];
+                return cache.add(url)
+                    .catch(function () { failed++; })
+                    .then(function () {
+                        done++;
+                        if (done % 10 === 0)
+                            showStatus(getString("offlineProgress", done, urls.length));
+                        return next();
+                    });
+            }
+
+            return Promise.all([next(), next(), next(), next()]);
+        }).then(function () {
+            if (failed)
+                showStatus(getString("offlineFailed", failed, urls.length), 6000, true);
+            else
+                showStatus(getString("offlineComplete"), 4000);
+        });
+    }
+
+    function registerServiceWorker() {
+        if (!helpBuilder.serviceWorkerUrl || !navigator.serviceWorker)
+            return;
+
+        navigator.serviceWorker.register(helpBuilder.serviceWorkerUrl)
+            .catch(function () { });
+    }
+
     /* 
         Updates the document with post-processing scripts.
         Called when page reloads.
     */
     function refreshDocument() {
         helpBuilder.highlightCode();
+        decorateCodeBlocks();
         CreateHeaderLinks();
         helpBuilder.updateDocumentOutline();    
+        prefetchVisibleLinks();
     }
     
+    // formats numbers and dates in the language of the UI strings
+    // so they don't mix languages when there's no string table
+    function getCulture() {
+        if (helpBuilder.culture)
+            return helpBuilder.culture;
+
+        var langs = getStringLanguages();
+        if (helpBuilder.strings[langs[0]] || helpBuilder.strings[langs[1]])
+            return getLanguage();
+        return "en";
+    }
+
+    // helpBuilder.timeToReadText and timeToReadShortText override the string table
+    function getTimeToReadText(id, minutes) {
+        var duration = formatDuration(minutes * 60000, { culture: getCulture(), smallest: "minute" });
+        var text = helpBuilder[id + "Text"];
+        return text ? String.format(text, duration) : getString(id, duration);
+    }
+
     function timeToRead() {
         ttr$ = $("#TimeToRead");
         if (ttr$.length == 0)
@@ -599,32 +1993,61 @@ window.helpBuilder = null;
         var readingTimeText = '';
         
         if (wordCount > wordsPerMinute) {
-            var minutes = wordCount / wordsPerMinute;
-            minutes = minutes.toFixed(0);
-            if (minutes == 1) readingTimeText = 'about 1 minute to read';
-            else if (minutes < 9) readingTimeText = 'about ' + minutes + ' minutes to read';
-            else if (minutes < 13) readingTimeText = 'about 10 minutes to read';
-            else if (minutes < 18) readingTimeText = 'about 15 minutes to read';
-            else if (minutes < 23) readingTimeText = 'about 20 minutes to read';
-            else if (minutes < 28) readingTimeText = 'about 25 minutes to read';
-            else if (minutes < 38) readingTimeText = 'about a half hour to read';
-            else if (minutes < 50) readingTimeText = 'about 45 minutes to read';
-            else if (minutes < 70) readingTimeText = 'about one hour to read';
-            else if (minutes < 80) readingTimeText = 'about an hour and 15 minutes to read';
-            else if (minutes < 100) readingTimeText = 'about an hour and a half to read';
-            else if (minutes < 130) readingTimeText = 'about two hours to read';
-            else if (minutes < 160) readingTimeText = 'about two and a half hours to read';
-            else if (minutes < 190) readingTimeText = 'about three hours to read';
-            else readingTimeText = 'more than three hours to read';
+            var minutes = Math.round(wordCount / wordsPerMinute);
+            // it's an estimate - round longer reads to 5 and 15 minutes
+            if (minutes >= 60)
+                minutes = Math.round(minutes / 15) * 15;
+            else if (minutes >= 10)
+                minutes = Math.round(minutes / 5) * 5;
+            readingTimeText = getTimeToReadText("timeToRead", minutes);
         }
         else if (wordCount > 150) {
-            readingTimeText = 'less than 1 minute to read';
+            readingTimeText = getTimeToReadText("timeToReadShort", 1);
         }
 
         if (readingTimeText.length > 0)
-            ttr$.html('<span><i class="fa fa-clock-o"></i> '+ readingTimeText +'</span>');
+            ttr$.empty().append($("<span>").text(" " + readingTimeText).prepend('<i class="fa fa-clock-o"></i>'));
     }    
 
+    /*
+      Content Security Policy friendly startup: the generated pages have
+      no inline script blocks or javascript: links. They initialize from
+      data attributes on the body tag instead:
+
+        <body data-help-init="layout" data-toc-expand="top">  - topic pages
+        <body data-help-init="toc">                           - tableofcontents.htm
+
+      data-toc-expand can be top, all or none. TOC menu links use
+      <a href="#" data-toc-action="collapseAll|expandAll">.
+    */
+    var tocActions = { collapseAll: tocCollapseAll, expandAll: tocExpandAll };
+    $(document).on("click", "a[data-toc-action]", function () {
+        var action = tocActions[$(this).attr("data-toc-action")];
+        if (action)
+            action();
+        return false;
+    });
+
+    function autoInitialize() {
+        var $body = $(document.body);
+        var init = $body.attr("data-help-init");
+        if (init === "toc") {
+            initializeTOC();
+            return;
+        }
+        if (init !== "layout")
+            return;
+
+        initializeLayout();
+
+        var expand = $body.attr("data-toc-expand");
+        if (expand === "all")
+            setTimeout(tocExpandAll, 5);
+        else if (expand !== "none")
+            setTimeout(tocExpandTop, 5);
+    }
+    $(autoInitialize);
+
 })();
 
 
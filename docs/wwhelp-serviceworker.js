@@ -0,0 +1,154 @@
+/*
+    Help viewer service worker
+
+    Caches topics and resources as they are requested so the help
+    site works without a network connection after the first visit.
+
+    The shell - core scripts, stylesheets and fonts - is kept in a
+    versioned cache and served from it without a network request, so
+    slow connections don't hold up page loads and a deploy never mixes
+    old and new scripts. Bump shellVersion when deploying to load the
+    new shell and drop the old shell cache on activation.
+
+    Topics and other resources are returned from the cache immediately
+    and refreshed in the background. The shell pages (index.htm and
+    tableofcontents.htm) are served the same way from the shell cache.
+    Other resources use the same cache as the topic cache in wwhelp.js,
+    which holds at most maxTopicEntries entries - the least recently
+    stored are removed first. Topics saved with makeAvailableOffline()
+    live in a separate cache that is never trimmed.
+
+    Registered by helpBuilder.initializeLayout() - must live in the
+    help root so its scope covers all topics.
+*/
+var shellVersion = 1;
+var shellCacheName = "wwhelp-shell-v" + shellVersion;
+var cacheName = "wwhelp-topics";
+var offlineCacheName = "wwhelp-offline";
+var maxTopicEntries = 500;
+
+// core resources cached when the service worker is installed
+var shellUrls = [
+    "index.htm",
+    "tableofcontents.htm",
+    "templates/wwhelp.css",
+    "templates/scripts/bootstrap/dist/css/bootstrap.min.css",
+    "templates/scripts/fontawesome/css/font-awesome.min.css",
+    "templates/scripts/fontawesome/fonts/fontawesome-webfont.woff2",
+    "templates/scripts/jquery/jquery.min.js",
+    "templates/scripts/highlightjs/highlight.pack.js",
+    "templates/scripts/highlightjs/styles/vs.css",
+    "templates/scripts/highlightjs/styles/kavadocsdark.css",
+    "templates/scripts/ww.jquery.min.js",
+    "templates/scripts/wwhelp.js"
+];
+
+self.addEventListener("install", function (event) {
+    event.waitUntil(
+        caches.open(shellCacheName)
+            .then(function (cache) {
+                // don't fail the install if a resource is missing
+                return Promise.all(shellUrls.map(function (url) {
+                    return cache.add(new Request(url, { cache: "reload" })).catch(function () { });
+                }));
+            })
+            .then(function () { return self.skipWaiting(); })
+    );
+});
+
+self.addEventListener("activate", function (event) {
+    event.waitUntil(
+        caches.keys()
+            .then(function (names) {
+                return Promise.all(names.map(function (name) {
+                    if (name.startsWith("wwhelp-shell-") && name !== shellCacheName)
+                        return caches.delete(name);
+                }));
+            })
+            .then(function () { return self.clients.claim(); })
+    );
+});
+
+self.addEventListener("fetch", function (event) {
+    var request = event.request;
+    if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin)
+        return;
+
+    var shellUrl = getShellUrl(request);
+    if (!shellUrl)
+        event.respondWith(staleWhileRevalidate(event));
+    else if (/\.htm$/i.test(shellUrl))
+        event.respondWith(staleWhileRevalidate(event, shellCacheName));
+    else
+        event.respondWith(cacheFirst(event));
+});
+
+// the shellUrls entry for a request or null
+function getShellUrl(request) {
+    var path = new URL(request.url).pathname;
+    for (var i = 0; i < shellUrls.length; i++) {
+        if (new URL(shellUrls[i], self.location.href).pathname === path)
+            return shellUrls[i];
+    }
+    return null;
+}
+
+function cacheFirst(event) {
+    var request = event.request;
+    return caches.open(shellCacheName).then(function (cache) {
+        return cache.match(request, { ignoreSearch: true }).then(function (cached) {
+            if (cached)
+                return cached;
+
+            return fetch(request).then(function (response) {
+                if (response.ok)
+                    cache.put(request, response.clone());
+                return response;
+            });
+        });
+    });
+}
+
+// topics saved for offline use are refreshed in place so they're never
+// trimmed - everything else goes to the named cache or the topic cache
+function staleWhileRevalidate(event, name) {
+    var request = event.request;
+    return Promise.all([caches.open(offlineCacheName), caches.open(name || cacheName)]).then(function (opened) {
+        var offline = opened[0];
+        var cache = opened[1];
+        return offline.match(request, { ignoreSearch: true }).then(function (pinned) {
+            if (pinned)
+                return respond(pinned, offline, false);
+
+            return cache.match(request, { ignoreSearch: true }).then(function (cached) {
+                return respond(cached, cache, !name);
+            });
+        });
+    });
+
+    function respond(cached, cache, trim) {
+        var network = fetch(request).then(function (response) {
+            if (response.ok)
+                cache.put(request, response.clone()).then(function () {
+                    if (trim)
+                        trimCache(cache);
+                });
+            return response;
+        });
+
+        if (!cached)
+            return network;
+
+        event.waitUntil(network.catch(function () { }));
+        return cached;
+    }
+}
+
+// keys are returned in insertion order and put() re-inserts, so the
+// first entries are the ones stored longest ago
+function trimCache(cache) {
+    return cache.keys().then(function (keys) {
+        var remove = keys.slice(0, Math.max(keys.length - maxTopicEntries, 0));
+        return Promise.all(remove.map(function (key) { return cache.delete(key); }));
+    });
+}